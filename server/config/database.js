@@ -30,11 +30,17 @@ export async function connectDB() {
     return db
   } catch (error) {
     logger.error("Erreur de connexion à MongoDB:", error)
+    // Aucun client utilisable : les fonctions qui en dépendent (bases des projets) sont désactivées
+    client = null
 
     logger.warn("🔄 Basculement vers la base de données simulée en mémoire")
     db = {
       users: new Map(),
       projects: new Map(),
+      deployments: new Map(),
+      ports: new Map(),
+      envVars: new Map(),
+      databases: new Map(),
       logs: [],
       // MongoDB-like interface for compatibility
       collection: (name) => ({
@@ -103,11 +109,26 @@ async function createIndexes() {
     // Index pour les utilisateurs
     await db.collection("users").createIndex({ email: 1 }, { unique: true })
     await db.collection("users").createIndex({ username: 1 }, { unique: true })
+    await db.collection("users").createIndex({ hostLabel: 1 }, { unique: true, sparse: true })
 
     // Index pour les projets
     await db.collection("projects").createIndex({ userId: 1 })
     await db.collection("projects").createIndex({ name: 1, userId: 1 }, { unique: true })
     await db.collection("projects").createIndex({ createdAt: -1 })
+    await db.collection("projects").createIndex({ userHostLabel: 1, hostLabel: 1 }, { unique: true, sparse: true })
+
+    // Index pour les ports attribués (un enregistrement par port)
+    await db.collection("ports").createIndex({ port: 1 }, { unique: true })
+    await db.collection("ports").createIndex({ userId: 1, projectName: 1 })
+
+    // Index pour les variables d'environnement (un document par projet)
+    await db.collection("envVars").createIndex({ userId: 1, projectName: 1 }, { unique: true })
+
+    // Index pour les bases MongoDB provisionnées (une par projet)
+    await db.collection("databases").createIndex({ userId: 1, projectName: 1 }, { unique: true })
+
+    // Index pour l'historique des déploiements
+    await db.collection("deployments").createIndex({ projectId: 1, createdAt: -1 })
 
     // Index pour les logs
     await db.collection("logs").createIndex({ timestamp: -1 })
@@ -126,6 +147,11 @@ export function getDB() {
   return db
 }
 
+// Client de la base de la plateforme (null avec la base simulée en mémoire)
+export function getMongoClient() {
+  return client || null
+}
+
 export async function closeDB() {
   if (client) {
     await client.close()
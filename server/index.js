@@ -9,8 +9,17 @@ import fs from 'fs/promises';
 import authRoutes from './routes/auth.js';
 import projectRoutes from './routes/projects.js';
 import hostingRoutes from './routes/hosting.js';
+import jobRoutes from './routes/jobs.js';
+import gitRoutes from './routes/git.js';
+import discoveryRoutes from './routes/discovery.js';
 import { connectDB } from './config/database.js';
-import { initializeDirectories } from './utils/fileSystem.js';
+import { initializeDirectories, getHostingBaseDomain } from './utils/fileSystem.js';
+import { mapStaticWebRoot } from './utils/webRoot.js';
+import { assignMissingHostLabels, routeProjectHost, routeProjectUpgrade } from './utils/hostRouting.js';
+import { portManager } from './utils/portManager.js';
+import { restoreSupervisedProjects } from './utils/supervisor.js';
+import { stopAllBackendServers } from './utils/processManager.js';
+import { stopAllFrontendServers } from './utils/frontendServer.js';
 import { logger } from './utils/logger.js';
 
 dotenv.config();
@@ -27,6 +36,24 @@ await connectDB();
 // Initialisation des répertoires
 await initializeDirectories();
 
+// Noms d'hôte des projets publiés avant le routage par nom d'hôte
+try {
+  await assignMissingHostLabels();
+} catch (error) {
+  logger.warn('Attribution des noms d\'hôte impossible:', error.message);
+}
+
+// Ports attribués aux projets, vérifiés par rapport aux projets enregistrés
+try {
+  await portManager.initialize();
+} catch (error) {
+  logger.warn('Réconciliation des ports impossible:', error.message);
+}
+
+// Requêtes adressées à un projet (<projet>.<utilisateur>.<domaine>) : servies avant
+// tout middleware de la plateforme (CORS, parsing du corps relayé tel quel au backend)
+app.use(routeProjectHost);
+
 // Middlewares de sécurité
 app.use(helmet({
   crossOriginEmbedderPolicy: false,
@@ -51,10 +78,17 @@ app.use(express.urlencoded({ extended: true, limit: '100mb' }));
 // Routes API
 app.use('/api/auth', authRoutes);
 app.use('/api/projects', projectRoutes);
+app.use('/api/hosting/jobs', jobRoutes);
 app.use('/api/hosting', hostingRoutes);
 
-// Servir les sites statiques hébergés
-app.use('/hosted', express.static(path.join(__dirname, '../hosted-sites')));
+// Dépôts Git des projets (push-to-deploy)
+app.use('/git', gitRoutes);
+
+// Découverte publique du backend des projets dynamiques
+app.use('/project-port', discoveryRoutes);
+
+// Servir les sites statiques hébergés (chaque projet depuis sa racine web)
+app.use('/hosted', mapStaticWebRoot, express.static(path.join(__dirname, '../hosted-sites')));
 
 // Route de santé
 app.get('/api/health', (req, res) => {
@@ -84,18 +118,50 @@ app.use('*', (req, res) => {
   });
 });
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   logger.info(`🚀 Serveur d'hébergement démarré sur le port ${PORT}`);
   console.log(`🌐 Interface d'administration: http://localhost:5173`);
-  console.log(`📁 Sites hébergés: http://localhost:${PORT}/hosted/`);
+  console.log(`📁 Sites hébergés: http://<projet>.<utilisateur>.${getHostingBaseDomain()}:${PORT}/`);
 });
 
-// Gestion propre de l'arrêt
-process.on('SIGINT', () => {
-  logger.info('Arrêt du serveur demandé');
-  process.exit(0);
+// WebSockets des projets dynamiques
+server.on('upgrade', routeProjectUpgrade);
+
+// Relancer les projets dynamiques qui tournaient avant l'arrêt de la plateforme
+restoreSupervisedProjects().catch((error) => {
+  logger.warn('Relance des projets dynamiques impossible:', error.message);
 });
 
+// La découverte est aussi servie sur un port dédié (DISCOVERY_PORT, 0 pour la désactiver),
+// celui qu'interrogent les frontends existants : http://127.0.0.1:8055/project-port/<projet>
+const DISCOVERY_PORT = Number(process.env.DISCOVERY_PORT ?? 8055);
+if (DISCOVERY_PORT) {
+  const discoveryApp = express();
+  discoveryApp.use('/project-port', discoveryRoutes);
+  discoveryApp
+    .listen(DISCOVERY_PORT, () => logger.info(`🔎 Découverte des backends sur le port ${DISCOVERY_PORT}`))
+    .on('error', (error) => logger.warn(`Port de découverte ${DISCOVERY_PORT} indisponible:`, error.message));
+}
+
+// Gestion propre de l'arrêt : les backends des projets (groupes de processus séparés) et
+// les serveurs publics sont arrêtés avant la sortie, sinon ils garderaient leurs ports
+let shuttingDown = false;
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  logger.info(`Arrêt du serveur demandé (${signal})`);
+  try {
+    const [backends] = await Promise.all([stopAllBackendServers(), stopAllFrontendServers()]);
+    logger.info(`Backends des projets arrêtés : ${backends}`);
+  } catch (error) {
+    logger.error("Erreur lors de l'arrêt des projets:", error.message);
+  }
+  process.exit(0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
 process.on('unhandledRejection', (reason, promise) => {
   logger.error(`Rejection non gérée à ${promise}:`, reason);
 });
@@ -0,0 +1,51 @@
+import express from "express"
+import { logger } from "../utils/logger.js"
+import { findDiscoverableProject, getDiscoveryInfo, renderConfigScript } from "../utils/discovery.js"
+
+// API publique (sans authentification) de découverte du backend d'un projet dynamique.
+// Appelée depuis le navigateur par les frontends hébergés, quelle que soit leur origine.
+const router = express.Router()
+
+router.use((req, res, next) => {
+  res.set({
+    "Access-Control-Allow-Origin": "*",
+    "Cache-Control": "no-store",
+  })
+  next()
+})
+
+async function findProject(req, res, next) {
+  try {
+    const project = await findDiscoverableProject(req.params.projectName)
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Projet non trouvé",
+      })
+    }
+
+    req.project = project
+    next()
+  } catch (error) {
+    logger.error("PROJECT_DISCOVERY_ERROR", error.message)
+    res.status(500).json({
+      success: false,
+      message: "Erreur lors de la recherche du projet",
+    })
+  }
+}
+
+// Adresse et port actuels du backend : { port, backendUrl, url, apiPrefix, apiUrl, running }
+router.get("/:projectName", findProject, (req, res) => {
+  res.json({
+    success: true,
+    ...getDiscoveryInfo(req.project),
+  })
+})
+
+// Même information sous forme de script : <script src=".../config.js"> définit window.__HOSTEDHOST__
+router.get("/:projectName/config.js", findProject, (req, res) => {
+  res.type("application/javascript").send(renderConfigScript(getDiscoveryInfo(req.project)))
+})
+
+export default router
@@ -0,0 +1,236 @@
+import express from "express"
+import zlib from "zlib"
+import { pipeline } from "stream"
+import { getDB } from "../config/database.js"
+import { comparePassword, verifyToken } from "../utils/auth.js"
+import { logger } from "../utils/logger.js"
+import { jobManager } from "../utils/jobManager.js"
+import { getDeployPhases, getProjectUrl, runProjectUpdate } from "../utils/deployment.js"
+import { getRepositoryPath } from "../utils/fileSystem.js"
+import {
+  ensureBareRepository,
+  spawnGitService,
+  createPushCommandParser,
+  getPushedBranch,
+  pktLine,
+  sidebandMessage,
+  PKT_FLUSH,
+} from "../utils/git.js"
+
+// Push-to-deploy : chaque projet expose un dépôt Git (smart HTTP) à l'adresse
+// /git/<projet>.git. Un push met à jour le dépôt puis redéploie le projet depuis
+// la branche poussée, la progression étant renvoyée dans la sortie de "git push".
+const router = express.Router()
+
+const JWT_PATTERN = /^[\w-]+\.[\w-]+\.[\w-]+$/
+
+// git ne transmet les identifiants qu'après un défi Basic
+function requestCredentials(res, message = "Authentification requise") {
+  res.set("WWW-Authenticate", 'Basic realm="HostedHost"')
+  res.status(401).send(`${message}\n`)
+}
+
+// Identifiants acceptés : email (ou nom d'utilisateur) et mot de passe du compte,
+// ou n'importe quel nom d'utilisateur avec le jeton de l'interface comme mot de passe
+async function authenticateGitUser(req, res, next) {
+  const [scheme, encoded] = (req.headers.authorization || "").split(" ")
+  if (scheme !== "Basic" || !encoded) {
+    return requestCredentials(res)
+  }
+
+  const credentials = Buffer.from(encoded, "base64").toString("utf8")
+  const separator = credentials.indexOf(":")
+  const login = separator === -1 ? credentials : credentials.slice(0, separator)
+  const secret = separator === -1 ? "" : credentials.slice(separator + 1)
+
+  try {
+    if (JWT_PATTERN.test(secret)) {
+      const decoded = verifyToken(secret)
+      if (decoded) {
+        req.userId = decoded.userId
+        return next()
+      }
+    } else if (login && secret) {
+      const db = getDB()
+      const user = await db.collection("users").findOne({
+        $or: [{ email: login }, { username: login }],
+      })
+      if (user && (await comparePassword(secret, user.password))) {
+        req.userId = user._id.toString()
+        return next()
+      }
+    }
+
+    logger.warn("GIT_AUTH_FAILED", `Login: ${login}, IP: ${req.ip}`)
+    requestCredentials(res, "Identifiants invalides")
+  } catch (error) {
+    logger.error("GIT_AUTH_ERROR", error.message)
+    res.status(500).send("Erreur lors de l'authentification\n")
+  }
+}
+
+// Le projet doit déjà exister : le premier déploiement se fait depuis l'interface
+async function findPushProject(req, res, next) {
+  try {
+    const db = getDB()
+    const project = await db.collection("projects").findOne({
+      userId: req.userId,
+      name: req.params.projectName,
+    })
+
+    if (!project) {
+      return res.status(404).send(`Projet non trouvé: ${req.params.projectName}\n`)
+    }
+
+    req.project = project
+    req.repoPath = getRepositoryPath(req.userId, project.name)
+    await ensureBareRepository(req.repoPath)
+    next()
+  } catch (error) {
+    logger.error("GIT_REPOSITORY_ERROR", error.message, req.userId)
+    res.status(500).send("Erreur lors de l'ouverture du dépôt\n")
+  }
+}
+
+// Redéploie le projet depuis la branche poussée dans son dépôt
+function startPushDeploy(req, pushed) {
+  const { project, userId } = req
+  const job = jobManager.createJob(userId, {
+    kind: "update",
+    type: project.type,
+    projectName: project.name,
+    phases: getDeployPhases(project.type, "git"),
+  })
+  logger.userAction(
+    userId,
+    "GIT_PUSH_DEPLOY_STARTED",
+    `Project: ${project.name}, Branch: ${pushed.branch}, Commit: ${pushed.sha}, Job: ${job.id}`,
+  )
+
+  jobManager.run(job, () =>
+    runProjectUpdate(job, {
+      userId,
+      project,
+      source: { kind: "git", repoUrl: req.repoPath, ref: pushed.branch, subdirectory: null },
+    }),
+  )
+  return job
+}
+
+// Renvoie les logs du job dans la réponse du push (canal de progression du side-band),
+// puis termine la réponse une fois le déploiement fini
+function streamDeployToPush(req, res, job) {
+  let lastPhase = null
+  const write = (text) => res.write(sidebandMessage(text))
+
+  const onLog = (logJob, entry) => {
+    if (logJob !== job) return
+    if (entry.phase && entry.phase !== lastPhase) {
+      lastPhase = entry.phase
+      write(`-----> ${entry.phase}`)
+    }
+    write(`       ${entry.line}`)
+  }
+  const onFinished = (finishedJob) => {
+    if (finishedJob !== job) return
+    cleanup()
+    if (job.status === "succeeded") {
+      write(`-----> Projet en ligne : ${getProjectUrl(req.project)}`)
+    }
+    res.end(PKT_FLUSH)
+  }
+  // Si le client se déconnecte, le déploiement continue sans lui
+  const cleanup = () => {
+    jobManager.off("log", onLog)
+    jobManager.off("finished", onFinished)
+  }
+
+  jobManager.getLogsSince(job).forEach((entry) => onLog(job, entry))
+  jobManager.on("log", onLog)
+  jobManager.on("finished", onFinished)
+  res.on("close", cleanup)
+}
+
+// Annonce des références (première étape de "git push")
+router.get("/:projectName.git/info/refs", authenticateGitUser, findPushProject, (req, res) => {
+  if (req.query.service !== "git-receive-pack") {
+    return res.status(403).send("Seul git push est pris en charge sur ce dépôt\n")
+  }
+
+  const child = spawnGitService("receive-pack", req.repoPath, { advertiseRefs: true })
+  res.set({
+    "Content-Type": "application/x-git-receive-pack-advertisement",
+    "Cache-Control": "no-cache",
+  })
+  res.write(pktLine("# service=git-receive-pack\n"))
+  res.write(PKT_FLUSH)
+  child.stdout.pipe(res)
+  child.on("error", (error) => {
+    logger.error("GIT_RECEIVE_PACK_ERROR", error.message, req.userId)
+    res.end()
+  })
+})
+
+// Réception du push : les objets sont écrits dans le dépôt par git receive-pack,
+// puis la branche poussée est déployée
+router.post("/:projectName.git/git-receive-pack", authenticateGitUser, findPushProject, (req, res) => {
+  const child = spawnGitService("receive-pack", req.repoPath)
+  const { parser, push } = createPushCommandParser()
+  const decoders = req.headers["content-encoding"] === "gzip" ? [zlib.createGunzip()] : []
+
+  pipeline(req, ...decoders, parser, child.stdin, (error) => {
+    if (error) logger.warn("GIT_PUSH_INPUT_ERROR", error.message, req.userId)
+  })
+
+  let stderr = ""
+  child.stderr.on("data", (data) => {
+    stderr += data.toString()
+  })
+
+  res.set({
+    "Content-Type": "application/x-git-receive-pack-result",
+    "Cache-Control": "no-cache",
+  })
+
+  // Les 4 derniers octets (paquet flush final) sont retenus : les messages
+  // du déploiement doivent être envoyés avant que le client ne les attende plus
+  let pending = Buffer.alloc(0)
+  child.stdout.on("data", (chunk) => {
+    const data = Buffer.concat([pending, chunk])
+    const keep = Math.min(4, data.length)
+    res.write(data.subarray(0, data.length - keep))
+    pending = data.subarray(data.length - keep)
+  })
+
+  child.on("error", (error) => {
+    logger.error("GIT_RECEIVE_PACK_ERROR", error.message, req.userId)
+    res.end()
+  })
+
+  child.on("close", (code) => {
+    if (code !== 0) {
+      logger.warn("GIT_PUSH_FAILED", `Project: ${req.project.name}, Code: ${code}, ${stderr.trim()}`, req.userId)
+      return res.end(pending)
+    }
+
+    const pushed = getPushedBranch(push.commands)
+    const sideband = push.capabilities.includes("side-band-64k") && pending.equals(PKT_FLUSH)
+    logger.userAction(req.userId, "GIT_PUSH_RECEIVED", `Project: ${req.project.name}, Refs: ${push.commands.map((c) => c.ref).join(", ")}`)
+
+    if (!pushed) {
+      if (sideband) res.write(sidebandMessage("Aucune branche mise à jour : pas de déploiement"))
+      return res.end(pending)
+    }
+
+    const job = startPushDeploy(req, pushed)
+    if (!sideband) {
+      // Le client ne peut pas afficher de messages : le déploiement suit son cours en arrière-plan
+      return res.end(pending)
+    }
+
+    res.write(sidebandMessage(`Déploiement de ${pushed.branch} (${pushed.sha.slice(0, 7)}) sur ${req.project.name}...`))
+    streamDeployToPush(req, res, job)
+  })
+})
+
+export default router
@@ -1,13 +1,38 @@
 import express from "express"
 import multer from "multer"
-import AdmZip from "adm-zip"
 import fs from "fs/promises"
-import path from "path"
 import { getDB } from "../config/database.js"
 import { authenticateToken } from "../utils/auth.js"
 import { logger } from "../utils/logger.js"
-import { getUploadsDir, createProjectDirectory, getStaticSiteUrl, getDynamicSiteUrl } from "../utils/fileSystem.js"
+import { getUploadsDir, getReleasePath } from "../utils/fileSystem.js"
 import { portManager } from "../utils/portManager.js"
+import { normalizeApiPrefix, ApiPrefixError } from "../utils/frontendServer.js"
+import { normalizeRuntimeConfig } from "../utils/frontendFramework.js"
+import { normalizeHealthCheck, HealthCheckError } from "../utils/healthCheck.js"
+import { getPlanLimits, normalizeResourceLimits, ResourceLimitError } from "../utils/resourceLimits.js"
+import {
+  deleteEnvVar,
+  EnvVarError,
+  getRequiredAction,
+  listEnvVars,
+  normalizeEnvVarInput,
+  setEnvVar,
+  validateEnvVarName,
+} from "../utils/projectEnv.js"
+import { jobManager } from "../utils/jobManager.js"
+import { inspectArchive, isArchiveUpload, ArchiveError } from "../utils/archive.js"
+import { validateGitSource, GitSourceError } from "../utils/git.js"
+import { normalizeWebRoot, WebRootError } from "../utils/webRoot.js"
+import { getUserHostLabel, toHostLabel } from "../utils/hostRouting.js"
+import {
+  getDeployPhases,
+  runProjectDeploy,
+  runProjectUpdate,
+  runProjectRebuild,
+  runProjectRollback,
+  runProjectRestart,
+} from "../utils/deployment.js"
+import { getProjectDatabaseConnection } from "../utils/projectDatabase.js"
 
 const router = express.Router()
 
@@ -28,372 +53,670 @@ const upload = multer({
     fileSize: 100 * 1024 * 1024, // 100MB max
   },
   fileFilter: (req, file, cb) => {
-    if (
-      file.mimetype === "application/zip" ||
-      file.mimetype === "application/x-zip-compressed" ||
-      file.originalname.endsWith(".zip")
-    ) {
+    if (isArchiveUpload(file)) {
       cb(null, true)
     } else {
-      cb(new Error("Seuls les fichiers ZIP sont acceptés"), false)
+      cb(new Error("Seuls les fichiers ZIP, tar, tar.gz et tar.bz2 sont acceptés"), false)
     }
   },
 })
 
+// Refuser dès l'upload une archive dangereuse ou hors limites, avant de lancer le job
+async function rejectInvalidArchive(req, res) {
+  try {
+    await inspectArchive(req.file.path)
+    return false
+  } catch (error) {
+    if (!(error instanceof ArchiveError)) throw error
+
+    logger.warn("ARCHIVE_REJECTED", `File: ${req.file.originalname}, Reason: ${error.message}`, req.userId)
+    await fs.unlink(req.file.path).catch(() => {})
+    res.status(error.status).json({
+      success: false,
+      message: error.message,
+    })
+    return true
+  }
+}
+
+// Vérifications communes avant de lancer un premier déploiement
+async function validateNewDeployment(req, res) {
+  if (!req.file) {
+    res.status(400).json({
+      success: false,
+      message: "Archive du projet requise (ZIP, tar, tar.gz ou tar.bz2)",
+    })
+    return false
+  }
+
+  if (!(await validateNewProjectName(req, res))) {
+    await fs.unlink(req.file.path).catch(() => {})
+    return false
+  }
+
+  return !(await rejectInvalidArchive(req, res))
+}
+
+// Le nom est requis et ne doit pas déjà être utilisé par un projet de l'utilisateur,
+// ni donner le même nom d'hôte qu'un de ses projets ("Mon Site" et "mon-site")
+async function validateNewProjectName(req, res) {
+  const { projectName } = req.body
+
+  if (!projectName || !projectName.trim()) {
+    res.status(400).json({
+      success: false,
+      message: "Nom du projet requis",
+    })
+    return false
+  }
+
+  const hostLabel = toHostLabel(projectName)
+  if (!hostLabel) {
+    res.status(400).json({
+      success: false,
+      message: "Le nom du projet doit contenir au moins une lettre ou un chiffre",
+    })
+    return false
+  }
+
+  const db = getDB()
+  const existingProject = await db.collection("projects").findOne({
+    userId: req.userId,
+    name: projectName.trim(),
+  })
+
+  if (existingProject) {
+    res.status(409).json({
+      success: false,
+      message: "Un projet avec ce nom existe déjà",
+      projectId: existingProject._id.toString(),
+    })
+    return false
+  }
+
+  const sameHostProject = await db.collection("projects").findOne({
+    hostLabel,
+    userHostLabel: await getUserHostLabel(req.userId),
+  })
+  if (sameHostProject) {
+    res.status(409).json({
+      success: false,
+      message: `Le projet ${sameHostProject.name} utilise déjà le nom d'hôte ${hostLabel}`,
+    })
+    return false
+  }
+
+  return true
+}
+
+// Lance le déploiement en tâche de fond et répond immédiatement avec l'identifiant du job
+// options : { webRoot } pour un site statique, { apiPrefix, healthCheck, resourceLimits, runtimeConfig } pour un projet dynamique
+function startDeployJob(req, res, type, source, options = {}) {
+  const projectName = req.body.projectName.trim()
+  const job = jobManager.createJob(req.userId, {
+    kind: "deploy",
+    type,
+    projectName,
+    phases: getDeployPhases(type, source.kind),
+  })
+
+  logger.userAction(
+    req.userId,
+    type === "static" ? "STATIC_DEPLOY_STARTED" : "DYNAMIC_DEPLOY_STARTED",
+    `Project: ${projectName}, ${source.kind === "git" ? `Repo: ${source.repoUrl}` : `File: ${source.file.originalname}`}, Job: ${job.id}`,
+  )
+
+  jobManager.run(job, () =>
+    runProjectDeploy(job, {
+      userId: req.userId,
+      type,
+      projectName,
+      description: req.body.description,
+      source,
+      ...options,
+    }),
+  )
+
+  res.status(202).json({
+    success: true,
+    message: "Déploiement lancé",
+    jobId: job.id,
+    job: jobManager.serializeJob(job),
+  })
+}
+
 // Déployer un site statique
 router.post("/deploy/static", authenticateToken, upload.single("zipFile"), async (req, res) => {
-  let tempFilePath = null
-  let projectPath = null
-
   try {
-    const { projectName, description } = req.body
-
-    if (!req.file) {
-      return res.status(400).json({
+    // Racine web facultative : dossier à servir, sinon détecté après extraction
+    const webRoot = normalizeWebRoot(req.body.webRoot)
+    if (!(await validateNewDeployment(req, res))) return
+    startDeployJob(req, res, "static", { kind: "archive", file: req.file }, { webRoot })
+  } catch (error) {
+    if (req.file) await fs.unlink(req.file.path).catch(() => {})
+    if (error instanceof WebRootError) {
+      return res.status(error.status).json({
         success: false,
-        message: "Fichier ZIP requis",
+        message: error.message,
       })
     }
 
-    if (!projectName || !projectName.trim()) {
-      return res.status(400).json({
+    logger.deployment(req.userId, req.body.projectName || "unknown", "static", "failed", error.message)
+    res.status(500).json({
+      success: false,
+      message: error.message || "Erreur lors du déploiement du site statique",
+    })
+  }
+})
+
+// Déployer un site dynamique
+router.post("/deploy/dynamic", authenticateToken, upload.single("zipFile"), async (req, res) => {
+  try {
+    // Chemins relayés au backend, le reste étant servi depuis le build du frontend
+    // (null : celui du manifeste hostedhost.json, sinon /api)
+    const apiPrefix = normalizeApiPrefix(req.body.apiPrefix)
+    // Vérification qui valide le démarrage du backend puis le surveille (JSON dans le formulaire)
+    const healthCheck = normalizeHealthCheck(req.body.healthCheck)
+    // Limites propres au projet (JSON), dans celles de l'offre de l'utilisateur
+    const resourceLimits = normalizeResourceLimits(req.body.resourceLimits, await getPlanLimits(req.userId))
+    // Adresse du backend aussi servie au frontend à l'exécution (/__env.js)
+    const runtimeConfig = Boolean(normalizeRuntimeConfig(req.body.runtimeConfig))
+    if (!(await validateNewDeployment(req, res))) return
+    startDeployJob(req, res, "dynamic", { kind: "archive", file: req.file }, { apiPrefix, healthCheck, resourceLimits, runtimeConfig })
+  } catch (error) {
+    if (error instanceof ApiPrefixError || error instanceof HealthCheckError || error instanceof ResourceLimitError) {
+      if (req.file) await fs.unlink(req.file.path).catch(() => {})
+      return res.status(error.status).json({
         success: false,
-        message: "Nom du projet requis",
+        message: error.message,
       })
     }
 
-    const db = getDB()
-    const existingProject = await db.collection("projects").findOne({
-      userId: req.userId,
-      name: projectName.trim(),
+    logger.error("Erreur lors du déploiement dynamique", JSON.stringify({ error: error.message, stack: error.stack, userId: req.userId }))
+    logger.deployment(req.userId, req.body.projectName || "unknown", "dynamic", "failed", error.message)
+    if (req.file) await fs.unlink(req.file.path).catch(() => {})
+    res.status(500).json({
+      success: false,
+      message: error.message || "Erreur lors du déploiement du site dynamique",
     })
+  }
+})
+
+// Déployer depuis un dépôt Git (URL distante, file:// ou dépôt local bare)
+// Corps JSON : { projectName, description, type, repoUrl, ref, subdirectory, webRoot, apiPrefix, healthCheck, resourceLimits, runtimeConfig }
+router.post("/deploy/git", authenticateToken, async (req, res) => {
+  try {
+    const { type } = req.body
 
-    if (existingProject) {
-      return res.status(409).json({
+    if (type !== "static" && type !== "dynamic") {
+      return res.status(400).json({
         success: false,
-        message: "Un projet avec ce nom existe déjà",
+        message: "Type de projet invalide (static ou dynamic)",
       })
     }
 
-    tempFilePath = req.file.path
-    logger.userAction(req.userId, "STATIC_DEPLOY_STARTED", `Project: ${projectName}, File: ${req.file.originalname}`)
-
-    // Créer le répertoire du projet
-    projectPath = await createProjectDirectory("static", projectName.trim(), req.userId)
+    const gitSource = validateGitSource(req.body, req.userId)
+    const options =
+      type === "static"
+        ? { webRoot: normalizeWebRoot(req.body.webRoot) }
+        : {
+            apiPrefix: normalizeApiPrefix(req.body.apiPrefix),
+            healthCheck: normalizeHealthCheck(req.body.healthCheck),
+            resourceLimits: normalizeResourceLimits(req.body.resourceLimits, await getPlanLimits(req.userId)),
+            runtimeConfig: Boolean(normalizeRuntimeConfig(req.body.runtimeConfig)),
+          }
+    if (!(await validateNewProjectName(req, res))) return
 
-    // Extraire le fichier ZIP
-    const zip = new AdmZip(tempFilePath)
-    zip.extractAllTo(projectPath, true)
+    startDeployJob(req, res, type, { kind: "git", ...gitSource }, options)
+  } catch (error) {
+    if (
+      error instanceof GitSourceError ||
+      error instanceof WebRootError ||
+      error instanceof ApiPrefixError ||
+      error instanceof HealthCheckError ||
+      error instanceof ResourceLimitError
+    ) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      })
+    }
 
-    // Vérifier qu'il y a au moins un fichier index.html
-    const files = await fs.readdir(projectPath, { withFileTypes: true })
-    let hasIndexHtml = false
+    logger.deployment(req.userId, req.body.projectName || "unknown", req.body.type || "unknown", "failed", error.message)
+    res.status(500).json({
+      success: false,
+      message: error.message || "Erreur lors du déploiement depuis Git",
+    })
+  }
+})
 
-    for (const file of files) {
-      if (file.name === "index.html" && file.isFile()) {
-        hasIndexHtml = true
-        break
-      }
-    }
+// Charger un projet en vérifiant qu'il appartient à l'utilisateur
+async function findUserProject(db, projectId, userId) {
+  const { ObjectId } = await import("mongodb")
+  // Identifiant mal formé : aucun projet ne peut y correspondre
+  if (!ObjectId.isValid(projectId)) {
+    return { status: 404, message: "Projet non trouvé" }
+  }
+  const project = await db.collection("projects").findOne({
+    _id: new ObjectId(projectId),
+  })
 
-    if (!hasIndexHtml) {
-      // Chercher dans les sous-dossiers
-      for (const file of files) {
-        if (file.isDirectory()) {
-          try {
-            const subFiles = await fs.readdir(path.join(projectPath, file.name))
-            if (subFiles.includes("index.html")) {
-              hasIndexHtml = true
-              break
-            }
-          } catch (e) {
-            // Ignorer les erreurs de lecture des sous-dossiers
-          }
-        }
-      }
-    }
+  if (!project) {
+    return { status: 404, message: "Projet non trouvé" }
+  }
+  if (project.userId !== userId) {
+    return { status: 403, message: "Accès interdit à ce projet" }
+  }
+  if (project.status === "deleting") {
+    return { status: 409, message: "Projet en cours de suppression" }
+  }
+  return { project }
+}
+
+// Source d'une mise à jour : archive uploadée, dépôt Git indiqué dans le corps JSON,
+// ou à défaut le dépôt Git déjà associé au projet (redéploiement du dernier commit)
+function getUpdateSource(req, project) {
+  if (req.file) {
+    return { kind: "archive", file: req.file }
+  }
+  if (req.body.repoUrl) {
+    return { kind: "git", ...validateGitSource(req.body, req.userId) }
+  }
+  if (project.source?.kind === "git") {
+    const { repoUrl, ref, subdirectory } = project.source
+    return { kind: "git", repoUrl, ref, subdirectory }
+  }
+  return null
+}
 
-    if (!hasIndexHtml) {
-      logger.warn("NO_INDEX_HTML", `Project: ${projectName}`, req.userId)
+// Mettre à jour un projet existant (nouvelle archive ou nouveau commit Git)
+// La nouvelle version est préparée dans sa propre release puis publiée
+// d'un coup : le site reste servi pendant l'extraction.
+router.post("/update/:projectId", authenticateToken, upload.single("zipFile"), async (req, res) => {
+  try {
+    const db = getDB()
+    const { project, status, message } = await findUserProject(db, req.params.projectId, req.userId)
+    if (!project) {
+      if (req.file) await fs.unlink(req.file.path).catch(() => {})
+      return res.status(status).json({ success: false, message })
     }
 
-    // Calculer la taille approximative
-    const stats = await fs.stat(projectPath)
-    const size = Math.round(req.file.size / (1024 * 1024)) // MB
-
-    const newProject = {
-      userId: req.userId,
-      name: projectName.trim(),
-      description: description || "",
-      type: "static",
-      status: "active",
-      createdAt: new Date(),
-      updatedAt: new Date(),
-      size,
-      hasIndexHtml,
-      files: files.length,
+    // Une racine web, un préfixe API, un health check ou des limites non indiqués reprennent la valeur précédente
+    const webRoot =
+      project.type === "static" && req.body.webRoot !== undefined ? normalizeWebRoot(req.body.webRoot) : undefined
+    const apiPrefix = project.type === "dynamic" ? normalizeApiPrefix(req.body.apiPrefix) || undefined : undefined
+    const healthCheck = project.type === "dynamic" ? normalizeHealthCheck(req.body.healthCheck) || undefined : undefined
+    const resourceLimits =
+      project.type === "dynamic"
+        ? normalizeResourceLimits(req.body.resourceLimits, await getPlanLimits(req.userId)) || undefined
+        : undefined
+    const runtimeConfig = project.type === "dynamic" ? normalizeRuntimeConfig(req.body.runtimeConfig) ?? undefined : undefined
+    const source = getUpdateSource(req, project)
+    if (!source) {
+      return res.status(400).json({
+        success: false,
+        message: "Archive du projet (ZIP, tar, tar.gz ou tar.bz2) ou dépôt Git requis",
+      })
     }
 
-    const result = await db.collection("projects").insertOne(newProject)
-    const projectId = result.insertedId.toString()
+    if (source.kind === "archive" && (await rejectInvalidArchive(req, res))) return
 
-    // Nettoyer le fichier temporaire
-    await fs.unlink(tempFilePath)
-    tempFilePath = null
+    const job = jobManager.createJob(req.userId, {
+      kind: "update",
+      type: project.type,
+      projectName: project.name,
+      phases: getDeployPhases(project.type, source.kind),
+    })
+    logger.userAction(
+      req.userId,
+      "PROJECT_UPDATE_STARTED",
+      `Project: ${project.name}, ${source.kind === "git" ? `Repo: ${source.repoUrl}` : `File: ${source.file.originalname}`}, Job: ${job.id}`,
+    )
 
-    logger.deployment(req.userId, projectName, "static", "success", `Size: ${size}MB, Files: ${files.length}`)
+    jobManager.run(job, () =>
+      runProjectUpdate(job, {
+        userId: req.userId,
+        project,
+        description: req.body.description,
+        source,
+        webRoot,
+        apiPrefix,
+        healthCheck,
+        resourceLimits,
+        runtimeConfig,
+      }),
+    )
 
-    res.json({
+    res.status(202).json({
       success: true,
-      message: "Site statique déployé avec succès",
-      project: {
-        ...newProject,
-        id: projectId,
-        url: getStaticSiteUrl(projectName.trim()),
-      },
+      message: "Mise à jour lancée",
+      jobId: job.id,
+      job: jobManager.serializeJob(job),
     })
   } catch (error) {
-    logger.deployment(req.userId, req.body.projectName || "unknown", "static", "failed", error.message)
-
-    // Nettoyer en cas d'erreur
-    if (tempFilePath) {
-      try {
-        await fs.unlink(tempFilePath)
-      } catch (e) {
-        // Ignorer les erreurs de suppression
-      }
+    if (req.file) await fs.unlink(req.file.path).catch(() => {})
+    if (
+      error instanceof GitSourceError ||
+      error instanceof WebRootError ||
+      error instanceof ApiPrefixError ||
+      error instanceof HealthCheckError ||
+      error instanceof ResourceLimitError
+    ) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      })
     }
 
+    logger.error("PROJECT_UPDATE_ERROR", error.message, req.userId)
     res.status(500).json({
       success: false,
-      message: error.message || "Erreur lors du déploiement du site statique",
+      message: error.message || "Erreur lors de la mise à jour du projet",
     })
   }
 })
 
+// Historique des déploiements d'un projet (du plus récent au plus ancien)
+router.get("/projects/:projectId/deployments", authenticateToken, async (req, res) => {
+  try {
+    const db = getDB()
+    const { project, status, message } = await findUserProject(db, req.params.projectId, req.userId)
+    if (!project) {
+      return res.status(status).json({ success: false, message })
+    }
+
+    const deployments = await db
+      .collection("deployments")
+      .find({
+        projectId: project._id.toString(),
+      })
+      .toArray()
 
-// Déployer un site dynamique
-router.post("/deploy/dynamic", authenticateToken, upload.single("zipFile"), async (req, res) => {
-  let tempFilePath = null
-  let projectPath = null
-  let allocatedPort = null
+    deployments.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
 
+    res.json({
+      success: true,
+      deployments: deployments.map((deployment) => ({
+        ...deployment,
+        id: deployment._id.toString(),
+        current: deployment._id.toString() === project.currentDeploymentId,
+      })),
+    })
+  } catch (error) {
+    logger.error("GET_DEPLOYMENTS_ERROR", error.message, req.userId)
+    res.status(500).json({
+      success: false,
+      message: "Erreur lors de la récupération de l'historique des déploiements",
+    })
+  }
+})
+
+// Revenir à une release précédente
+router.post("/projects/:projectId/rollback/:deploymentId", authenticateToken, async (req, res) => {
   try {
-    logger.info("Début du déploiement dynamique", JSON.stringify({ userId: req.userId, body: req.body }))
+    const { deploymentId } = req.params
+    const db = getDB()
+    const { project, status, message } = await findUserProject(db, req.params.projectId, req.userId)
+    if (!project) {
+      return res.status(status).json({ success: false, message })
+    }
 
-    const { projectName, description } = req.body
+    const { ObjectId } = await import("mongodb")
+    const deployment = ObjectId.isValid(deploymentId)
+      ? await db.collection("deployments").findOne({ _id: new ObjectId(deploymentId) })
+      : null
 
-    if (!req.file) {
-      logger.error("Aucun fichier ZIP reçu", JSON.stringify({ userId: req.userId }))
-      return res.status(400).json({ success: false, message: "Fichier ZIP requis" })
+    if (!deployment || deployment.projectId !== project._id.toString()) {
+      return res.status(404).json({
+        success: false,
+        message: "Déploiement non trouvé",
+      })
     }
-    logger.info("Fichier ZIP reçu", JSON.stringify({ file: req.file.originalname, userId: req.userId }))
 
-    if (!projectName || !projectName.trim()) {
-      logger.error("Nom du projet manquant", JSON.stringify({ userId: req.userId }))
-      return res.status(400).json({ success: false, message: "Nom du projet requis" })
+    if (deployment.status !== "success" || deployment.action === "rollback") {
+      return res.status(400).json({
+        success: false,
+        message: "Seule une release déployée avec succès peut être restaurée",
+      })
     }
 
-    const db = getDB()
-    logger.info("Connexion à la base de données réussie", JSON.stringify({ userId: req.userId }))
+    const releasePath = getReleasePath(project.type, project.name, deployment.releaseId)
+    try {
+      await fs.access(releasePath)
+    } catch {
+      return res.status(410).json({
+        success: false,
+        message: "Les fichiers de cette release ne sont plus disponibles",
+      })
+    }
 
-    const existingProject = await db.collection("projects").findOne({
-      userId: req.userId,
-      name: projectName.trim(),
+    const job = jobManager.createJob(req.userId, {
+      kind: "rollback",
+      type: project.type,
+      projectName: project.name,
+      phases: ["start"],
     })
-    if (existingProject) {
-      logger.error("Projet déjà existant", JSON.stringify({ projectName, userId: req.userId }))
-      return res.status(409).json({ success: false, message: "Un projet avec ce nom existe déjà" })
-    }
+    logger.userAction(req.userId, "PROJECT_ROLLBACK_STARTED", `Project: ${project.name}, Job: ${job.id}`)
+    jobManager.run(job, () => runProjectRollback(job, { userId: req.userId, project, deployment }))
 
-    tempFilePath = req.file.path
-    logger.info("Chemin du fichier temporaire défini", JSON.stringify({ tempFilePath, userId: req.userId }))
-
-    // Créer le répertoire du projet
-    projectPath = await createProjectDirectory("dynamic", projectName.trim(), req.userId)
-    logger.info("Répertoire du projet créé", JSON.stringify({ projectPath, userId: req.userId }))
-
-    // Extraire le fichier ZIP temporairement
-    const tempExtractPath = path.join(projectPath, "temp_extract")
-    await fs.mkdir(tempExtractPath)
-    logger.info("Répertoire temporaire d'extraction créé", JSON.stringify({ tempExtractPath, userId: req.userId }))
-
-    const zip = new AdmZip(tempFilePath)
-    zip.extractAllTo(tempExtractPath, true)
-    logger.info("Extraction du ZIP terminée", JSON.stringify({ tempExtractPath, userId: req.userId }))
-
-    // Recherche récursive des dossiers frontend et backend
-    async function findDirs(root) {
-      let frontend = null, backend = null
-      let entries
-      try {
-        entries = await fs.readdir(root, { withFileTypes: true })
-      } catch (e) {
-        logger.error("Erreur lecture dossier dans findDirs", JSON.stringify({ root, error: e.message, userId: req.userId }))
-        return { frontend, backend }
-      }
-      for (const entry of entries) {
-        const fullPath = path.join(root, entry.name)
-        if (entry.isDirectory()) {
-          logger.info("Exploration dossier", JSON.stringify({ fullPath, userId: req.userId }))
-          if (entry.name.toLowerCase() === "frontend") frontend = fullPath
-          if (entry.name.toLowerCase() === "backend") backend = fullPath
-          if (!frontend || !backend) {
-            const sub = await findDirs(fullPath)
-            frontend = frontend || sub.frontend
-            backend = backend || sub.backend
-          }
-        }
-      }
-      return { frontend, backend }
+    res.status(202).json({
+      success: true,
+      message: "Restauration lancée",
+      jobId: job.id,
+      job: jobManager.serializeJob(job),
+    })
+  } catch (error) {
+    logger.error("ROLLBACK_ERROR", error.message, req.userId)
+    res.status(500).json({
+      success: false,
+      message: "Erreur lors du lancement de la restauration",
+    })
+  }
+})
+
+// Redémarrer un projet dynamique (après un arrêt sur plantages en boucle, par exemple)
+router.post("/projects/:projectId/restart", authenticateToken, async (req, res) => {
+  try {
+    const db = getDB()
+    const { project, status, message } = await findUserProject(db, req.params.projectId, req.userId)
+    if (!project) {
+      return res.status(status).json({ success: false, message })
     }
-    logger.info("Recherche des dossiers frontend et backend...", JSON.stringify({ tempExtractPath, userId: req.userId }))
-    const { frontend: frontendDir, backend: backendDir } = await findDirs(tempExtractPath)
-    logger.info("Résultat de la recherche", JSON.stringify({ frontendDir, backendDir, userId: req.userId }))
-    if (!frontendDir || !backendDir) {
-      logger.error("Dossiers frontend ou backend non trouvés", JSON.stringify({ tempExtractPath, userId: req.userId }))
-      throw new Error('Structure invalide: les dossiers "frontend" et "backend" sont requis')
+    if (project.type !== "dynamic") {
+      return res.status(400).json({
+        success: false,
+        message: "Seuls les projets dynamiques peuvent être redémarrés",
+      })
     }
 
-    // Vérifier les package.json
-    const frontendPackageJson = path.join(frontendDir, "package.json")
-    const backendPackageJson = path.join(backendDir, "package.json")
-    let frontendPackage, backendPackage
-    try {
-      logger.info("Lecture du package.json frontend", JSON.stringify({ frontendPackageJson, userId: req.userId }))
-      frontendPackage = JSON.parse(await fs.readFile(frontendPackageJson, "utf8"))
-    } catch (e) {
-      logger.error("Erreur lecture package.json frontend", JSON.stringify({ error: e.message, userId: req.userId }))
-      throw new Error("package.json manquant ou invalide dans le dossier frontend")
+    const job = jobManager.createJob(req.userId, {
+      kind: "restart",
+      type: project.type,
+      projectName: project.name,
+      phases: ["start"],
+    })
+    logger.userAction(req.userId, "PROJECT_RESTART_STARTED", `Project: ${project.name}, Job: ${job.id}`)
+    jobManager.run(job, () => runProjectRestart(job, { userId: req.userId, project }))
+
+    res.status(202).json({
+      success: true,
+      message: "Redémarrage lancé",
+      jobId: job.id,
+      job: jobManager.serializeJob(job),
+    })
+  } catch (error) {
+    logger.error("PROJECT_RESTART_ERROR", error.message, req.userId)
+    res.status(500).json({
+      success: false,
+      message: "Erreur lors du lancement du redémarrage",
+    })
+  }
+})
+
+// Nouveau build de la release en ligne (variables de build modifiées), sans nouvelle source
+router.post("/projects/:projectId/rebuild", authenticateToken, async (req, res) => {
+  try {
+    const db = getDB()
+    const { project, status, message } = await findUserProject(db, req.params.projectId, req.userId)
+    if (!project) {
+      return res.status(status).json({ success: false, message })
     }
-    try {
-      logger.info("Lecture du package.json backend", JSON.stringify({ backendPackageJson, userId: req.userId }))
-      backendPackage = JSON.parse(await fs.readFile(backendPackageJson, "utf8"))
-    } catch (e) {
-      logger.error("Erreur lecture package.json backend", JSON.stringify({ error: e.message, userId: req.userId }))
-      throw new Error("package.json manquant ou invalide dans le dossier backend")
+    if (project.type !== "dynamic") {
+      return res.status(400).json({
+        success: false,
+        message: "Seule la release d'un projet dynamique peut être rebuildée : redéployez le site statique",
+      })
     }
 
-    // Déplacer les dossiers à leur emplacement final
-    const finalFrontendDir = path.join(projectPath, "frontend")
-    const finalBackendDir = path.join(projectPath, "backend")
-    await fs.rm(finalFrontendDir, { recursive: true, force: true }).catch(() => {})
-    await fs.rm(finalBackendDir, { recursive: true, force: true }).catch(() => {})
-    logger.info("Suppression des anciens dossiers frontend/backend si existants", JSON.stringify({ userId: req.userId }))
-    await fs.rename(frontendDir, finalFrontendDir)
-    await fs.rename(backendDir, finalBackendDir)
-    logger.info("Déplacement des dossiers frontend/backend terminé", JSON.stringify({ userId: req.userId }))
-
-    // Nettoyer le dossier temporaire
-    await fs.rm(tempExtractPath, { recursive: true, force: true })
-    logger.info("Nettoyage du dossier temporaire terminé", JSON.stringify({ userId: req.userId }))
-
-    // Allouer un port pour le backend
-    allocatedPort = portManager.allocatePort(req.userId, projectName.trim())
-    logger.info("Port backend alloué", JSON.stringify({ allocatedPort, userId: req.userId }))
-
-    // Vérifier la configuration du frontend (.env)
-    const frontendEnvPath = path.join(finalFrontendDir, ".env")
-    let envVars = [
-      `VITE_API_URL=http://localhost:${allocatedPort}`,
-      `BACKEND_ADRESSE=http://localhost:${allocatedPort}`,
-    ]
-    let envContent = ""
-    try {
-      envContent = await fs.readFile(frontendEnvPath, "utf8")
-      envVars = envVars.filter(v => !envContent.includes(v.split("=")[0]))
-      logger.info("Lecture du fichier .env frontend réussie", JSON.stringify({ frontendEnvPath, userId: req.userId }))
-    } catch (e) {
-      logger.warn("Fichier .env frontend absent, il sera créé", JSON.stringify({ frontendEnvPath, userId: req.userId }))
+    const job = jobManager.createJob(req.userId, {
+      kind: "rebuild",
+      type: project.type,
+      projectName: project.name,
+      phases: ["install", "build", "start"],
+    })
+    logger.userAction(req.userId, "PROJECT_REBUILD_STARTED", `Project: ${project.name}, Job: ${job.id}`)
+    jobManager.run(job, () => runProjectRebuild(job, { userId: req.userId, project }))
+
+    res.status(202).json({
+      success: true,
+      message: "Rebuild lancé",
+      jobId: job.id,
+      job: jobManager.serializeJob(job),
+    })
+  } catch (error) {
+    logger.error("PROJECT_REBUILD_ERROR", error.message, req.userId)
+    res.status(500).json({
+      success: false,
+      message: "Erreur lors du lancement du rebuild",
+    })
+  }
+})
+
+// Variables d'environnement du projet (valeurs des secrets jamais renvoyées)
+router.get("/projects/:projectId/env", authenticateToken, async (req, res) => {
+  try {
+    const db = getDB()
+    const { project, status, message } = await findUserProject(db, req.params.projectId, req.userId)
+    if (!project) {
+      return res.status(status).json({ success: false, message })
     }
-    if (envVars.length) {
-      await fs.appendFile(frontendEnvPath, envVars.join("\n") + "\n")
-      logger.info("Ajout des variables au fichier .env frontend", JSON.stringify({ envVars, userId: req.userId }))
+
+    res.json({
+      success: true,
+      variables: await listEnvVars(req.userId, project.name),
+    })
+  } catch (error) {
+    logger.error("GET_ENV_VARS_ERROR", error.message, req.userId)
+    res.status(500).json({
+      success: false,
+      message: "Erreur lors de la récupération des variables",
+    })
+  }
+})
+
+// Créer ou modifier une variable : { value, scope, secret } (sans value, la valeur actuelle est conservée).
+// action : "restart" ou "rebuild" à proposer pour appliquer la modification
+router.put("/projects/:projectId/env/:name", authenticateToken, async (req, res) => {
+  try {
+    const db = getDB()
+    const { project, status, message } = await findUserProject(db, req.params.projectId, req.userId)
+    if (!project) {
+      return res.status(status).json({ success: false, message })
     }
 
-    // Vérifier les dépendances MongoDB
-    const usesMongoDB =
-      (backendPackage.dependencies && (backendPackage.dependencies.mongodb || backendPackage.dependencies.mongoose)) ||
-      (backendPackage.devDependencies && (backendPackage.devDependencies.mongodb || backendPackage.devDependencies.mongoose))
-    logger.info("Vérification MongoDB terminée", JSON.stringify({ usesMongoDB, userId: req.userId }))
+    const name = validateEnvVarName(req.params.name)
+    const input = normalizeEnvVarInput(req.body, project.type)
+    const { variable, previous } = await setEnvVar(req.userId, project.name, name, input)
+    logger.userAction(
+      req.userId,
+      previous ? "ENV_VAR_UPDATED" : "ENV_VAR_CREATED",
+      `Project: ${project.name}, Variable: ${name}, Scope: ${variable.scope}${variable.secret ? ", secret" : ""}`,
+    )
 
-    const size = Math.round(req.file.size / (1024 * 1024))
-    const newProject = {
-      userId: req.userId,
-      name: projectName.trim(),
-      description: description || "",
-      type: "dynamic",
-      status: "deployed",
-      createdAt: new Date(),
-      updatedAt: new Date(),
-      size,
-      port: allocatedPort,
-      usesMongoDB,
-      frontendPackage: frontendPackage.name,
-      backendPackage: backendPackage.name,
-      dependencies: {
-        frontend: Object.keys(frontendPackage.dependencies || {}),
-        backend: Object.keys(backendPackage.dependencies || {}),
-      },
+    res.status(previous ? 200 : 201).json({
+      success: true,
+      message: `Variable ${name} ${previous ? "modifiée" : "créée"}`,
+      variable,
+      action: getRequiredAction(project.type, variable, previous),
+    })
+  } catch (error) {
+    if (error instanceof EnvVarError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      })
     }
-    logger.info("Insertion du projet en base", JSON.stringify({ newProject, userId: req.userId }))
-    let projectId
-    try {
-      const result = await db.collection("projects").insertOne(newProject)
-      projectId = result.insertedId.toString()
-      logger.info("Projet inséré en base avec succès", JSON.stringify({ projectId, userId: req.userId }))
-    } catch (error) {
-      logger.error("Erreur lors de l'insertion du projet en base ou réponse API", JSON.stringify({ error: error.message, stack: error.stack, userId: req.userId }))
-      logger.deployment(req.userId, req.body.projectName || "unknown", "dynamic", "failed", error.message)
-      if (tempFilePath) await fs.unlink(tempFilePath).catch(() => {})
-      if (projectPath) await fs.rm(projectPath, { recursive: true, force: true }).catch(() => {})
-      if (allocatedPort) portManager.releasePort(allocatedPort, req.userId, req.body.projectName || "unknown")
-      return res.status(500).json({
+
+    logger.error("SET_ENV_VAR_ERROR", error.message, req.userId)
+    res.status(500).json({
+      success: false,
+      message: "Erreur lors de l'enregistrement de la variable",
+    })
+  }
+})
+
+router.delete("/projects/:projectId/env/:name", authenticateToken, async (req, res) => {
+  try {
+    const db = getDB()
+    const { project, status, message } = await findUserProject(db, req.params.projectId, req.userId)
+    if (!project) {
+      return res.status(status).json({ success: false, message })
+    }
+
+    const removed = await deleteEnvVar(req.userId, project.name, req.params.name)
+    if (!removed) {
+      return res.status(404).json({
         success: false,
-        message: error.message || "Erreur lors du déploiement du site dynamique",
+        message: "Variable non trouvée",
       })
     }
+    logger.userAction(req.userId, "ENV_VAR_DELETED", `Project: ${project.name}, Variable: ${removed.name}`)
+
+    res.json({
+      success: true,
+      message: `Variable ${removed.name} supprimée`,
+      action: getRequiredAction(project.type, removed),
+    })
+  } catch (error) {
+    logger.error("DELETE_ENV_VAR_ERROR", error.message, req.userId)
+    res.status(500).json({
+      success: false,
+      message: "Erreur lors de la suppression de la variable",
+    })
+  }
+})
 
-    // Nettoyer le fichier temporaire
-    await fs.unlink(tempFilePath)
-    tempFilePath = null
-    logger.info("Fichier temporaire supprimé", JSON.stringify({ userId: req.userId }))
+// Connexion à la base MongoDB provisionnée pour le projet (URI complète, avec mot de passe)
+router.get("/projects/:projectId/database", authenticateToken, async (req, res) => {
+  try {
+    const db = getDB()
+    const { project, status, message } = await findUserProject(db, req.params.projectId, req.userId)
+    if (!project) {
+      return res.status(status).json({ success: false, message })
+    }
 
-    logger.deployment(
-      req.userId,
-      projectName,
-      "dynamic",
-      "success",
-      `Port: ${allocatedPort}, MongoDB: ${usesMongoDB}, Size: ${size}MB`,
-    )
+    const database = await getProjectDatabaseConnection(req.userId, project.name)
+    if (!database) {
+      return res.status(404).json({
+        success: false,
+        message: "Aucune base provisionnée pour ce projet",
+      })
+    }
+    logger.userAction(req.userId, "PROJECT_DATABASE_VIEWED", `Project: ${project.name}`)
 
     res.json({
       success: true,
-      message: "Site dynamique déployé avec succès",
-      project: {
-        ...newProject,
-        id: projectId,
-        url: getDynamicSiteUrl(allocatedPort),
-      },
-      notes: [
-        "Le projet a été déployé avec succès",
-        `Backend accessible sur le port ${allocatedPort}`,
-        usesMongoDB ? "MongoDB requis - instance automatique configurée" : "Aucune base de données détectée",
-        envVars.length ? "Fichier .env mis à jour automatiquement" : "Configuration .env existante respectée",
-      ],
+      database,
     })
   } catch (error) {
-    logger.error("Erreur lors du déploiement dynamique", JSON.stringify({ error: error.message, stack: error.stack, userId: req.userId }))
-    logger.deployment(req.userId, req.body.projectName || "unknown", "dynamic", "failed", error.message)
-    if (tempFilePath) await fs.unlink(tempFilePath).catch(() => {})
-    if (projectPath) await fs.rm(projectPath, { recursive: true, force: true }).catch(() => {})
-    if (allocatedPort) portManager.releasePort(allocatedPort, req.userId, req.body.projectName || "unknown")
+    logger.error("GET_PROJECT_DATABASE_ERROR", error.message, req.userId)
     res.status(500).json({
       success: false,
-      message: error.message || "Erreur lors du déploiement du site dynamique",
+      message: "Erreur lors de la récupération de la base du projet",
     })
   }
 })
+
 // Obtenir les logs récents
 router.get("/logs", authenticateToken, async (req, res) => {
   try {
@@ -428,6 +751,9 @@ router.get("/system/info", authenticateToken, async (req, res) => {
       system: {
         usedPorts,
         availablePorts: `${portManager.minPort}-${portManager.maxPort}`,
+        reservedPorts: portManager.getReservedPorts(),
+        // Limites de ressources des backends de l'utilisateur (offre)
+        resourceLimits: await getPlanLimits(req.userId),
         uptime: Math.floor(process.uptime()),
         memoryUsage: process.memoryUsage(),
         nodeVersion: process.version,
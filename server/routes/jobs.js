@@ -0,0 +1,144 @@
+import express from "express"
+import { authenticateToken } from "../utils/auth.js"
+import { logger } from "../utils/logger.js"
+import { jobManager } from "../utils/jobManager.js"
+
+const router = express.Router()
+
+// Obtenir les jobs récents de l'utilisateur
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      jobs: jobManager.getUserJobs(req.userId).map((job) => jobManager.serializeJob(job)),
+    })
+  } catch (error) {
+    logger.error("GET_JOBS_ERROR", error.message, req.userId)
+    res.status(500).json({
+      success: false,
+      message: "Erreur lors de la récupération des jobs",
+    })
+  }
+})
+
+// Obtenir l'état d'un job (phase, progression, durées, résultat ou erreur)
+router.get("/:jobId", authenticateToken, async (req, res) => {
+  try {
+    const job = jobManager.getJob(req.params.jobId)
+
+    if (!job || job.userId !== req.userId) {
+      return res.status(404).json({
+        success: false,
+        message: "Job non trouvé",
+      })
+    }
+
+    res.json({
+      success: true,
+      job: jobManager.serializeJob(job),
+    })
+  } catch (error) {
+    logger.error("GET_JOB_ERROR", error.message, req.userId)
+    res.status(500).json({
+      success: false,
+      message: "Erreur lors de la récupération du job",
+    })
+  }
+})
+
+// Annuler un job : retiré de la file d'attente, ou arrêté avec ses commandes en cours
+// (le déploiement est alors annulé et la version précédente reste en ligne).
+// Une fois le démarrage du projet commencé, le job va jusqu'au bout.
+router.post("/:jobId/cancel", authenticateToken, async (req, res) => {
+  try {
+    const job = jobManager.getJob(req.params.jobId)
+
+    if (!job || job.userId !== req.userId) {
+      return res.status(404).json({
+        success: false,
+        message: "Job non trouvé",
+      })
+    }
+
+    if (job.finishedAt || job.phase === "start") {
+      return res.status(409).json({
+        success: false,
+        message: job.finishedAt ? "Ce job est déjà terminé" : "Le projet est en cours de démarrage : le job ne peut plus être annulé",
+      })
+    }
+
+    jobManager.cancelJob(job)
+    logger.userAction(req.userId, "JOB_CANCEL_REQUESTED", `Job: ${job.id}, Project: ${job.projectName}`)
+    res.json({
+      success: true,
+      message: job.status === "cancelled" ? "Job annulé" : "Annulation en cours",
+      job: jobManager.serializeJob(job),
+    })
+  } catch (error) {
+    logger.error("CANCEL_JOB_ERROR", error.message, req.userId)
+    res.status(500).json({
+      success: false,
+      message: "Erreur lors de l'annulation du job",
+    })
+  }
+})
+
+// Flux Server-Sent Events des logs d'un job : les lignes déjà produites sont
+// rejouées (à partir de Last-Event-ID si fourni), puis la connexion reste ouverte
+// jusqu'à la fin du job. Un job terminé peut être rouvert tant qu'il est conservé.
+router.get("/:jobId/logs", authenticateToken, (req, res) => {
+  const job = jobManager.getJob(req.params.jobId)
+
+  if (!job || job.userId !== req.userId) {
+    return res.status(404).json({
+      success: false,
+      message: "Job non trouvé",
+    })
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  })
+  res.flushHeaders()
+
+  const sendEvent = (event, data, id) => {
+    if (id !== undefined) res.write(`id: ${id}\n`)
+    res.write(`event: ${event}\n`)
+    res.write(`data: ${JSON.stringify(data)}\n\n`)
+  }
+
+  const lastLogId = Number.parseInt(req.get("Last-Event-ID") || req.query.since, 10) || 0
+  jobManager.getLogsSince(job, lastLogId).forEach((entry) => sendEvent("log", entry, entry.id))
+
+  if (job.finishedAt) {
+    sendEvent("end", jobManager.serializeJob(job))
+    return res.end()
+  }
+
+  const onLog = (logJob, entry) => {
+    if (logJob === job) sendEvent("log", entry, entry.id)
+  }
+  const onFinished = (finishedJob) => {
+    if (finishedJob !== job) return
+    sendEvent("end", jobManager.serializeJob(job))
+    cleanup()
+    res.end()
+  }
+  // Commentaire SSE périodique pour garder la connexion ouverte derrière un proxy
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 15000)
+
+  const cleanup = () => {
+    clearInterval(heartbeat)
+    jobManager.off("log", onLog)
+    jobManager.off("finished", onFinished)
+  }
+
+  jobManager.on("log", onLog)
+  jobManager.on("finished", onFinished)
+  req.on("close", cleanup)
+})
+
+export default router
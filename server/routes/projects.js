@@ -2,7 +2,8 @@ import express from "express"
 import { getDB } from "../config/database.js"
 import { authenticateToken } from "../utils/auth.js"
 import { logger } from "../utils/logger.js"
-import { getStaticSiteUrl, getDynamicSiteUrl } from "../utils/fileSystem.js"
+import { getProjectUrl, runProjectDelete } from "../utils/deployment.js"
+import { jobManager } from "../utils/jobManager.js"
 
 const router = express.Router()
 
@@ -21,7 +22,7 @@ router.get("/", authenticateToken, async (req, res) => {
     const userProjects = projects.map((project) => ({
       ...project,
       id: project._id.toString(),
-      url: project.type === "static" ? getStaticSiteUrl(project.name) : getDynamicSiteUrl(project.port),
+      url: getProjectUrl(project),
     }))
 
     res.json({
@@ -67,7 +68,7 @@ router.get("/:projectId", authenticateToken, async (req, res) => {
       project: {
         ...project,
         id: project._id.toString(),
-        url: project.type === "static" ? getStaticSiteUrl(project.name) : getDynamicSiteUrl(project.port),
+        url: getProjectUrl(project),
       },
     })
   } catch (error) {
@@ -86,9 +87,9 @@ router.delete("/:projectId", authenticateToken, async (req, res) => {
     const db = getDB()
 
     const { ObjectId } = await import("mongodb")
-    const project = await db.collection("projects").findOne({
-      _id: new ObjectId(projectId),
-    })
+    const project = ObjectId.isValid(projectId)
+      ? await db.collection("projects").findOne({ _id: new ObjectId(projectId) })
+      : null
 
     if (!project) {
       return res.status(404).json({
@@ -104,19 +105,31 @@ router.delete("/:projectId", authenticateToken, async (req, res) => {
       })
     }
 
-    // Supprimer le projet de la base de données
-    await db.collection("projects").deleteOne({
-      _id: new ObjectId(projectId),
+    // Les jobs du projet (déploiement, mise à jour, redémarrage...) sont annulés : la suppression
+    // passe par la file des jobs et ne démarre qu'une fois celui en cours arrêté
+    const activeJobs = jobManager.getActiveProjectJobs(req.userId, project.name)
+    if (activeJobs.some((job) => job.kind === "delete")) {
+      return res.status(409).json({
+        success: false,
+        message: "Suppression déjà en cours",
+      })
+    }
+    await db.collection("projects").updateOne({ _id: project._id }, { $set: { status: "deleting", updatedAt: new Date() } })
+    activeJobs.forEach((job) => jobManager.cancelJob(job))
+
+    const job = jobManager.createJob(req.userId, {
+      kind: "delete",
+      type: project.type,
+      projectName: project.name,
+      phases: ["delete"],
     })
+    jobManager.run(job, () => runProjectDelete(job, { userId: req.userId, project }))
 
-    // TODO: Supprimer les fichiers du projet et arrêter les processus
-    // deleteProjectDirectory(project.type, project.name, req.userId);
-
-    logger.userAction(req.userId, "PROJECT_DELETED", `Project: ${project.name}, Type: ${project.type}`)
-
-    res.json({
+    res.status(202).json({
       success: true,
-      message: "Projet supprimé avec succès",
+      message: "Suppression lancée",
+      jobId: job.id,
+      job: jobManager.serializeJob(job),
     })
   } catch (error) {
     logger.error("DELETE_PROJECT_ERROR", error.message, req.userId)
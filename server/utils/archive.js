@@ -0,0 +1,296 @@
+import AdmZip from 'adm-zip';
+import tar from 'tar-stream';
+import unbzip2 from 'unbzip2-stream';
+import zlib from 'zlib';
+import fs from 'fs/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import { pipeline } from 'stream/promises';
+import path from 'path';
+import { logger } from './logger.js';
+
+// Limites d'extraction, configurables par variables d'environnement
+// (lues à l'appel : le module est chargé avant dotenv)
+export function getArchiveLimits(env = process.env) {
+  return {
+    // Taille totale décompressée (octets)
+    maxTotalSize: Number(env.ARCHIVE_MAX_TOTAL_SIZE) || 500 * 1024 * 1024,
+    // Nombre d'entrées (fichiers et dossiers)
+    maxEntries: Number(env.ARCHIVE_MAX_ENTRIES) || 20000,
+    // Rapport taille décompressée / taille compressée
+    maxCompressionRatio: Number(env.ARCHIVE_MAX_COMPRESSION_RATIO) || 100,
+  };
+}
+
+// En dessous de cette taille, un fort taux de compression est normal (fichiers texte vides ou répétitifs)
+const RATIO_CHECK_MIN_SIZE = 1024 * 1024;
+
+// Masque et type "lien symbolique" des attributs Unix (stockés dans les 16 bits de poids fort)
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+
+// Archive refusée : l'erreur vient du contenu envoyé par l'utilisateur (HTTP 400)
+export class ArchiveError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ArchiveError';
+    this.status = 400;
+  }
+}
+
+// Types MIME annoncés par les navigateurs et outils pour les formats acceptés
+const ARCHIVE_MIME_TYPES = [
+  'application/zip',
+  'application/x-zip-compressed',
+  'application/x-tar',
+  'application/gzip',
+  'application/x-gzip',
+  'application/x-compressed-tar',
+  'application/x-bzip2',
+  'application/x-bzip-compressed-tar',
+  'application/octet-stream',
+];
+const ARCHIVE_EXTENSIONS = ['.zip', '.tar', '.tar.gz', '.tgz', '.tar.bz2', '.tbz2', '.tbz'];
+
+// Filtre d'upload : le contenu n'est pas encore disponible, le type annoncé sert de premier tri.
+// Le format réel est ensuite déterminé par detectArchiveFormat.
+export function isArchiveUpload(file) {
+  const name = file.originalname.toLowerCase();
+  return ARCHIVE_MIME_TYPES.includes(file.mimetype) || ARCHIVE_EXTENSIONS.some((ext) => name.endsWith(ext));
+}
+
+// Identifie le format d'après les premiers octets du fichier (l'extension n'est pas fiable)
+export async function detectArchiveFormat(filePath) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(512), 0, 512, 0);
+    const bytes = buffer.subarray(0, bytesRead);
+
+    // "PK\x03\x04" (ou "PK\x05\x06" pour une archive vide)
+    if (bytes[0] === 0x50 && bytes[1] === 0x4b && ((bytes[2] === 3 && bytes[3] === 4) || (bytes[2] === 5 && bytes[3] === 6))) {
+      return 'zip';
+    }
+    if (bytes[0] === 0x1f && bytes[1] === 0x8b) return 'tar.gz';
+    if (bytes.subarray(0, 3).toString('latin1') === 'BZh') return 'tar.bz2';
+    // En-tête ustar/GNU : signature "ustar" à l'offset 257
+    if (bytes.subarray(257, 262).toString('latin1') === 'ustar') return 'tar';
+    return null;
+  } finally {
+    await handle.close();
+  }
+}
+
+function isSymlink(entry) {
+  return ((entry.header.attr >>> 16) & S_IFMT) === S_IFLNK;
+}
+
+// Chemin de destination d'une entrée, garanti à l'intérieur de targetDir
+function resolveEntryPath(targetDir, entryName) {
+  const name = entryName.replace(/\\/g, '/');
+
+  if (name.includes('\0')) {
+    throw new ArchiveError(`Nom de fichier invalide dans l'archive: ${JSON.stringify(entryName)}`);
+  }
+  if (name.startsWith('/') || /^[a-zA-Z]:/.test(name)) {
+    throw new ArchiveError(`Chemin absolu interdit dans l'archive: ${entryName}`);
+  }
+
+  const root = path.resolve(targetDir);
+  const destination = path.resolve(root, name);
+  if (destination !== root && !destination.startsWith(root + path.sep)) {
+    throw new ArchiveError(`Chemin hors du dossier du projet interdit dans l'archive: ${entryName}`);
+  }
+  return destination;
+}
+
+function formatSize(bytes) {
+  return `${Math.round(bytes / (1024 * 1024))}MB`;
+}
+
+// Ouvre une archive ZIP et vérifie chaque entrée sans rien écrire sur le disque
+function inspectZip(archivePath, limits) {
+  let zip;
+  try {
+    zip = new AdmZip(archivePath);
+  } catch (error) {
+    throw new ArchiveError(`Archive ZIP invalide ou corrompue: ${error.message}`);
+  }
+
+  const entries = zip.getEntries();
+  if (entries.length > limits.maxEntries) {
+    throw new ArchiveError(`L'archive contient trop de fichiers (${entries.length}, maximum ${limits.maxEntries})`);
+  }
+
+  let totalSize = 0;
+  let compressedSize = 0;
+
+  for (const entry of entries) {
+    // Valide le chemin (zip-slip, chemins absolus) par rapport à une racine fictive
+    resolveEntryPath('/archive', entry.entryName);
+
+    if (isSymlink(entry)) {
+      throw new ArchiveError(`Les liens symboliques ne sont pas autorisés dans l'archive: ${entry.entryName}`);
+    }
+    if (entry.header.encrypted) {
+      throw new ArchiveError(`Les fichiers chiffrés ne sont pas supportés: ${entry.entryName}`);
+    }
+    if (entry.isDirectory) continue;
+
+    const { size, compressedSize: entryCompressedSize } = entry.header;
+    if (size >= RATIO_CHECK_MIN_SIZE && size / Math.max(entryCompressedSize, 1) > limits.maxCompressionRatio) {
+      throw new ArchiveError(`Taux de compression suspect pour ${entry.entryName} (maximum ${limits.maxCompressionRatio}:1)`);
+    }
+
+    totalSize += size;
+    compressedSize += entryCompressedSize;
+    if (totalSize > limits.maxTotalSize) {
+      throw new ArchiveError(`L'archive décompressée dépasse la taille maximale autorisée (${formatSize(limits.maxTotalSize)})`);
+    }
+  }
+
+  if (totalSize >= RATIO_CHECK_MIN_SIZE && totalSize / Math.max(compressedSize, 1) > limits.maxCompressionRatio) {
+    throw new ArchiveError(`Taux de compression global suspect (maximum ${limits.maxCompressionRatio}:1)`);
+  }
+
+  return { zip, entries, totalSize };
+}
+
+// Parcourt une archive tar (éventuellement compressée) en vérifiant chaque entrée.
+// Sans output ({ targetDir, write }), le contenu est simplement lu et ignoré (inspection).
+// signal : AbortSignal du job, qui interrompt le parcours
+async function walkTar(archivePath, format, limits, output, signal = null) {
+  signal?.throwIfAborted();
+  const { size: archiveSize } = await fs.stat(archivePath);
+  const source = createReadStream(archivePath);
+  const decompressor = format === 'tar.gz' ? zlib.createGunzip() : format === 'tar.bz2' ? unbzip2() : null;
+  const extract = tar.extract();
+
+  // Les erreurs de lecture ou de décompression interrompent le parcours, comme l'annulation du job
+  const forwardError = (error) => extract.destroy(error);
+  const onAbort = () => extract.destroy(signal.reason);
+  signal?.addEventListener('abort', onAbort, { once: true });
+  source.on('error', forwardError);
+  if (decompressor) {
+    decompressor.on('error', forwardError);
+    source.pipe(decompressor).pipe(extract);
+  } else {
+    source.pipe(extract);
+  }
+
+  let entries = 0;
+  let files = 0;
+  let totalSize = 0;
+
+  try {
+    for await (const entry of extract) {
+      const { name, type, size } = entry.header;
+      entries++;
+
+      if (entries > limits.maxEntries) {
+        throw new ArchiveError(`L'archive contient trop de fichiers (plus de ${limits.maxEntries})`);
+      }
+      const destination = resolveEntryPath(output ? output.targetDir : '/archive', name);
+
+      if (type === 'symlink' || type === 'link') {
+        throw new ArchiveError(`Les liens symboliques ne sont pas autorisés dans l'archive: ${name}`);
+      }
+      if (type !== 'file' && type !== 'directory') {
+        throw new ArchiveError(`Type d'entrée non supporté dans l'archive (${type}): ${name}`);
+      }
+
+      totalSize += size;
+      if (totalSize > limits.maxTotalSize) {
+        throw new ArchiveError(`L'archive décompressée dépasse la taille maximale autorisée (${formatSize(limits.maxTotalSize)})`);
+      }
+      if (totalSize >= RATIO_CHECK_MIN_SIZE && totalSize / archiveSize > limits.maxCompressionRatio) {
+        throw new ArchiveError(`Taux de compression global suspect (maximum ${limits.maxCompressionRatio}:1)`);
+      }
+
+      if (type === 'file') files++;
+      if (output) {
+        await output.write(entry, type, destination);
+      } else {
+        entry.resume();
+      }
+    }
+  } catch (error) {
+    if (signal?.aborted) throw signal.reason;
+    // À l'écriture, l'archive a déjà été validée : une erreur vient alors du disque
+    if (error instanceof ArchiveError || output) throw error;
+    throw new ArchiveError(`Archive ${format} invalide ou corrompue: ${error.message}`);
+  } finally {
+    signal?.removeEventListener('abort', onAbort);
+    source.destroy();
+    if (decompressor) decompressor.destroy();
+  }
+
+  return { entries, files, totalSize };
+}
+
+// Vérifie une archive (ZIP ou tar) sans rien écrire sur le disque.
+// Lève une ArchiveError si le format est inconnu, l'archive invalide ou hors limites.
+export async function inspectArchive(archivePath, limits = getArchiveLimits(), signal = null) {
+  const format = await detectArchiveFormat(archivePath);
+  if (!format) {
+    throw new ArchiveError('Format d\'archive non supporté (ZIP, tar, tar.gz ou tar.bz2 attendu)');
+  }
+
+  if (format === 'zip') {
+    const { zip, entries, totalSize } = inspectZip(archivePath, limits);
+    return { format, zip, entries: entries.length, files: entries.filter((e) => !e.isDirectory).length, totalSize };
+  }
+  return { format, ...(await walkTar(archivePath, format, limits, null, signal)) };
+}
+
+async function extractZip(zip, targetDir, signal) {
+  for (const entry of zip.getEntries()) {
+    signal?.throwIfAborted();
+    const destination = resolveEntryPath(targetDir, entry.entryName);
+
+    if (entry.isDirectory) {
+      await fs.mkdir(destination, { recursive: true });
+      continue;
+    }
+
+    await fs.mkdir(path.dirname(destination), { recursive: true });
+    // Une taille déclarée nulle désactive la limite de décompression d'adm-zip
+    const data = entry.header.size === 0 ? Buffer.alloc(0) : entry.getData();
+    if (data.length !== entry.header.size) {
+      throw new ArchiveError(`Contenu incohérent avec l'en-tête pour ${entry.entryName}`);
+    }
+    await fs.writeFile(destination, data);
+  }
+}
+
+async function writeTarEntry(entry, type, destination) {
+  if (type === 'directory') {
+    await fs.mkdir(destination, { recursive: true });
+    entry.resume();
+    return;
+  }
+  await fs.mkdir(path.dirname(destination), { recursive: true });
+  await pipeline(entry, createWriteStream(destination));
+}
+
+// Extraction sûre : l'archive entière est vérifiée avant d'écrire quoi que ce soit,
+// puis chaque entrée est revérifiée au moment de l'écriture.
+// adm-zip borne la décompression à la taille déclarée dans l'en-tête, déjà contrôlée.
+// signal : AbortSignal du job de déploiement (annulation, délai de la phase extract)
+export async function extractArchive(archivePath, targetDir, userId, signal = null, limits = getArchiveLimits()) {
+  let inspection;
+  try {
+    inspection = await inspectArchive(archivePath, limits, signal);
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    logger.warn('ARCHIVE_REJECTED', `File: ${path.basename(archivePath)}, Reason: ${error.message}`, userId);
+    throw error;
+  }
+
+  const { format, zip, entries, files, totalSize } = inspection;
+  if (format === 'zip') {
+    await extractZip(zip, targetDir, signal);
+  } else {
+    await walkTar(archivePath, format, limits, { targetDir, write: writeTarEntry }, signal);
+  }
+
+  return { format, entries, files, totalSize };
+}
@@ -0,0 +1,192 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import AdmZip from 'adm-zip';
+import tar from 'tar-stream';
+import { ArchiveError, extractArchive, getArchiveLimits, inspectArchive } from './archive.js';
+
+// Archives de test écrites dans un dossier temporaire. adm-zip nettoie les noms passés à
+// addFile : les noms et attributs hostiles sont posés ensuite sur les entrées.
+let workDir;
+
+before(async () => {
+  workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'archive-test-'));
+});
+
+after(async () => {
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+let fixtureCount = 0;
+
+function makeZip(entries) {
+  const zip = new AdmZip();
+  entries.forEach(({ content = 'contenu' }, index) => zip.addFile(`entree-${index}`, Buffer.from(content)));
+  zip.getEntries().forEach((entry, index) => {
+    const { name, attr } = entries[index];
+    entry.entryName = name;
+    if (attr !== undefined) entry.header.attr = attr;
+  });
+  const archivePath = path.join(workDir, `fixture-${++fixtureCount}.zip`);
+  zip.writeZip(archivePath);
+  return archivePath;
+}
+
+// Archive tar (gzip : true pour un .tar.gz) ; entrées { name, content, type, linkname }
+async function makeTar(entries, { gzip = false } = {}) {
+  const pack = tar.pack();
+  // Lu en parallèle : sans lecteur, une grosse entrée bloque l'écriture (backpressure)
+  const chunks = [];
+  pack.on('data', (chunk) => chunks.push(chunk));
+  const ended = new Promise((resolve, reject) => pack.on('end', resolve).on('error', reject));
+
+  for (const { content = 'contenu', ...header } of entries) {
+    const body = header.type && header.type !== 'file' ? undefined : Buffer.from(content);
+    await new Promise((resolve, reject) => pack.entry(header, body, (error) => (error ? reject(error) : resolve())));
+  }
+  pack.finalize();
+  await ended;
+
+  const data = Buffer.concat(chunks);
+  const archivePath = path.join(workDir, `fixture-${++fixtureCount}.${gzip ? 'tar.gz' : 'tar'}`);
+  await fs.writeFile(archivePath, gzip ? zlib.gzipSync(data) : data);
+  return archivePath;
+}
+
+async function rejects(archivePath, pattern, limits = getArchiveLimits({})) {
+  await assert.rejects(inspectArchive(archivePath, limits), (error) => {
+    assert.ok(error instanceof ArchiveError, `ArchiveError attendue, reçu ${error.name}`);
+    assert.equal(error.status, 400);
+    assert.match(error.message, pattern);
+    return true;
+  });
+}
+
+test('une archive ZIP valide est extraite', async () => {
+  const archivePath = makeZip([
+    { name: 'index.html', content: '<h1>Bonjour</h1>' },
+    { name: 'assets/app.js', content: 'console.log(1)' },
+  ]);
+  const targetDir = await fs.mkdtemp(path.join(workDir, 'site-'));
+
+  const result = await extractArchive(archivePath, targetDir, 'u-test');
+
+  assert.equal(result.format, 'zip');
+  assert.equal(result.files, 2);
+  assert.equal(await fs.readFile(path.join(targetDir, 'assets/app.js'), 'utf8'), 'console.log(1)');
+});
+
+test('ZIP : un chemin remontant hors du dossier (zip-slip) est refusé sans rien écrire', async () => {
+  const archivePath = makeZip([
+    { name: 'index.html' },
+    { name: '../evil.txt' },
+  ]);
+  const targetDir = await fs.mkdtemp(path.join(workDir, 'site-'));
+
+  await rejects(archivePath, /hors du dossier du projet/);
+  await assert.rejects(extractArchive(archivePath, targetDir, 'u-test'), ArchiveError);
+  assert.deepEqual(await fs.readdir(targetDir), []);
+  await assert.rejects(fs.access(path.join(workDir, 'evil.txt')));
+});
+
+test('ZIP : les chemins absolus sont refusés', async () => {
+  await rejects(makeZip([{ name: '/etc/cron.d/evil' }]), /Chemin absolu interdit/);
+  await rejects(makeZip([{ name: 'C:/Windows/evil.txt' }]), /Chemin absolu interdit/);
+  await rejects(makeZip([{ name: '..\\..\\evil.txt' }]), /hors du dossier du projet/);
+});
+
+test('ZIP : un lien symbolique est refusé', async () => {
+  // Type "lien symbolique" dans les 16 bits de poids fort des attributs externes
+  const attr = (0o120777 << 16) >>> 0;
+  await rejects(makeZip([{ name: 'lien', content: '/etc/passwd', attr }]), /liens symboliques/);
+});
+
+test('ZIP : un nom contenant un caractère NUL est refusé', async () => {
+  await rejects(makeZip([{ name: 'index.html\0.png' }]), /Nom de fichier invalide/);
+});
+
+test('ZIP : le nombre d\'entrées est limité', async () => {
+  const archivePath = makeZip([{ name: 'a.txt' }, { name: 'b.txt' }, { name: 'c.txt' }]);
+  await rejects(archivePath, /trop de fichiers \(3, maximum 2\)/, { ...getArchiveLimits({}), maxEntries: 2 });
+});
+
+test('ZIP : la taille décompressée totale est limitée', async () => {
+  const archivePath = makeZip([{ name: 'a.txt', content: 'x'.repeat(600) }, { name: 'b.txt', content: 'y'.repeat(600) }]);
+  await rejects(archivePath, /taille maximale autorisée/, { ...getArchiveLimits({}), maxTotalSize: 1000 });
+});
+
+test('ZIP : un taux de compression suspect (bombe) est refusé', async () => {
+  const archivePath = makeZip([{ name: 'zeros.bin', content: Buffer.alloc(4 * 1024 * 1024) }]);
+  await rejects(archivePath, /Taux de compression suspect pour zeros\.bin/);
+});
+
+test('les limites sont lues dans l\'environnement au moment de l\'appel', () => {
+  const limits = getArchiveLimits({ ARCHIVE_MAX_TOTAL_SIZE: '1024', ARCHIVE_MAX_ENTRIES: '5', ARCHIVE_MAX_COMPRESSION_RATIO: '10' });
+  assert.deepEqual(limits, { maxTotalSize: 1024, maxEntries: 5, maxCompressionRatio: 10 });
+});
+
+test('une archive tar.gz valide est reconnue à son contenu et extraite', async () => {
+  const archivePath = await makeTar(
+    [
+      { name: 'site', type: 'directory' },
+      { name: 'site/index.html', content: '<h1>Bonjour</h1>' },
+    ],
+    { gzip: true },
+  );
+  // Extension trompeuse : seuls les premiers octets comptent
+  const renamed = archivePath.replace(/\.tar\.gz$/, '.zip');
+  await fs.rename(archivePath, renamed);
+  const targetDir = await fs.mkdtemp(path.join(workDir, 'site-'));
+
+  const result = await extractArchive(renamed, targetDir, 'u-test');
+
+  assert.equal(result.format, 'tar.gz');
+  assert.equal(result.files, 1);
+  assert.equal(await fs.readFile(path.join(targetDir, 'site/index.html'), 'utf8'), '<h1>Bonjour</h1>');
+});
+
+test('un fichier qui n\'est pas une archive est refusé', async () => {
+  const filePath = path.join(workDir, 'site.tar');
+  await fs.writeFile(filePath, 'pas une archive');
+  await rejects(filePath, /Format d'archive non supporté/);
+});
+
+test('tar : un chemin remontant hors du dossier est refusé sans rien écrire', async () => {
+  const archivePath = await makeTar([{ name: 'index.html' }, { name: '../../evil.txt' }]);
+  const targetDir = await fs.mkdtemp(path.join(workDir, 'site-'));
+
+  await rejects(archivePath, /hors du dossier du projet/);
+  await assert.rejects(extractArchive(archivePath, targetDir, 'u-test'), ArchiveError);
+  assert.deepEqual(await fs.readdir(targetDir), []);
+});
+
+test('tar : les chemins absolus sont refusés', async () => {
+  await rejects(await makeTar([{ name: '/etc/cron.d/evil' }]), /Chemin absolu interdit/);
+});
+
+test('tar : les liens symboliques et les liens physiques sont refusés', async () => {
+  await rejects(await makeTar([{ name: 'lien', type: 'symlink', linkname: '/etc/passwd' }]), /liens symboliques/);
+  await rejects(await makeTar([{ name: 'index.html' }, { name: 'copie', type: 'link', linkname: '/etc/passwd' }]), /liens symboliques/);
+});
+
+test('tar : les fichiers spéciaux sont refusés', async () => {
+  await rejects(await makeTar([{ name: 'fifo', type: 'fifo' }]), /Type d'entrée non supporté dans l'archive \(fifo\)/);
+});
+
+test('tar : le nombre d\'entrées est limité', async () => {
+  const archivePath = await makeTar([{ name: 'a.txt' }, { name: 'b.txt' }, { name: 'c.txt' }]);
+  await rejects(archivePath, /trop de fichiers \(plus de 2\)/, { ...getArchiveLimits({}), maxEntries: 2 });
+});
+
+test('tar : la taille décompressée totale est limitée', async () => {
+  const archivePath = await makeTar([{ name: 'a.txt', content: 'x'.repeat(600) }, { name: 'b.txt', content: 'y'.repeat(600) }]);
+  await rejects(archivePath, /taille maximale autorisée/, { ...getArchiveLimits({}), maxTotalSize: 1000 });
+});
+
+test('tar.gz : un taux de compression suspect (bombe) est refusé', async () => {
+  const archivePath = await makeTar([{ name: 'zeros.bin', content: Buffer.alloc(4 * 1024 * 1024) }], { gzip: true });
+  await rejects(archivePath, /Taux de compression global suspect/);
+});
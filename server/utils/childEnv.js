@@ -0,0 +1,86 @@
+import { logger } from './logger.js';
+
+// Environnement des processus lancés pour les projets (installation, build, exécution, git).
+// Rien n'est hérité de la plateforme en dehors d'une liste de variables de base :
+// les secrets de la plateforme (JWT_SECRET, MONGODB_URI, .env...) ne sont jamais transmis.
+
+// Variables système nécessaires à un shell, npm, node et git
+const BASE_ALLOWLIST = [
+  'PATH',
+  // Remplacé par le HOME du projet pour ses installations, builds et son backend (voir fileSystem.js),
+  // et par un HOME isolé pour git (voir git.js)
+  'HOME',
+  'USER',
+  'LOGNAME',
+  'SHELL',
+  'LANG',
+  'LANGUAGE',
+  'LC_ALL',
+  'LC_CTYPE',
+  'TZ',
+  'TMPDIR',
+  'TMP',
+  'TEMP',
+  'TERM',
+  // Windows
+  'SYSTEMROOT',
+  'SYSTEMDRIVE',
+  'COMSPEC',
+  'PATHEXT',
+  'WINDIR',
+];
+
+// Variables de la plateforme dont la valeur ne doit jamais apparaître dans l'environnement d'un projet
+const SECRET_NAME_PATTERN = /SECRET|TOKEN|PASSWORD|PASSWD|CREDENTIAL|PRIVATE|API_KEY|_KEY$|MONGODB_URI|DATABASE_URL/i;
+// Valeurs trop courtes pour être comparées sans faux positifs
+const MIN_SECRET_LENGTH = 8;
+
+// Liste de base complétée par CHILD_ENV_ALLOWLIST ("HTTP_PROXY,HTTPS_PROXY,NO_PROXY")
+export function getEnvAllowlist(env = process.env) {
+  const extra = String(env.CHILD_ENV_ALLOWLIST || '')
+    .split(',')
+    .map((name) => name.trim())
+    .filter(Boolean);
+  return [...BASE_ALLOWLIST, ...extra];
+}
+
+// Valeurs secrètes de la plateforme (variables dont le nom désigne un secret)
+export function getPlatformSecrets(env = process.env) {
+  const secrets = new Set();
+  for (const [name, value] of Object.entries(env)) {
+    if (SECRET_NAME_PATTERN.test(name) && value && value.length >= MIN_SECRET_LENGTH) {
+      secrets.add(value);
+    }
+  }
+  return secrets;
+}
+
+// Construit l'environnement d'un processus enfant :
+// variables de base autorisées, puis variables du projet, puis valeurs injectées par la plateforme
+// (PORT, NODE_ENV...), prioritaires. Une valeur égale à un secret de la plateforme est retirée.
+export function buildChildEnv({ project = {}, platform = {} } = {}, env = process.env) {
+  const childEnv = {};
+  const allowlist = getEnvAllowlist(env);
+  // Les noms de variables ne sont pas sensibles à la casse sous Windows (Path, SystemRoot...)
+  const allowed = new Set(process.platform === 'win32' ? allowlist.map((name) => name.toUpperCase()) : allowlist);
+  for (const [name, value] of Object.entries(env)) {
+    const key = process.platform === 'win32' ? name.toUpperCase() : name;
+    if (allowed.has(key) && value !== undefined) {
+      childEnv[name] = value;
+    }
+  }
+
+  for (const [name, value] of Object.entries({ ...project, ...platform })) {
+    if (value === undefined || value === null) continue;
+    childEnv[name] = String(value);
+  }
+
+  const secrets = getPlatformSecrets(env);
+  for (const [name, value] of Object.entries(childEnv)) {
+    if (secrets.has(value)) {
+      delete childEnv[name];
+      logger.warn('CHILD_ENV_SECRET_REMOVED', `Variable ${name} retirée : valeur identique à un secret de la plateforme`);
+    }
+  }
+  return childEnv;
+}
@@ -0,0 +1,1132 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { getDB } from '../config/database.js';
+import { logger } from './logger.js';
+import { jobManager } from './jobManager.js';
+import { extractArchive } from './archive.js';
+import { cloneRepository, copyWorkingTree } from './git.js';
+import { detectWebRoot, findWrapperRoot, setStaticWebRoot } from './webRoot.js';
+import { portManager } from './portManager.js';
+import { executeCommand, isBackendRunning } from './processManager.js';
+import { DEFAULT_API_PREFIX } from './frontendServer.js';
+import { DEFAULT_HEALTH_CHECK, describeHealthCheck } from './healthCheck.js';
+import { startSupervisedProject, stopSupervisedProject } from './supervisor.js';
+import { getUserHostLabel, toHostLabel } from './hostRouting.js';
+import { buildChildEnv } from './childEnv.js';
+import { deleteProjectEnv, loadProjectEnv } from './projectEnv.js';
+import { provisionProjectDatabase, deprovisionProjectDatabase, getProjectDatabaseEnv } from './projectDatabase.js';
+import { detectRuntime, getProjectRuntime, getRuntimeEnv, planRuntime, LEGACY_RUNTIME } from './runtimes.js';
+import { readManifest, MANIFEST_FILE } from './manifest.js';
+import { configureFrontendEnv, ENV_SCRIPT_PATH } from './frontendFramework.js';
+import { getInstallEnv, planNodeInstall } from './packageInstall.js';
+import {
+  getProjectPath,
+  getReleasePath,
+  ensureProjectHomeDir,
+  projectDirectoryExists,
+  createReleaseDirectory,
+  activateRelease,
+  deleteProjectDirectory,
+  deleteRepository,
+  deleteReleaseDirectory,
+  createWorkspaceDirectory,
+  deleteWorkspaceDirectory,
+  getDirectorySize,
+  hashFile,
+  getStaticSiteUrl,
+  getDynamicSiteUrl
+} from './fileSystem.js';
+
+export const STATIC_PHASES = ['extract', 'install', 'build'];
+export const DYNAMIC_PHASES = ['extract', 'install', 'build', 'start'];
+
+// Le code arrive par extraction d'une archive ou par clone d'un dépôt Git
+export function getDeployPhases(type, sourceKind = 'archive') {
+  const phases = type === 'static' ? STATIC_PHASES : DYNAMIC_PHASES;
+  return sourceKind === 'git' ? ['clone', ...phases.slice(1)] : phases;
+}
+
+// Adresse publique du projet : <projet>.<utilisateur>.<domaine> (voir hostRouting.js)
+export function getProjectUrl(project) {
+  return project.type === 'static'
+    ? getStaticSiteUrl(project.hostLabel, project.userHostLabel)
+    : getDynamicSiteUrl(project.hostLabel, project.userHostLabel);
+}
+
+// Sortie des commandes renvoyée dans la console du job
+function jobOutput(job) {
+  return (stream, line) => jobManager.appendLog(job, stream, line);
+}
+
+// Variables de build du projet, par job (jamais exposées avec le job)
+const jobBuildEnvs = new WeakMap();
+
+async function loadJobBuildEnv(job, userId, projectName) {
+  const { build } = await loadProjectEnv(userId, projectName);
+  jobBuildEnvs.set(job, build);
+  const names = Object.keys(build);
+  if (names.length) {
+    jobManager.appendLog(job, 'system', `Variables de build : ${names.join(', ')}`);
+  }
+}
+
+// Valeurs par défaut du manifeste, remplacées par les variables de build du projet
+function applyManifestBuildEnv(job, manifest) {
+  const names = Object.keys(manifest?.env || {});
+  if (!names.length) return;
+  jobBuildEnvs.set(job, { ...manifest.env, ...jobBuildEnvs.get(job) });
+  jobManager.appendLog(job, 'system', `Variables par défaut du manifeste : ${names.join(', ')}`);
+}
+
+// Exécuter une commande en l'affichant dans la console du job
+// platform : variables imposées (PATH d'une version de Node ou d'un environnement virtuel)
+function runJobCommand(job, command, args, cwd, projectName, userId, platform = {}) {
+  jobManager.appendLog(job, 'system', `$ ${[command, ...args].join(' ')} (${path.basename(cwd)})`);
+  const env = buildChildEnv({ project: jobBuildEnvs.get(job) || {}, platform });
+  return executeCommand(command, args, cwd, projectName, userId, jobOutput(job), env, jobManager.getSignal(job));
+}
+
+// Hook du manifeste (preDeploy avant la publication, postDeploy après le démarrage), lancé depuis
+// le dossier du manifeste avec les variables d'exécution du backend (base provisionnée comprise).
+// Un preDeploy en échec fait échouer le déploiement ; un postDeploy en échec est seulement signalé.
+// Renvoie la note à afficher (null sans hook).
+async function runManifestHook(job, hook, runtime, manifest, basePath, projectName, userId) {
+  const command = manifest?.hooks?.[hook];
+  if (!command) return null;
+
+  const { runtime: variables } = await loadProjectEnv(userId, projectName);
+  const databaseEnv = await getProjectDatabaseEnv(userId, projectName);
+  const env = buildChildEnv({
+    project: { ...runtime.env, ...databaseEnv, ...variables },
+    platform: {
+      ...getRuntimeEnv(runtime, basePath),
+      HOME: await ensureProjectHomeDir('dynamic', projectName),
+      NODE_ENV: 'production',
+    },
+  });
+  jobManager.appendLog(job, 'system', `Hook ${hook} : $ ${command}`);
+  try {
+    await executeCommand(command, [], path.join(basePath, runtime.root), projectName, userId, jobOutput(job), env, jobManager.getSignal(job));
+  } catch (error) {
+    const message = `Le hook ${hook} a échoué (${command}): ${error.message.split('\n')[0]}`;
+    if (hook === 'preDeploy') {
+      throw new BuildError(message, getPhaseOutput(job, job.phase));
+    }
+    logger.warn('POST_DEPLOY_HOOK_FAILED', `Project: ${projectName}, ${error.message}`, userId);
+    jobManager.appendLog(job, 'stderr', message);
+    return message;
+  }
+  logger.userAction(userId, 'DEPLOY_HOOK_SUCCESS', `Project: ${projectName}, Hook: ${hook}`);
+  return `Hook ${hook} exécuté (${command})`;
+}
+
+// Échec d'une commande de build : la fin de sa sortie est conservée avec le déploiement
+class BuildError extends Error {
+  constructor(message, output) {
+    super(message);
+    this.name = 'BuildError';
+    this.output = output;
+  }
+}
+
+// Dossiers d'installation non copiés d'une release à l'autre lors d'un rebuild
+const REBUILD_EXCLUDED_DIRS = ['node_modules', '.venv'];
+
+// Nombre de lignes de sortie jointes à un déploiement échoué
+const BUILD_OUTPUT_LINES = 200;
+
+// Dossiers produits par les outils de build front (Vite, CRA, Next export), par ordre de préférence
+const STATIC_BUILD_OUTPUT_DIRS = ['dist', 'build', 'out'];
+
+function getPhaseOutput(job, phase) {
+  return job.logs
+    .filter((entry) => entry.phase === phase && entry.stream !== 'system')
+    .slice(-BUILD_OUTPUT_LINES)
+    .map((entry) => entry.line);
+}
+
+// Vérifier qu'il y a au moins un fichier index.html (racine ou premier niveau)
+export async function checkIndexHtml(projectPath) {
+  const files = await fs.readdir(projectPath, { withFileTypes: true });
+  let hasIndexHtml = false;
+
+  for (const file of files) {
+    if (file.name === 'index.html' && file.isFile()) {
+      hasIndexHtml = true;
+      break;
+    }
+  }
+
+  if (!hasIndexHtml) {
+    // Chercher dans les sous-dossiers
+    for (const file of files) {
+      if (file.isDirectory()) {
+        try {
+          const subFiles = await fs.readdir(path.join(projectPath, file.name));
+          if (subFiles.includes('index.html')) {
+            hasIndexHtml = true;
+            break;
+          }
+        } catch (e) {
+          // Ignorer les erreurs de lecture des sous-dossiers
+        }
+      }
+    }
+  }
+
+  return { files, hasIndexHtml };
+}
+
+// Enregistrer une release dans l'historique des déploiements
+export async function recordDeployment(db, deployment) {
+  const result = await db.collection('deployments').insertOne({
+    ...deployment,
+    createdAt: new Date(),
+  });
+  return result.insertedId.toString();
+}
+
+// Conserver aussi la trace des déploiements échoués, sans masquer l'erreur d'origine
+export async function recordFailedDeployment(db, deployment, error) {
+  try {
+    const failure = { status: 'failed', error: logger.mask(error.message, deployment.userId) };
+    if (error.output) {
+      failure.output = error.output;
+    }
+    await recordDeployment(db, { ...deployment, ...failure });
+  } catch (e) {
+    logger.error('RECORD_DEPLOYMENT_FAILED', e.message, deployment.uploadedBy);
+  }
+}
+
+// Récupérer le code dans targetDir : extraction de l'archive ou clone du dépôt.
+// Renvoie la description de la source, enregistrée avec la release sur le projet.
+async function fetchSource(job, source, targetDir, userId) {
+  if (source.kind === 'git') {
+    const { repoUrl, ref, subdirectory } = source;
+    jobManager.startPhase(job, 'clone');
+    jobManager.appendLog(job, 'system', `$ git clone ${repoUrl}${ref ? ` (${ref})` : ''}`);
+
+    const workspace = await createWorkspaceDirectory('git');
+    try {
+      const commit = await cloneRepository(source, path.join(workspace, 'repo'), userId, jobOutput(job), jobManager.getSignal(job));
+      const { skippedSymlinks } = await copyWorkingTree(commit.sourceDir, targetDir, jobManager.getSignal(job));
+      const size = await getDirectorySize(targetDir);
+
+      jobManager.appendLog(job, 'system', `Commit ${commit.sha.slice(0, 7)} : ${commit.message.split('\n')[0]}`);
+      skippedSymlinks.forEach((link) => jobManager.appendLog(job, 'stderr', `Lien symbolique ignoré : ${link}`));
+      return { kind: 'git', repoUrl, ref, subdirectory, commitSha: commit.sha, commitMessage: commit.message, size };
+    } finally {
+      await deleteWorkspaceDirectory(workspace);
+    }
+  }
+
+  jobManager.startPhase(job, 'extract');
+  const extracted = await extractArchive(source.file.path, targetDir, userId, jobManager.getSignal(job));
+  jobManager.appendLog(job, 'system', `Archive ${extracted.format} extraite (${extracted.entries} entrées)`);
+  return { kind: 'archive', name: source.file.originalname, format: extracted.format, hash: source.hash, size: source.file.size };
+}
+
+// Script "build" du package.json à la racine du projet, s'il y en a un
+async function readBuildScript(appDir) {
+  try {
+    const packageJson = JSON.parse(await fs.readFile(path.join(appDir, 'package.json'), 'utf8'));
+    return typeof packageJson.scripts?.build === 'string' ? packageJson.scripts.build : null;
+  } catch {
+    return null;
+  }
+}
+
+// Installe et builde un site statique hors de sa release, puis remplace le contenu
+// de la release par le seul dossier produit (dist, build ou out).
+// manifest : commandes, dossier produit et version de Node imposés par hostedhost.json
+async function buildStaticRelease(job, releasePath, appRoot, projectName, userId, manifest = null) {
+  const install = manifest?.install
+    ? { command: manifest.install, args: [], lockfile: null, skip: null }
+    : await planNodeInstall(releasePath, appRoot);
+  const installCommand = [install.command, ...install.args].join(' ');
+  const build = manifest?.build || `${install.manager || 'npm'} run build`;
+  const platform = {
+    ...(await getInstallEnv('static', projectName)),
+    ...getRuntimeEnv({ dir: '', venv: null, node: manifest?.nodeVersion || null }, releasePath),
+  };
+  const workspace = await createWorkspaceDirectory('build');
+  try {
+    const appDir = path.join(workspace, 'app');
+    await fs.rename(path.join(releasePath, appRoot), appDir);
+
+    jobManager.startPhase(job, 'install');
+    try {
+      if (install.skip) {
+        jobManager.appendLog(job, 'system', `Installation ignorée (${install.skip})`);
+      } else {
+        await runJobCommand(job, install.command, install.args, appDir, projectName, userId, platform);
+      }
+    } catch (error) {
+      throw new BuildError(`L'installation des dépendances a échoué (${installCommand}): ${error.message.split('\n')[0]}`, getPhaseOutput(job, 'install'));
+    }
+
+    jobManager.startPhase(job, 'build');
+    try {
+      await runJobCommand(job, build, [], appDir, projectName, userId, platform);
+    } catch (error) {
+      throw new BuildError(`Le build a échoué (${build}): ${error.message.split('\n')[0]}`, getPhaseOutput(job, 'build'));
+    }
+    logger.userAction(userId, 'STATIC_SITE_BUILT', `Project: ${projectName}`);
+
+    let outputDir = null;
+    for (const dir of manifest?.outputDir ? [manifest.outputDir] : STATIC_BUILD_OUTPUT_DIRS) {
+      const stats = await fs.stat(path.join(appDir, dir)).catch(() => null);
+      if (stats && stats.isDirectory()) {
+        outputDir = dir;
+        break;
+      }
+    }
+    if (!outputDir) {
+      throw new BuildError(
+        `Aucun dossier de sortie trouvé après le build (${manifest?.outputDir || STATIC_BUILD_OUTPUT_DIRS.join(', ')})`,
+        getPhaseOutput(job, 'build'),
+      );
+    }
+
+    await fs.rm(releasePath, { recursive: true, force: true });
+    await fs.rename(path.join(appDir, outputDir), releasePath);
+    jobManager.appendLog(job, 'system', `Dossier publié : ${outputDir}/`);
+    return { command: build, outputDir };
+  } finally {
+    await deleteWorkspaceDirectory(workspace);
+  }
+}
+
+// Extraction d'un site statique dans sa release, avec build si le projet (ou son manifeste) en déclare un.
+// webRootOverride : dossier à servir imposé par l'utilisateur (sinon celui du manifeste, sinon détecté)
+async function prepareStaticRelease(job, source, releasePath, projectName, userId, webRootOverride = null) {
+  const sourceInfo = await fetchSource(job, source, releasePath, userId);
+  const manifest = await readManifest(releasePath, 'static');
+  if (manifest) {
+    jobManager.appendLog(job, 'system', `Manifeste ${MANIFEST_FILE} trouvé`);
+    applyManifestBuildEnv(job, manifest);
+  }
+
+  // Sources d'un projet Vite, CRA... : seul le résultat du build est publié
+  const appRoot = await findWrapperRoot(releasePath);
+  let build = null;
+  if (manifest?.build) {
+    build = await buildStaticRelease(job, releasePath, appRoot, projectName, userId, manifest);
+  } else if (await readBuildScript(path.join(releasePath, appRoot))) {
+    jobManager.appendLog(job, 'system', `package.json avec script "build" trouvé${appRoot ? ` dans ${appRoot}/` : ''}`);
+    build = await buildStaticRelease(job, releasePath, appRoot, projectName, userId, manifest);
+  }
+
+  // Sans build, le dossier "outputDir" du manifeste est la racine web
+  const manifestWebRoot = manifest?.outputDir && !build ? path.posix.join(appRoot, manifest.outputDir) : null;
+  let webRoot;
+  if (webRootOverride === null && manifestWebRoot !== null) {
+    const stats = await fs.stat(path.join(releasePath, manifestWebRoot)).catch(() => null);
+    if (!stats || !stats.isDirectory()) {
+      throw new Error(`${MANIFEST_FILE} : dossier "outputDir" introuvable dans le projet: ${manifest.outputDir}`);
+    }
+    webRoot = manifestWebRoot;
+    jobManager.appendLog(job, 'system', `Racine web du manifeste : /${webRoot}`);
+  } else if (webRootOverride !== null) {
+    const stats = await fs.stat(path.join(releasePath, webRootOverride)).catch(() => null);
+    if (!stats || !stats.isDirectory()) {
+      throw new Error(`Racine web introuvable dans le projet: ${webRootOverride}`);
+    }
+    webRoot = webRootOverride;
+    jobManager.appendLog(job, 'system', `Racine web imposée : /${webRoot}`);
+  } else {
+    webRoot = await detectWebRoot(releasePath);
+    jobManager.appendLog(job, 'system', `Racine web détectée : /${webRoot}`);
+  }
+
+  // Vérifier qu'il y a au moins un fichier index.html
+  const { files, hasIndexHtml } = await checkIndexHtml(path.join(releasePath, webRoot));
+  if (!hasIndexHtml) {
+    logger.warn('NO_INDEX_HTML', `Project: ${projectName}`, userId);
+    jobManager.appendLog(job, 'stderr', 'Aucun fichier index.html trouvé');
+  }
+
+  return { hasIndexHtml, files: files.length, webRoot, webRootOverride, build, manifest, source: sourceInfo };
+}
+
+// Extraction, installation et build d'un site dynamique dans sa release.
+// Le runtime détecté (voir runtimes.js) fixe la disposition de la release et ses étapes.
+async function prepareDynamicRelease(job, source, releasePath, projectName, siteUrl, userId) {
+  // Extraire l'archive (ou copier le dépôt) temporairement
+  const tempExtractPath = path.join(releasePath, 'temp_extract');
+  await fs.mkdir(tempExtractPath);
+  const sourceInfo = await fetchSource(job, source, tempExtractPath, userId);
+  logger.info('Récupération des sources terminée', JSON.stringify({ tempExtractPath, userId }));
+
+  const manifest = await readManifest(tempExtractPath, 'dynamic');
+  if (manifest) {
+    jobManager.appendLog(job, 'system', `Manifeste ${MANIFEST_FILE} trouvé`);
+    applyManifestBuildEnv(job, manifest);
+  }
+  const { runtime, dirs } = await detectRuntime(tempExtractPath, userId);
+  jobManager.appendLog(job, 'system', `Runtime détecté : ${runtime.label}`);
+
+  // Déplacer les dossiers à leur emplacement final ("app", ou "frontend" et "backend")
+  for (const [dir, sourceDir] of Object.entries(dirs)) {
+    await fs.rename(sourceDir, path.join(releasePath, dir));
+  }
+  await fs.rm(tempExtractPath, { recursive: true, force: true });
+
+  const plan = await planRuntime(runtime.name, releasePath, userId, manifest);
+  jobManager.appendLog(job, 'system', `Démarrage : ${plan.runtime.start} (${plan.runtime.dir}/)`);
+
+  // Adresse du backend transmise au build du frontend, selon son framework
+  let frontendConfig = null;
+  if (plan.runtime.frontend) {
+    frontendConfig = await configureFrontendEnv(path.join(releasePath, plan.runtime.frontend), siteUrl, userId);
+    jobManager.appendLog(job, 'system', `Framework du frontend : ${frontendConfig.framework.label}`);
+    frontendConfig.injected.forEach(({ file, value }) =>
+      jobManager.appendLog(job, 'system', `${plan.runtime.frontend}/${file} : ${value}`),
+    );
+  }
+
+  const notes = await installDynamicRelease(job, releasePath, projectName, userId, plan);
+  notes.unshift(`Runtime ${plan.runtime.label} : ${plan.runtime.start}`);
+  if (frontendConfig) {
+    const { framework, injected } = frontendConfig;
+    notes.splice(
+      2,
+      0,
+      injected.length
+        ? `Adresse du backend ajoutée au frontend ${framework.label} (${[...new Set(injected.map(({ file }) => file))].join(', ')})`
+        : 'Configuration existante du frontend respectée',
+    );
+  }
+
+  return {
+    metadata: {
+      source: sourceInfo,
+      runtime: plan.runtime,
+      manifest,
+      frontendFramework: frontendConfig?.framework.name || null,
+      usesMongoDB: plan.usesMongoDB,
+      ...plan.metadata,
+    },
+    notes,
+  };
+}
+
+// Installation des dépendances et build d'une release dynamique selon le plan de son runtime,
+// avec le HOME du projet et le cache de paquets partagé (voir packageInstall.js).
+// Un build facultatif (frontend d'un projet frontend + backend) qui échoue est ignoré.
+async function installDynamicRelease(job, releasePath, projectName, userId, plan) {
+  const platform = { ...(await getInstallEnv('dynamic', projectName)), ...getRuntimeEnv(plan.runtime, releasePath) };
+  jobManager.startPhase(job, 'install');
+  for (const step of plan.install) {
+    if (step.skip) {
+      jobManager.appendLog(job, 'system', `${step.dir || '.'}/ : installation ignorée (${step.skip})`);
+      continue;
+    }
+    try {
+      await runJobCommand(job, step.command, step.args, path.join(releasePath, step.dir), projectName, userId, platform);
+      logger.userAction(userId, `${(step.dir || 'project').toUpperCase()}_DEPS_INSTALLED`, `Project: ${projectName}`);
+    } catch (error) {
+      throw new Error(`Erreur lors de l'installation des dépendances ${step.dir || 'du projet'}: ${error.message}`);
+    }
+  }
+
+  const installed = plan.install.filter((step) => !step.skip);
+  const notes = [
+    installed.length
+      ? 'Dépendances installées automatiquement'
+      : plan.install.length
+        ? 'node_modules fourni : installation des dépendances ignorée'
+        : 'Aucune dépendance à installer',
+  ];
+  if (!plan.build.length) {
+    return notes;
+  }
+  jobManager.startPhase(job, 'build');
+  for (const step of plan.build) {
+    const command = [step.command, ...step.args].join(' ');
+    try {
+      await runJobCommand(job, step.command, step.args, path.join(releasePath, step.dir), projectName, userId, platform);
+      logger.userAction(userId, `${(step.dir || 'project').toUpperCase()}_BUILT`, `Project: ${projectName}`);
+      notes.push(step.dir === 'frontend' ? 'Frontend buildé et optimisé' : `Application buildée (${command})`);
+    } catch (error) {
+      if (!step.optional) {
+        throw new BuildError(`Le build a échoué (${command}): ${error.message.split('\n')[0]}`, getPhaseOutput(job, 'build'));
+      }
+      logger.userAction(userId, `${(step.dir || 'project').toUpperCase()}_BUILD_WARNING`, `Project: ${projectName}, Error: ${error.message}`);
+      // On continue même si le build échoue, certains projets n'ont pas de script build
+      notes.push('Build du frontend ignoré (échec ou script absent)');
+      jobManager.appendLog(job, 'system', 'Build du frontend ignoré (échec ou script absent)');
+    }
+  }
+  return notes;
+}
+
+// Base MongoDB dédiée d'un backend qui dépend de mongodb ou mongoose, sauf si le projet
+// fournit sa propre MONGODB_URI. Renvoie { database, created, note } (database : null sans base).
+async function provisionJobDatabase(job, userId, projectName, metadata) {
+  if (!metadata.usesMongoDB) {
+    return { database: null, created: false, note: 'Aucune base de données détectée' };
+  }
+  const { runtime } = await loadProjectEnv(userId, projectName);
+  if (runtime.MONGODB_URI) {
+    jobManager.appendLog(job, 'system', 'MONGODB_URI définie par le projet : aucune base provisionnée');
+    return { database: null, created: false, note: 'MongoDB requis - MONGODB_URI du projet utilisée' };
+  }
+
+  let database;
+  const existed = await getDB().collection('databases').findOne({ userId, projectName });
+  try {
+    database = await provisionProjectDatabase(userId, projectName);
+  } catch (error) {
+    throw new Error(`Erreur lors du provisionnement de la base MongoDB: ${error.message}`);
+  }
+  if (!database) {
+    jobManager.appendLog(job, 'system', 'MongoDB de la plateforme indisponible : aucune base provisionnée');
+    return { database: null, created: false, note: 'MongoDB requis - aucune base disponible sur la plateforme' };
+  }
+  jobManager.appendLog(job, 'system', `Base MongoDB ${database.name} (utilisateur ${database.username}) : MONGODB_URI injectée au démarrage`);
+  return { database, created: !existed, note: `MongoDB requis - base dédiée ${database.name} provisionnée` };
+}
+
+// Démarrer le backend et le serveur public de la release publiée (sous supervision).
+// Le projet n'est actif qu'une fois son backend validé par le health check.
+// Renvoie { frontendBuildDir, health, limits } à enregistrer sur le projet.
+async function startDynamicRelease(job, project, userId) {
+  jobManager.startPhase(job, 'start');
+  const healthCheck = project.healthCheck || DEFAULT_HEALTH_CHECK;
+  const runtime = getProjectRuntime(project);
+  jobManager.appendLog(job, 'system', `$ ${runtime.start} (${runtime.dir || '.'}, PORT=${project.backendPort})`);
+  jobManager.appendLog(job, 'system', `Health check : ${describeHealthCheck(healthCheck)}, jusqu'à ${healthCheck.startTimeout / 1000}s`);
+  let started;
+  try {
+    started = await startSupervisedProject({ ...project, userId }, jobOutput(job));
+  } catch (error) {
+    throw new Error(`Erreur lors du démarrage du projet: ${error.message}`);
+  }
+
+  const { frontendBuildDir: buildDir, health, limits } = started;
+  jobManager.appendLog(job, 'system', `Health check réussi${health.status ? ` (statut ${health.status})` : ''} en ${health.durationMs}ms`);
+  jobManager.appendLog(
+    job,
+    'system',
+    `Limites : ${limits.memoryMb} Mo de mémoire, nice ${limits.cpuNice}, ${limits.maxOpenFiles} fichiers ouverts, ${limits.maxProcesses} processus`,
+  );
+  jobManager.appendLog(
+    job,
+    'system',
+    buildDir
+      ? `Frontend servi depuis ${runtime.outputDir ? buildDir : `${runtime.frontend}/${buildDir}`} sur le port ${project.port}, ${project.apiPrefix} relayé au backend`
+      : `Aucun build du frontend : toutes les requêtes du port ${project.port} sont relayées au backend`,
+  );
+  if (buildDir && project.runtimeConfig) {
+    jobManager.appendLog(job, 'system', `Adresse du backend servie à l'exécution sur ${ENV_SCRIPT_PATH}`);
+  }
+  return {
+    frontendBuildDir: buildDir,
+    health: { status: 'healthy', consecutiveFailures: 0, lastResult: health, checkedAt: health.checkedAt },
+    limits,
+  };
+}
+
+// Source d'un déploiement telle qu'enregistrée dans l'historique, avant récupération du code
+function describeSource(source) {
+  if (source.kind === 'git') {
+    const { repoUrl, ref, subdirectory } = source;
+    return { git: { repoUrl, ref, subdirectory } };
+  }
+  return { archive: { name: source.file.originalname, hash: null, size: source.file.size } };
+}
+
+// Empreinte de l'archive, calculée avant extraction
+async function hashSource(source, deployment) {
+  if (source.kind !== 'archive') return source;
+  deployment.archive.hash = await hashFile(source.file.path);
+  return { ...source, hash: deployment.archive.hash };
+}
+
+// Premier déploiement d'un projet (statique ou dynamique)
+// source : { kind: 'archive', file } (upload multer) ou { kind: 'git', repoUrl, ref, subdirectory }
+// webRoot : racine web imposée pour un site statique (null pour la détection automatique)
+// apiPrefix : chemins relayés au backend d'un projet dynamique (null pour celui du manifeste, sinon /api)
+// healthCheck : vérification du backend d'un projet dynamique (null pour celle du manifeste, sinon TCP)
+// resourceLimits : limites propres au projet, sous celles de l'offre (null pour celles de l'offre)
+// runtimeConfig : adresse du backend aussi servie au frontend à l'exécution (voir frontendFramework.js)
+export async function runProjectDeploy(job, {
+  userId,
+  type,
+  projectName,
+  description,
+  source,
+  webRoot = null,
+  apiPrefix = null,
+  healthCheck = null,
+  resourceLimits = null,
+  runtimeConfig = false,
+}) {
+  const db = getDB();
+  let release = null;
+  let allocatedPort = null;
+  let backendPort = null;
+  let activated = false;
+  let provisioned = null;
+  const deployment = {
+    projectId: null,
+    userId,
+    projectName,
+    type,
+    ...describeSource(source),
+    uploadedBy: userId,
+    action: 'deploy',
+  };
+
+  try {
+    if (await projectDirectoryExists(type, projectName)) {
+      throw new Error(`Le projet ${projectName} existe déjà`);
+    }
+
+    // Nom d'hôte du projet, connu avant le build (adresse de l'API pour le frontend)
+    const host = { hostLabel: toHostLabel(projectName), userHostLabel: await getUserHostLabel(userId) };
+
+    // Créer le répertoire de la première release
+    await loadJobBuildEnv(job, userId, projectName);
+    source = await hashSource(source, deployment);
+    release = await createReleaseDirectory(type, projectName, userId);
+    deployment.releaseId = release.releaseId;
+
+    let metadata;
+    let notes = [];
+
+    if (type === 'static') {
+      metadata = await prepareStaticRelease(job, source, release.releasePath, projectName, userId, webRoot);
+    } else {
+      // Port public (URL du projet) et port interne du backend
+      allocatedPort = await portManager.allocatePort(userId, projectName, 'public');
+      backendPort = await portManager.allocatePort(userId, projectName, 'backend');
+      const siteUrl = getProjectUrl({ type, ...host });
+      ({ metadata, notes } = await prepareDynamicRelease(job, source, release.releasePath, projectName, siteUrl, userId));
+    }
+
+    // Base provisionnée et hook preDeploy (migrations) avant la publication
+    if (type === 'dynamic') {
+      provisioned = await provisionJobDatabase(job, userId, projectName, metadata);
+      const hookNote = await runManifestHook(job, 'preDeploy', metadata.runtime, metadata.manifest, release.releasePath, projectName, userId);
+      if (hookNote) notes.push(hookNote);
+    }
+
+    // Un job annulé ou hors délai pendant la dernière commande ne publie rien
+    jobManager.getSignal(job)?.throwIfAborted();
+    await activateRelease(type, projectName, release.releasePath, userId);
+    activated = true;
+    if (type === 'static') {
+      setStaticWebRoot(projectName, metadata.webRoot);
+    }
+
+    let started = null;
+    if (type === 'dynamic') {
+      // Réglages du formulaire, sinon ceux du manifeste
+      apiPrefix = apiPrefix || metadata.manifest?.apiPrefix || DEFAULT_API_PREFIX;
+      healthCheck = healthCheck || metadata.manifest?.healthCheck || null;
+      started = await startDynamicRelease(
+        job,
+        {
+          name: projectName,
+          port: allocatedPort,
+          backendPort,
+          apiPrefix,
+          healthCheck,
+          resourceLimits,
+          runtimeConfig,
+          runtime: metadata.runtime,
+        },
+        userId,
+      );
+      const hookNote = await runManifestHook(job, 'postDeploy', metadata.runtime, metadata.manifest, getProjectPath(type, projectName), projectName, userId);
+      if (hookNote) notes.push(hookNote);
+    }
+
+    const size = Math.round(metadata.source.size / (1024 * 1024)); // MB
+    metadata = { size, ...metadata };
+    if (source.kind === 'git') {
+      deployment.git = metadata.source;
+    }
+    const newProject = {
+      userId,
+      name: projectName,
+      description: description || '',
+      type,
+      status: 'active',
+      createdAt: new Date(),
+      updatedAt: new Date(),
+      ...metadata,
+      ...host,
+      currentReleaseId: release.releaseId,
+    };
+    if (type === 'dynamic') {
+      newProject.port = allocatedPort;
+      newProject.backendPort = backendPort;
+      newProject.apiPrefix = apiPrefix;
+      newProject.healthCheck = healthCheck;
+      newProject.resourceLimits = resourceLimits;
+      newProject.runtimeConfig = runtimeConfig;
+      newProject.limits = started.limits;
+      newProject.frontendBuildDir = started.frontendBuildDir;
+      newProject.health = started.health;
+      newProject.database = provisioned.database;
+    }
+
+    jobManager.getSignal(job)?.throwIfAborted();
+    const result = await db.collection('projects').insertOne(newProject);
+    const projectId = result.insertedId.toString();
+
+    newProject.currentDeploymentId = await recordDeployment(db, {
+      ...deployment,
+      projectId,
+      status: 'success',
+      metadata,
+    });
+    await db.collection('projects').updateOne(
+      { _id: result.insertedId },
+      { $set: { currentDeploymentId: newProject.currentDeploymentId } }
+    );
+
+    logger.deployment(userId, projectName, type, 'success', `Size: ${size}MB${allocatedPort ? `, Port: ${allocatedPort}` : ''}`);
+
+    if (type === 'dynamic') {
+      notes.unshift(
+        'Le projet a été déployé avec succès',
+        `Site servi sur le port ${allocatedPort}, ${apiPrefix} relayé au backend (port interne ${backendPort})`,
+      );
+      notes.push(provisioned.note);
+    }
+
+    return {
+      message: type === 'static' ? 'Site statique déployé avec succès' : 'Site dynamique déployé avec succès',
+      project: {
+        ...newProject,
+        id: projectId,
+        url: getProjectUrl(newProject),
+      },
+      notes,
+    };
+  } catch (error) {
+    logger.deployment(userId, projectName, type, 'failed', error.message);
+
+    if (type === 'dynamic') {
+      // Arrêter les processus s'ils ont été démarrés
+      await stopSupervisedProject(userId, projectName);
+    }
+    if (allocatedPort) {
+      await portManager.releasePort(allocatedPort, userId, projectName);
+    }
+    if (backendPort) {
+      await portManager.releasePort(backendPort, userId, projectName);
+    }
+    if (provisioned?.created) {
+      await deprovisionProjectDatabase(userId, projectName, { archive: false });
+    }
+    if (activated) {
+      await fs.unlink(getProjectPath(type, projectName)).catch(() => {});
+    }
+    if (release) {
+      await recordFailedDeployment(db, deployment, error);
+      await deleteReleaseDirectory(release.releasePath);
+    }
+    throw error;
+  } finally {
+    // Nettoyer le fichier temporaire
+    await removeUploadedArchive(source);
+  }
+}
+
+// Nouvelle version d'un projet existant : port, URL et métadonnées sont conservés
+// Sans racine web, préfixe API, health check ni limites indiqués, ceux du manifeste de la nouvelle
+// version, à défaut ceux du déploiement précédent, sont conservés (comme l'option runtimeConfig)
+export async function runProjectUpdate(job, {
+  userId,
+  project,
+  description,
+  source,
+  webRoot,
+  apiPrefix,
+  healthCheck,
+  resourceLimits,
+  runtimeConfig,
+}) {
+  const db = getDB();
+  const { type, name: projectName } = project;
+  let release = null;
+  let activated = false;
+  // Port interne attribué lors de la première mise à jour d'un projet antérieur au serveur public
+  let allocatedBackendPort = null;
+  const deployment = {
+    projectId: project._id.toString(),
+    userId,
+    projectName,
+    type,
+    ...describeSource(source),
+    uploadedBy: userId,
+    action: 'update',
+  };
+
+  try {
+    project = await loadCurrentProject(db, project);
+    await loadJobBuildEnv(job, userId, projectName);
+    source = await hashSource(source, deployment);
+    release = await createReleaseDirectory(type, projectName, userId);
+    deployment.releaseId = release.releaseId;
+
+    let metadata;
+    let notes = [];
+
+    if (type === 'static') {
+      const webRootOverride = webRoot !== undefined ? webRoot : project.webRootOverride ?? null;
+      metadata = await prepareStaticRelease(job, source, release.releasePath, projectName, userId, webRootOverride);
+    } else {
+      // Le port du projet est conservé d'une version à l'autre
+      ({ metadata, notes } = await prepareDynamicRelease(job, source, release.releasePath, projectName, getProjectUrl(project), userId));
+    }
+
+    let provisioned = null;
+    if (type === 'dynamic') {
+      provisioned = await provisionJobDatabase(job, userId, projectName, metadata);
+      const hookNote = await runManifestHook(job, 'preDeploy', metadata.runtime, metadata.manifest, release.releasePath, projectName, userId);
+      if (hookNote) notes.push(hookNote);
+    }
+
+    // Remplacement atomique de l'ancienne version
+    jobManager.getSignal(job)?.throwIfAborted();
+    await activateRelease(type, projectName, release.releasePath, userId);
+    activated = true;
+    if (type === 'static') {
+      setStaticWebRoot(projectName, metadata.webRoot);
+    }
+
+    const dynamicConfig = {};
+    if (type === 'dynamic') {
+      if (!project.backendPort) {
+        allocatedBackendPort = await portManager.allocatePort(userId, projectName, 'backend');
+      }
+      dynamicConfig.backendPort = project.backendPort || allocatedBackendPort;
+      const { manifest } = metadata;
+      dynamicConfig.apiPrefix =
+        apiPrefix !== undefined ? apiPrefix : manifest?.apiPrefix || project.apiPrefix || DEFAULT_API_PREFIX;
+      dynamicConfig.healthCheck =
+        healthCheck !== undefined ? healthCheck : manifest?.healthCheck || project.healthCheck || null;
+      dynamicConfig.resourceLimits = resourceLimits !== undefined ? resourceLimits : project.resourceLimits || null;
+      dynamicConfig.runtimeConfig = runtimeConfig !== undefined ? runtimeConfig : project.runtimeConfig || false;
+      dynamicConfig.database = provisioned.database ?? project.database ?? null;
+      Object.assign(dynamicConfig, await startDynamicRelease(job, { ...project, ...dynamicConfig, runtime: metadata.runtime }, userId));
+      notes.unshift(`Backend redémarré (port interne ${dynamicConfig.backendPort})`);
+      notes.push(provisioned.note);
+      const hookNote = await runManifestHook(job, 'postDeploy', metadata.runtime, manifest, getProjectPath(type, projectName), projectName, userId);
+      if (hookNote) notes.push(hookNote);
+    }
+
+    const size = Math.round(metadata.source.size / (1024 * 1024));
+    metadata = { size, ...metadata };
+    if (source.kind === 'git') {
+      deployment.git = metadata.source;
+    }
+    jobManager.getSignal(job)?.throwIfAborted();
+    const deploymentId = await recordDeployment(db, {
+      ...deployment,
+      status: 'success',
+      metadata,
+    });
+
+    const updates = {
+      ...metadata,
+      ...dynamicConfig,
+      updatedAt: new Date(),
+      currentReleaseId: release.releaseId,
+      currentDeploymentId: deploymentId,
+    };
+    if (type === 'dynamic') {
+      updates.status = 'active';
+    }
+    if (description !== undefined) {
+      updates.description = description;
+    }
+    await db.collection('projects').updateOne({ _id: project._id }, { $set: updates });
+
+    logger.deployment(userId, projectName, type, 'updated', `Size: ${size}MB`);
+
+    return {
+      message: 'Projet mis à jour avec succès',
+      project: {
+        ...project,
+        ...updates,
+        id: project._id.toString(),
+        url: getProjectUrl(project),
+      },
+      notes,
+    };
+  } catch (error) {
+    logger.deployment(userId, projectName, type, 'failed', error.message);
+
+    // Remettre en ligne la version précédente si la nouvelle a déjà été publiée
+    if (activated) {
+      await restorePreviousRelease(project, userId);
+    }
+    if (allocatedBackendPort) {
+      await portManager.releasePort(allocatedBackendPort, userId, projectName);
+    }
+    if (release) {
+      await recordFailedDeployment(db, deployment, error);
+      await deleteReleaseDirectory(release.releasePath);
+    }
+    throw error;
+  } finally {
+    await removeUploadedArchive(source);
+  }
+}
+
+// Nouveau build de la release en ligne d'un projet dynamique, sans nouvelle source :
+// variables de build modifiées. La release est copiée (sans node_modules ni environnement
+// virtuel Python), réinstallée et rebuildée avec son runtime puis publiée comme une mise à jour.
+export async function runProjectRebuild(job, { userId, project }) {
+  const db = getDB();
+  const { type, name: projectName } = project;
+  let release = null;
+  let activated = false;
+  const deployment = {
+    projectId: project._id.toString(),
+    userId,
+    projectName,
+    type,
+    ...(project.source?.kind === 'git'
+      ? { git: project.source }
+      : { archive: { name: project.source?.name, hash: project.source?.hash ?? null, size: project.source?.size } }),
+    uploadedBy: userId,
+    action: 'rebuild',
+  };
+
+  try {
+    project = await loadCurrentProject(db, project);
+    await loadJobBuildEnv(job, userId, projectName);
+    release = await createReleaseDirectory(type, projectName, userId);
+    deployment.releaseId = release.releaseId;
+
+    const currentReleaseId = project.currentReleaseId || 'legacy';
+    jobManager.appendLog(job, 'system', `Copie de la release ${currentReleaseId}`);
+    await fs.cp(getReleasePath(type, projectName, currentReleaseId), release.releasePath, {
+      recursive: true,
+      filter: (source) => !REBUILD_EXCLUDED_DIRS.includes(path.basename(source)),
+    });
+
+    // Le manifeste enregistré avec la release en ligne est réappliqué
+    const manifest = project.manifest || null;
+    applyManifestBuildEnv(job, manifest);
+    const plan = await planRuntime(getProjectRuntime(project).name, release.releasePath, userId, manifest);
+    const notes = await installDynamicRelease(job, release.releasePath, projectName, userId, plan);
+    const preDeployNote = await runManifestHook(job, 'preDeploy', plan.runtime, manifest, release.releasePath, projectName, userId);
+    if (preDeployNote) notes.push(preDeployNote);
+    jobManager.getSignal(job)?.throwIfAborted();
+    await activateRelease(type, projectName, release.releasePath, userId);
+    activated = true;
+    const started = await startDynamicRelease(job, { ...project, runtime: plan.runtime }, userId);
+    const postDeployNote = await runManifestHook(job, 'postDeploy', plan.runtime, manifest, getProjectPath(type, projectName), projectName, userId);
+    if (postDeployNote) notes.push(postDeployNote);
+
+    const { size, source, frontendFramework = null } = project;
+    const metadata = { size, source, runtime: plan.runtime, manifest, frontendFramework, usesMongoDB: plan.usesMongoDB, ...plan.metadata };
+    jobManager.getSignal(job)?.throwIfAborted();
+    const deploymentId = await recordDeployment(db, { ...deployment, status: 'success', metadata });
+
+    const updates = {
+      ...started,
+      runtime: plan.runtime,
+      status: 'active',
+      updatedAt: new Date(),
+      currentReleaseId: release.releaseId,
+      currentDeploymentId: deploymentId,
+    };
+    await db.collection('projects').updateOne({ _id: project._id }, { $set: updates });
+    logger.deployment(userId, projectName, type, 'rebuilt', `Release: ${release.releaseId}`);
+
+    return {
+      message: 'Projet rebuildé avec succès',
+      project: {
+        ...project,
+        ...updates,
+        id: project._id.toString(),
+        url: getProjectUrl(project),
+      },
+      notes,
+    };
+  } catch (error) {
+    logger.deployment(userId, projectName, type, 'failed', error.message);
+
+    if (activated) {
+      await restorePreviousRelease(project, userId);
+    }
+    if (release) {
+      await recordFailedDeployment(db, deployment, error);
+      await deleteReleaseDirectory(release.releasePath);
+    }
+    throw error;
+  }
+}
+
+// Un job peut attendre la fin d'un autre job du même projet : le projet est relu à son démarrage
+async function loadCurrentProject(db, project) {
+  const current = await db.collection('projects').findOne({ _id: project._id });
+  if (!current) {
+    throw new Error(`Projet ${project.name} supprimé entre-temps`);
+  }
+  if (current.status === 'deleting') {
+    throw new Error(`Projet ${project.name} en cours de suppression`);
+  }
+  return current;
+}
+
+// Suppression d'un projet, une fois ses autres jobs terminés ou annulés : processus, ports,
+// variables, base, fichiers, historique et dépôt de push, puis le document du projet en dernier
+// (une suppression interrompue peut être relancée)
+export async function runProjectDelete(job, { userId, project }) {
+  const db = getDB();
+  const { type, name: projectName } = project;
+  jobManager.startPhase(job, 'delete');
+
+  if (type === 'dynamic') {
+    await stopSupervisedProject(userId, projectName);
+  }
+  await portManager.releaseProjectPorts(userId, projectName);
+  await deleteProjectEnv(userId, projectName);
+  // Base MongoDB provisionnée : archivée ou supprimée selon PROJECT_DB_ON_DELETE
+  await deprovisionProjectDatabase(userId, projectName);
+
+  // Fichiers du projet (lien publié, releases, HOME), historique des déploiements et dépôt de push :
+  // le nom du projet peut ensuite être réutilisé
+  await deleteProjectDirectory(type, projectName, userId);
+  if (type === 'static') {
+    setStaticWebRoot(projectName, undefined);
+  }
+  await db.collection('deployments').deleteMany({ projectId: project._id.toString() });
+  await deleteRepository(userId, projectName);
+
+  await db.collection('projects').deleteOne({ _id: project._id });
+  logger.userAction(userId, 'PROJECT_DELETED', `Project: ${projectName}, Type: ${type}`);
+  return { message: `Projet ${projectName} supprimé` };
+}
+
+// Remet en ligne une release précédente (déploiement réussi de l'historique du projet).
+// Si elle ne démarre pas, la version en ligne est remise en service.
+export async function runProjectRollback(job, { userId, project, deployment }) {
+  const db = getDB();
+  jobManager.startPhase(job, 'start');
+  project = await loadCurrentProject(db, project);
+  const deploymentId = deployment._id.toString();
+  const releasePath = getReleasePath(project.type, project.name, deployment.releaseId);
+
+  const updates = {
+    ...deployment.metadata,
+    updatedAt: new Date(),
+    currentReleaseId: deployment.releaseId,
+    currentDeploymentId: deploymentId,
+  };
+  // Les releases antérieures à la détection n'ont pas de racine web enregistrée
+  if (project.type === 'static') {
+    updates.webRoot = deployment.metadata?.webRoot ?? (await detectWebRoot(releasePath));
+  }
+
+  // Les releases antérieures à la détection du runtime sont des projets frontend + backend Node
+  if (project.type === 'dynamic') {
+    updates.runtime = deployment.metadata?.runtime || LEGACY_RUNTIME;
+    updates.frontendFramework = deployment.metadata?.frontendFramework || null;
+  }
+  updates.manifest = deployment.metadata?.manifest || null;
+
+  jobManager.appendLog(job, 'system', `Restauration de la release ${deployment.releaseId}`);
+  jobManager.getSignal(job)?.throwIfAborted();
+  await activateRelease(project.type, project.name, releasePath, userId);
+  try {
+    if (project.type === 'static') {
+      setStaticWebRoot(project.name, updates.webRoot);
+    }
+
+    // Un backend dynamique en cours d'exécution doit repartir sur l'ancienne version
+    if (project.type === 'dynamic' && (project.status === 'active' || isBackendRunning(userId, project.name))) {
+      const { frontendBuildDir } = await startSupervisedProject({ ...project, runtime: updates.runtime });
+      updates.frontendBuildDir = frontendBuildDir;
+      updates.status = 'active';
+    }
+    jobManager.getSignal(job)?.throwIfAborted();
+  } catch (error) {
+    await restorePreviousRelease(project, userId);
+    throw error;
+  }
+
+  await db.collection('projects').updateOne({ _id: project._id }, { $set: updates });
+  await recordDeployment(db, {
+    projectId: project._id.toString(),
+    userId,
+    projectName: project.name,
+    type: project.type,
+    releaseId: deployment.releaseId,
+    archive: deployment.archive,
+    uploadedBy: userId,
+    status: 'success',
+    action: 'rollback',
+    rollbackOf: deploymentId,
+  });
+
+  logger.deployment(userId, project.name, project.type, 'rolled_back', `Release: ${deployment.releaseId}`);
+
+  return {
+    message: `Projet ${project.name} restauré à la version du ${new Date(deployment.createdAt).toLocaleString('fr-FR')}`,
+    project: {
+      ...project,
+      ...updates,
+      id: project._id.toString(),
+      url: getProjectUrl(project),
+    },
+  };
+}
+
+// Redémarre le backend d'un projet dynamique (après un arrêt sur plantages en boucle, par exemple)
+export async function runProjectRestart(job, { userId, project }) {
+  const db = getDB();
+  jobManager.startPhase(job, 'start');
+  project = await loadCurrentProject(db, project);
+
+  try {
+    await startSupervisedProject(project);
+    jobManager.getSignal(job)?.throwIfAborted();
+  } catch (error) {
+    await stopSupervisedProject(userId, project.name);
+    throw new Error(`Erreur lors du démarrage du projet: ${error.message}`);
+  }
+  await db.collection('projects').updateOne(
+    { _id: project._id },
+    { $set: { status: 'active', updatedAt: new Date() }, $unset: { crashedAt: '' } },
+  );
+  logger.userAction(userId, 'PROJECT_RESTARTED', `Project: ${project.name}`);
+
+  return { message: `Projet ${project.name} redémarré` };
+}
+
+async function removeUploadedArchive(source) {
+  if (source.kind === 'archive') {
+    await fs.unlink(source.file.path).catch(() => {});
+  }
+}
+
+// Remet en ligne la release enregistrée sur le projet (et redémarre son backend s'il était actif)
+export async function restorePreviousRelease(project, userId) {
+  try {
+    // Les projets antérieurs aux releases ont été archivés sous "legacy"
+    const releaseId = project.currentReleaseId || 'legacy';
+    await activateRelease(project.type, project.name, getReleasePath(project.type, project.name, releaseId), userId);
+    if (project.type === 'static') {
+      setStaticWebRoot(project.name, project.webRoot);
+    }
+    if (project.type === 'dynamic' && project.status === 'active') {
+      await startSupervisedProject(project);
+    }
+    logger.userAction(userId, 'PREVIOUS_RELEASE_RESTORED', `Project: ${project.name}, Release: ${releaseId}`);
+  } catch (error) {
+    logger.error('RESTORE_PREVIOUS_RELEASE_FAILED', error.message, userId);
+  }
+}
@@ -0,0 +1,36 @@
+import { getDB } from '../config/database.js';
+import { getDynamicSiteUrl } from './fileSystem.js';
+import { isBackendRunning } from './processManager.js';
+
+// Découverte du backend d'un projet dynamique : un frontend buildé une seule fois
+// retrouve l'adresse actuelle de son backend après un changement de port ou un redémarrage.
+// Ces informations sont publiques : rien d'autre que les adresses n'est exposé.
+
+// Les noms des projets dynamiques sont uniques (un dossier par projet sous hosted-sites/dynamic)
+export function findDiscoverableProject(projectName) {
+  return getDB().collection('projects').findOne({ type: 'dynamic', name: projectName });
+}
+
+export function getDiscoveryInfo(project) {
+  // Projets antérieurs au serveur public : le backend écoute directement sur le port du projet
+  const port = project.backendPort || project.port;
+  const url = getDynamicSiteUrl(project.hostLabel, project.userHostLabel);
+  const apiPrefix = project.backendPort ? project.apiPrefix || '/api' : '';
+
+  return {
+    name: project.name,
+    port,
+    backendUrl: `http://localhost:${port}`,
+    url,
+    apiPrefix,
+    apiUrl: `${url}${apiPrefix}`,
+    running: isBackendRunning(project.userId, project.name),
+    updatedAt: project.updatedAt,
+  };
+}
+
+// Script de configuration chargé par le frontend : window.__HOSTEDHOST__ = {...}
+// ('<' échappé pour que le contenu ne puisse pas fermer une balise <script>)
+export function renderConfigScript(info) {
+  return `window.__HOSTEDHOST__ = ${JSON.stringify(info).replace(/</g, '\\u003c')};\n`;
+}
@@ -1,3 +1,4 @@
+import crypto from 'crypto';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -10,16 +11,41 @@ const BASE_DIR = path.join(__dirname, '../../');
 const HOSTED_SITES_DIR = path.join(BASE_DIR, 'hosted-sites');
 const STATIC_SITES_DIR = path.join(HOSTED_SITES_DIR, 'static');
 const DYNAMIC_SITES_DIR = path.join(HOSTED_SITES_DIR, 'dynamic');
+// Dossier caché (ignoré par express.static) sur le même disque que les sites : liens
+// symboliques temporaires d'activateRelease, renommés ensuite sur le chemin du projet
+const STAGING_DIR = path.join(HOSTED_SITES_DIR, '.staging');
+const RELEASES_DIR = path.join(BASE_DIR, 'releases');
+// Espaces de travail temporaires (clones Git avant copie dans une release)
+const WORKSPACES_DIR = path.join(BASE_DIR, 'workspaces');
+// Dépôts Git nus recevant les push des utilisateurs (un par projet)
+const REPOSITORIES_DIR = path.join(BASE_DIR, 'repositories');
 const UPLOADS_DIR = path.join(BASE_DIR, 'uploads');
 const LOGS_DIR = path.join(BASE_DIR, 'logs');
+// Exports des bases MongoDB des projets supprimés
+const DATABASE_ARCHIVES_DIR = path.join(BASE_DIR, 'database-archives');
+// Cache des paquets (npm, pnpm, yarn, pip) partagé par tous les projets, à pré-remplir
+// sur un hôte de build sans accès réseau (PACKAGE_CACHE_DIR, lu à l'appel : le module est chargé avant dotenv)
+const DEFAULT_PACKAGE_CACHE_DIR = path.join(BASE_DIR, 'package-cache');
+// HOME de chaque projet pour ses installations et builds (un dossier par type et par projet)
+const PROJECT_HOMES_DIR = path.join(BASE_DIR, 'project-homes');
+// HOME des commandes git (clones, push) : ni configuration ni clés du compte de la plateforme
+const GIT_HOME_DIR = path.join(BASE_DIR, 'git-home');
 
 export async function initializeDirectories() {
   const directories = [
     HOSTED_SITES_DIR,
     STATIC_SITES_DIR,
     DYNAMIC_SITES_DIR,
+    STAGING_DIR,
+    RELEASES_DIR,
+    WORKSPACES_DIR,
+    REPOSITORIES_DIR,
     UPLOADS_DIR,
-    LOGS_DIR
+    LOGS_DIR,
+    DATABASE_ARCHIVES_DIR,
+    getPackageCacheDir(),
+    PROJECT_HOMES_DIR,
+    GIT_HOME_DIR
   ];
 
   for (const dir of directories) {
@@ -42,6 +68,25 @@ export function getUploadsDir() {
   return UPLOADS_DIR;
 }
 
+export function getDatabaseArchivesDir() {
+  return DATABASE_ARCHIVES_DIR;
+}
+
+export function getPackageCacheDir() {
+  return process.env.PACKAGE_CACHE_DIR || DEFAULT_PACKAGE_CACHE_DIR;
+}
+
+export function getProjectHomeDir(type, projectName) {
+  return path.join(PROJECT_HOMES_DIR, type, projectName);
+}
+
+// HOME du projet, créé au besoin : installations, builds, hooks et exécution du backend
+export async function ensureProjectHomeDir(type, projectName) {
+  const home = getProjectHomeDir(type, projectName);
+  await fs.mkdir(home, { recursive: true });
+  return home;
+}
+
 export async function createProjectDirectory(type, projectName, userId) {
   const projectPath = getProjectPath(type, projectName);
   
@@ -59,11 +104,128 @@ export async function createProjectDirectory(type, projectName, userId) {
   }
 }
 
+export async function projectDirectoryExists(type, projectName) {
+  try {
+    await fs.lstat(getProjectPath(type, projectName));
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+}
+
+export function getReleasePath(type, projectName, releaseId) {
+  return path.join(RELEASES_DIR, type, projectName, releaseId);
+}
+
+// Chaque déploiement est extrait dans son propre répertoire de release,
+// qui n'est plus modifié une fois publié
+export async function createReleaseDirectory(type, projectName, userId) {
+  const releaseId = new Date().toISOString().replace(/[:.]/g, '-');
+  const releasePath = getReleasePath(type, projectName, releaseId);
+  await fs.mkdir(releasePath, { recursive: true });
+  logger.userAction(userId, 'RELEASE_DIRECTORY_CREATED', `Path: ${releasePath}`);
+  return { releaseId, releasePath };
+}
+
+// Publie une release : le chemin du projet est un lien symbolique remplacé
+// par rename, l'ancienne version reste donc servie jusqu'au dernier moment.
+export async function activateRelease(type, projectName, releasePath, userId) {
+  const projectPath = getProjectPath(type, projectName);
+  const tempLinkPath = path.join(STAGING_DIR, `${type}-${projectName}-${Date.now()}`);
+
+  // Les projets déployés avant les releases sont de vrais dossiers : on les
+  // archive une seule fois pour pouvoir les remplacer par un lien
+  try {
+    const stats = await fs.lstat(projectPath);
+    if (!stats.isSymbolicLink()) {
+      const legacyPath = getReleasePath(type, projectName, 'legacy');
+      await fs.mkdir(path.dirname(legacyPath), { recursive: true });
+      await fs.rename(projectPath, legacyPath);
+      logger.userAction(userId, 'LEGACY_PROJECT_ARCHIVED', `Path: ${legacyPath}`);
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  await fs.symlink(releasePath, tempLinkPath, 'dir');
+  try {
+    await fs.rename(tempLinkPath, projectPath);
+  } catch (error) {
+    await fs.unlink(tempLinkPath).catch(() => {});
+    logger.error('RELEASE_ACTIVATION_FAILED', error.message, userId);
+    throw error;
+  }
+
+  logger.userAction(userId, 'RELEASE_ACTIVATED', `Project: ${projectName}, Release: ${path.basename(releasePath)}`);
+  return projectPath;
+}
+
+export async function deleteReleaseDirectory(releasePath) {
+  await fs.rm(releasePath, { recursive: true, force: true }).catch(() => {});
+}
+
+export function getRepositoriesDir() {
+  return REPOSITORIES_DIR;
+}
+
+export function getGitHomeDir() {
+  return GIT_HOME_DIR;
+}
+
+export function getRepositoryPath(userId, projectName) {
+  return path.join(REPOSITORIES_DIR, userId, `${projectName}.git`);
+}
+
+// Dépôt de push d'un projet supprimé
+export async function deleteRepository(userId, projectName) {
+  await fs.rm(getRepositoryPath(userId, projectName), { recursive: true, force: true });
+}
+
+export async function createWorkspaceDirectory(prefix) {
+  await fs.mkdir(WORKSPACES_DIR, { recursive: true });
+  return fs.mkdtemp(path.join(WORKSPACES_DIR, `${prefix}-`));
+}
+
+export async function deleteWorkspaceDirectory(workspacePath) {
+  await fs.rm(workspacePath, { recursive: true, force: true }).catch(() => {});
+}
+
+// Taille cumulée des fichiers d'un dossier (octets), liens symboliques non suivis
+export async function getDirectorySize(dirPath) {
+  let total = 0;
+  const entries = await fs.readdir(dirPath, { withFileTypes: true });
+  for (const entry of entries) {
+    const entryPath = path.join(dirPath, entry.name);
+    if (entry.isDirectory()) {
+      total += await getDirectorySize(entryPath);
+    } else if (entry.isFile()) {
+      total += (await fs.stat(entryPath)).size;
+    }
+  }
+  return total;
+}
+
+export async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  const handle = await fs.open(filePath, 'r');
+  try {
+    for await (const chunk of handle.createReadStream()) {
+      hash.update(chunk);
+    }
+  } finally {
+    await handle.close().catch(() => {});
+  }
+  return hash.digest('hex');
+}
+
 export async function deleteProjectDirectory(type, projectName, userId) {
   const projectPath = getProjectPath(type, projectName);
   
   try {
     await fs.rm(projectPath, { recursive: true, force: true });
+    await fs.rm(path.join(RELEASES_DIR, type, projectName), { recursive: true, force: true });
+    await fs.rm(getProjectHomeDir(type, projectName), { recursive: true, force: true });
     logger.userAction(userId, 'PROJECT_DIRECTORY_DELETED', `Path: ${projectPath}`);
   } catch (error) {
     logger.error('DELETE_PROJECT_DIRECTORY_FAILED', error.message, userId);
@@ -86,10 +248,32 @@ export async function listProjectFiles(type, projectName) {
   }
 }
 
-export function getStaticSiteUrl(projectName, port = 5000) {
-  return `http://localhost:${port}/hosted/static/${projectName}`;
+// Domaine sous lequel chaque projet reçoit son nom d'hôte : <projet>.<utilisateur>.<domaine>.
+// Lu à l'appel : le module est chargé avant dotenv.
+export function getHostingBaseDomain() {
+  return (process.env.HOSTING_BASE_DOMAIN || 'localhost').toLowerCase().replace(/^\.+|\.+$/g, '');
+}
+
+export function getProjectHostname(projectLabel, userLabel) {
+  return `${projectLabel}.${userLabel}.${getHostingBaseDomain()}`;
+}
+
+// Adresse publique de la plateforme (port omis s'il est celui par défaut du protocole)
+function getSiteUrl(hostname) {
+  const protocol = process.env.HOSTING_PROTOCOL || 'http';
+  const port = String(process.env.HOSTING_PUBLIC_PORT || process.env.PORT || 5000);
+  const defaultPort = protocol === 'https' ? '443' : '80';
+  return `${protocol}://${hostname}${port === defaultPort ? '' : `:${port}`}`;
+}
+
+export function getStaticSiteUrl(projectLabel, userLabel) {
+  return getSiteUrl(getProjectHostname(projectLabel, userLabel));
+}
+
+export function getDynamicSiteUrl(projectLabel, userLabel) {
+  return getSiteUrl(getProjectHostname(projectLabel, userLabel));
 }
 
-export function getDynamicSiteUrl(port) {
-  return `http://localhost:${port}`;
+export function getHostedSitesDir() {
+  return HOSTED_SITES_DIR;
 }
@@ -0,0 +1,134 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from './logger.js';
+
+// Adresse du backend transmise au frontend d'un projet dynamique, selon les conventions
+// de son framework (détecté dans les dépendances de son package.json) :
+// - au build : variable du framework ajoutée au .env (fichiers environment d'Angular) ;
+// - à l'exécution (option runtimeConfig du projet) : script ENV_SCRIPT_PATH chargé par le
+//   index.html servi, qui définit window.__ENV__ avec l'adresse actuelle, sans rebuild.
+// Le framework retenu est enregistré sur le projet (frontendFramework).
+
+// Script de configuration à l'exécution (window.__ENV__), servi par le serveur public du projet
+export const ENV_SCRIPT_PATH = '/__env.js';
+// Variable historique, toujours ajoutée au .env
+const LEGACY_VARIABLE = 'BACKEND_ADRESSE';
+// Fichiers environment d'Angular remplacés au build de production (environment.ts depuis Angular 15)
+const ANGULAR_ENVIRONMENTS = ['environment.prod.ts', 'environment.ts'];
+
+// Frameworks reconnus, par ordre de priorité (Next.js et Angular embarquent d'autres outils de build)
+export const FRONTEND_FRAMEWORKS = [
+  { name: 'next', label: 'Next.js', dependency: 'next', variable: 'NEXT_PUBLIC_API_URL' },
+  { name: 'angular', label: 'Angular', dependency: '@angular/core', variable: null },
+  { name: 'cra', label: 'Create React App', dependency: 'react-scripts', variable: 'REACT_APP_API_URL' },
+  { name: 'vue-cli', label: 'Vue CLI', dependency: '@vue/cli-service', variable: 'VUE_APP_API_URL' },
+  { name: 'vite', label: 'Vite', dependency: 'vite', variable: 'VITE_API_URL' },
+];
+// Frontend non reconnu : convention Vite, comme avant la détection
+const GENERIC_FRAMEWORK = { name: 'generic', label: 'Non reconnu', dependency: null, variable: 'VITE_API_URL' };
+
+export function getFrontendFramework(name) {
+  return FRONTEND_FRAMEWORKS.find((framework) => framework.name === name) || GENERIC_FRAMEWORK;
+}
+
+// Framework du frontend d'après les dépendances de son package.json (non reconnu sans package.json lisible)
+export async function detectFrontendFramework(frontendDir, userId) {
+  let packageJson;
+  try {
+    packageJson = JSON.parse(await fs.readFile(path.join(frontendDir, 'package.json'), 'utf8'));
+  } catch (e) {
+    logger.warn('package.json frontend illisible, framework non reconnu', JSON.stringify({ frontendDir, error: e.message, userId }));
+    return GENERIC_FRAMEWORK;
+  }
+  const dependencies = { ...packageJson.dependencies, ...packageJson.devDependencies };
+  return FRONTEND_FRAMEWORKS.find((framework) => dependencies[framework.dependency]) || GENERIC_FRAMEWORK;
+}
+
+// Option runtimeConfig du formulaire ("true"/"false" en multipart), null si non renseignée
+export function normalizeRuntimeConfig(value) {
+  if (value === undefined || value === null || value === '') return null;
+  return value === true || value === 'true' || value === '1' || value === 'on';
+}
+
+// Variables manquantes ajoutées au .env du frontend (celles déjà définies sont respectées)
+async function configureDotEnv(frontendDir, variables, userId) {
+  const frontendEnvPath = path.join(frontendDir, '.env');
+  let envVars = Object.entries(variables).map(([name, value]) => `${name}=${value}`);
+  let envContent = '';
+  try {
+    envContent = await fs.readFile(frontendEnvPath, 'utf8');
+    envVars = envVars.filter((v) => !new RegExp(`^\\s*${v.split('=')[0]}=`, 'm').test(envContent));
+    logger.info('Lecture du fichier .env frontend réussie', JSON.stringify({ frontendEnvPath, userId }));
+  } catch (e) {
+    logger.warn('Fichier .env frontend absent, il sera créé', JSON.stringify({ frontendEnvPath, userId }));
+  }
+  if (envVars.length) {
+    const separator = envContent && !envContent.endsWith('\n') ? '\n' : '';
+    await fs.appendFile(frontendEnvPath, separator + envVars.join('\n') + '\n');
+    logger.info('Ajout des variables au fichier .env frontend', JSON.stringify({ envVars, userId }));
+  }
+  return envVars.map((value) => ({ file: '.env', value }));
+}
+
+// apiUrl ajouté à l'objet environment des fichiers d'Angular (créé s'il n'y en a aucun)
+async function configureAngularEnvironments(frontendDir, siteUrl, userId) {
+  const environmentsDir = path.join(frontendDir, 'src', 'environments');
+  const entry = `apiUrl: ${JSON.stringify(siteUrl)}`;
+  const injected = [];
+  let found = false;
+
+  for (const name of ANGULAR_ENVIRONMENTS) {
+    const file = path.join(environmentsDir, name);
+    let content;
+    try {
+      content = await fs.readFile(file, 'utf8');
+    } catch (e) {
+      continue;
+    }
+    found = true;
+    if (/\bapiUrl\s*:/.test(content)) continue;
+
+    const patched = content.replace(/(export\s+const\s+environment\b[^=]*=\s*\{)/, `$1\n  ${entry},`);
+    if (patched === content) {
+      logger.warn('Objet environment introuvable, apiUrl non ajouté', JSON.stringify({ file, userId }));
+      continue;
+    }
+    await fs.writeFile(file, patched);
+    injected.push({ file: `src/environments/${name}`, value: entry });
+  }
+
+  if (!found) {
+    await fs.mkdir(environmentsDir, { recursive: true });
+    await fs.writeFile(
+      path.join(environmentsDir, 'environment.ts'),
+      `export const environment = {\n  production: true,\n  ${entry},\n};\n`,
+    );
+    injected.push({ file: 'src/environments/environment.ts', value: entry });
+  }
+  logger.info('Configuration des environments Angular', JSON.stringify({ injected, userId }));
+  return injected;
+}
+
+// Transmet l'adresse du backend (URL du projet) au build du frontend.
+// Renvoie le framework détecté et les valeurs ajoutées ({ file, value }, fichier relatif au frontend).
+export async function configureFrontendEnv(frontendDir, siteUrl, userId) {
+  const framework = await detectFrontendFramework(frontendDir, userId);
+  const variables = { [LEGACY_VARIABLE]: siteUrl };
+  if (framework.variable) variables[framework.variable] = siteUrl;
+
+  const injected = await configureDotEnv(frontendDir, variables, userId);
+  if (framework.name === 'angular') {
+    injected.push(...(await configureAngularEnvironments(frontendDir, siteUrl, userId)));
+  }
+  return { framework, injected };
+}
+
+// Script ENV_SCRIPT_PATH : window.__ENV__ = {...} avec l'adresse actuelle sous les noms
+// du framework (à lire avant la valeur du build, ex. window.__ENV__?.REACT_APP_API_URL)
+export function renderEnvScript(info, frameworkName) {
+  const framework = getFrontendFramework(frameworkName);
+  const env = { API_URL: info.url, [LEGACY_VARIABLE]: info.url };
+  if (framework.variable) env[framework.variable] = info.url;
+  if (framework.name === 'angular') env.apiUrl = info.url;
+  return `window.__ENV__ = ${JSON.stringify(env).replace(/</g, '\\u003c')};\n`;
+}
@@ -0,0 +1,235 @@
+import express from 'express';
+import http from 'http';
+import net from 'net';
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from './logger.js';
+import { getProcessKey } from './processManager.js';
+import { findDiscoverableProject, getDiscoveryInfo, renderConfigScript } from './discovery.js';
+import { ENV_SCRIPT_PATH, renderEnvScript } from './frontendFramework.js';
+
+// Préfixe API saisi par l'utilisateur refusé (HTTP 400)
+export class ApiPrefixError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ApiPrefixError';
+    this.status = 400;
+  }
+}
+
+export const DEFAULT_API_PREFIX = '/api';
+const API_PREFIX_PATTERN = /^(\/[\w.-]+)+$/;
+// Dossiers produits par le build du frontend, par ordre de préférence
+const FRONTEND_BUILD_DIRS = ['dist', 'build'];
+// Script de configuration (window.__HOSTEDHOST__) injecté dans le index.html servi
+export const CONFIG_SCRIPT_PATH = '/__hostedhost.js';
+// Le port public peut encore être tenu par l'ancien processus pendant un redémarrage
+const LISTEN_RETRIES = 10;
+const LISTEN_RETRY_DELAY = 300;
+
+// Serveurs publics des projets dynamiques : frontend buildé + proxy vers le backend
+const frontendServers = new Map();
+
+// Dossier du build du frontend (relatif à frontendDir), null si le build n'a rien produit
+export async function findFrontendBuildDir(frontendDir) {
+  for (const dir of FRONTEND_BUILD_DIRS) {
+    const stats = await fs.stat(path.join(frontendDir, dir, 'index.html')).catch(() => null);
+    if (stats && stats.isFile()) return dir;
+  }
+  return null;
+}
+
+// Valide le préfixe des chemins relayés au backend ("/api", "/v1/api"...), null si non renseigné
+export function normalizeApiPrefix(value) {
+  const prefix = typeof value === 'string' ? value.trim().replace(/\/+$/, '') : '';
+  if (!prefix) return null;
+  if (!API_PREFIX_PATTERN.test(prefix) || prefix.split('/').some((segment) => segment === '.' || segment === '..')) {
+    throw new ApiPrefixError(`Préfixe API invalide: ${value} (ex. /api)`);
+  }
+  return prefix;
+}
+
+function matchesPrefix(url, prefix) {
+  return url === prefix || url.startsWith(`${prefix}/`) || url.startsWith(`${prefix}?`);
+}
+
+// En-têtes X-Forwarded-* : ceux d'un relais précédent (routage par nom d'hôte) sont conservés
+function forwardedHeaders(req) {
+  const forwardedFor = req.headers['x-forwarded-for'];
+  return {
+    ...req.headers,
+    'x-forwarded-for': forwardedFor ? `${forwardedFor}, ${req.socket.remoteAddress}` : req.socket.remoteAddress,
+    'x-forwarded-host': req.headers['x-forwarded-host'] || req.headers.host,
+    'x-forwarded-proto': req.headers['x-forwarded-proto'] || 'http',
+  };
+}
+
+// Relaie une requête HTTP au backend du projet, chemin complet conservé (préfixe compris)
+export function proxyRequest(req, res, backendPort) {
+  const proxyReq = http.request(
+    {
+      host: '127.0.0.1',
+      port: backendPort,
+      method: req.method,
+      path: req.originalUrl,
+      headers: forwardedHeaders(req),
+    },
+    (proxyRes) => {
+      res.writeHead(proxyRes.statusCode, proxyRes.headers);
+      proxyRes.pipe(res);
+    },
+  );
+
+  proxyReq.on('error', (error) => {
+    logger.warn('BACKEND_PROXY_ERROR', `Port: ${backendPort}, ${error.message}`);
+    if (res.headersSent) {
+      res.destroy();
+    } else {
+      res.status(502).json({ success: false, message: 'Backend du projet indisponible' });
+    }
+  });
+  req.pipe(proxyReq);
+}
+
+// Relaie une connexion WebSocket (requête Upgrade) au backend
+export function proxyUpgrade(req, socket, head, backendPort) {
+  const upstream = net.connect(backendPort, '127.0.0.1', () => {
+    const headers = Object.entries(forwardedHeaders(req))
+      .map(([name, value]) => `${name}: ${value}`)
+      .join('\r\n');
+    upstream.write(`${req.method} ${req.url} HTTP/${req.httpVersion}\r\n${headers}\r\n\r\n`);
+    upstream.write(head);
+    socket.pipe(upstream).pipe(socket);
+  });
+  upstream.on('error', () => socket.destroy());
+  socket.on('error', () => upstream.destroy());
+}
+
+// index.html du build avec les scripts de configuration chargés avant ceux de l'application
+async function sendIndexHtml(res, buildPath, runtimeConfig) {
+  const html = await fs.readFile(path.join(buildPath, 'index.html'), 'utf8');
+  const tag = [CONFIG_SCRIPT_PATH, ...(runtimeConfig ? [ENV_SCRIPT_PATH] : [])]
+    .map((src) => `<script src="${src}"></script>`)
+    .join('');
+  const headEnd = html.search(/<\/head>/i);
+  res
+    .type('html')
+    .set('Cache-Control', 'no-cache')
+    .send(headEnd === -1 ? `${tag}\n${html}` : `${html.slice(0, headEnd)}${tag}\n${html.slice(headEnd)}`);
+}
+
+// Application servie à l'URL d'un projet dynamique : les requêtes sous apiPrefix vont
+// au backend, le reste est servi depuis le build du frontend (application monopage).
+// Sans build, tout est relayé au backend. Avec runtimeConfig, ENV_SCRIPT_PATH donne au
+// frontend l'adresse du backend sous les noms de son framework (window.__ENV__).
+export function createFrontendApp({ projectName, buildPath, apiPrefix, backendPort, runtimeConfig = false }) {
+  const app = express();
+  app.disable('x-powered-by');
+
+  app.use((req, res, next) => {
+    if (!buildPath || matchesPrefix(req.path, apiPrefix)) {
+      return proxyRequest(req, res, backendPort);
+    }
+    next();
+  });
+
+  if (buildPath) {
+    // Configuration lue à chaque chargement : toujours le port actuel du backend
+    const sendScript = (render) => async (req, res, next) => {
+      try {
+        const project = await findDiscoverableProject(projectName);
+        if (!project) return res.status(404).end();
+        res.type('application/javascript').set('Cache-Control', 'no-store').send(render(project));
+      } catch (error) {
+        next(error);
+      }
+    };
+    app.get(CONFIG_SCRIPT_PATH, sendScript((project) => renderConfigScript(getDiscoveryInfo(project))));
+    if (runtimeConfig) {
+      app.get(ENV_SCRIPT_PATH, sendScript((project) => renderEnvScript(getDiscoveryInfo(project), project.frontendFramework)));
+    }
+    app.get('/index.html', (req, res, next) => sendIndexHtml(res, buildPath, runtimeConfig).catch(next));
+    app.use(express.static(buildPath, { index: false }));
+    app.get('*', (req, res, next) => sendIndexHtml(res, buildPath, runtimeConfig).catch(next));
+  }
+
+  return app;
+}
+
+function listen(server, port) {
+  return new Promise((resolve, reject) => {
+    const onError = (error) => {
+      server.off('listening', onListening);
+      reject(error);
+    };
+    const onListening = () => {
+      server.off('error', onError);
+      resolve();
+    };
+    server.once('error', onError);
+    server.once('listening', onListening);
+    server.listen(port);
+  });
+}
+
+// Démarre (ou redémarre) le serveur public d'un projet sur son port
+export async function startFrontendServer(userId, projectName, { port, backendPort, buildPath, apiPrefix, runtimeConfig }) {
+  await stopFrontendServer(userId, projectName);
+
+  const app = createFrontendApp({ projectName, buildPath, apiPrefix, backendPort, runtimeConfig });
+  const server = http.createServer(app);
+  server.on('upgrade', (req, socket, head) => {
+    if (!buildPath || matchesPrefix(req.url, apiPrefix)) {
+      proxyUpgrade(req, socket, head, backendPort);
+    } else {
+      socket.destroy();
+    }
+  });
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await listen(server, port);
+      break;
+    } catch (error) {
+      if (error.code !== 'EADDRINUSE' || attempt >= LISTEN_RETRIES) {
+        throw new Error(`Impossible d'écouter sur le port ${port}: ${error.message}`);
+      }
+      await new Promise((resolve) => setTimeout(resolve, LISTEN_RETRY_DELAY));
+    }
+  }
+
+  frontendServers.set(getProcessKey(userId, projectName), server);
+  logger.userAction(
+    userId,
+    'FRONTEND_SERVER_STARTED',
+    `Project: ${projectName}, Port: ${port}, Build: ${buildPath ? path.basename(buildPath) : 'aucun'}, API: ${apiPrefix} -> ${backendPort}`,
+  );
+}
+
+// Arrêt de la plateforme : tous les serveurs publics des projets
+export async function stopAllFrontendServers() {
+  const servers = [...frontendServers.values()];
+  frontendServers.clear();
+  await Promise.all(
+    servers.map(
+      (server) =>
+        new Promise((resolve) => {
+          server.close(() => resolve());
+          server.closeAllConnections();
+        }),
+    ),
+  );
+}
+
+export async function stopFrontendServer(userId, projectName) {
+  const projectKey = getProcessKey(userId, projectName);
+  const server = frontendServers.get(projectKey);
+  if (!server) return false;
+
+  frontendServers.delete(projectKey);
+  await new Promise((resolve) => {
+    server.close(() => resolve());
+    server.closeAllConnections();
+  });
+  return true;
+}
@@ -0,0 +1,302 @@
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import readline from 'readline';
+import { Transform } from 'stream';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { logger } from './logger.js';
+import { buildChildEnv } from './childEnv.js';
+import { getGitHomeDir, getRepositoriesDir } from './fileSystem.js';
+import { killTreeOnAbort } from './processManager.js';
+
+// Paramètres de dépôt refusés : l'erreur vient de la requête de l'utilisateur (HTTP 400)
+export class GitSourceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'GitSourceError';
+    this.status = 400;
+  }
+}
+
+// URL distantes (https, ssh, git, file) ou syntaxe scp "user@hôte:chemin"
+const REMOTE_URL_PATTERN = /^(https?|ssh|git|file):\/\/\S+$/;
+const SCP_URL_PATTERN = /^[\w.-]+@[\w.-]+:\S+$/;
+const REF_PATTERN = /^[\w][\w./-]*$/;
+
+function isInside(dir, target) {
+  return target === dir || target.startsWith(dir + path.sep);
+}
+
+// Dossiers du serveur dont les dépôts peuvent être clonés par chemin local ou file://
+// (GIT_LOCAL_ROOTS, séparés par des virgules ; lu à l'appel : le module est chargé avant dotenv)
+function getLocalRoots() {
+  return (process.env.GIT_LOCAL_ROOTS || '')
+    .split(',')
+    .map((root) => root.trim())
+    .filter((root) => path.isAbsolute(root))
+    .map((root) => path.resolve(root));
+}
+
+// Un dépôt local n'est accepté que sous GIT_LOCAL_ROOTS, ou parmi les dépôts de push de
+// l'utilisateur : ceux des autres utilisateurs et le reste du serveur sont refusés
+function checkLocalSource(url, userId) {
+  let localPath;
+  try {
+    localPath = path.resolve(url.startsWith('file://') ? fileURLToPath(url) : url);
+  } catch {
+    throw new GitSourceError(`URL du dépôt invalide: ${url}`);
+  }
+
+  const repositoriesDir = path.resolve(getRepositoriesDir());
+  if (isInside(repositoriesDir, localPath)) {
+    if (userId && localPath.startsWith(path.join(repositoriesDir, String(userId)) + path.sep)) {
+      return localPath;
+    }
+    throw new GitSourceError('Ce dépôt appartient à un autre utilisateur');
+  }
+  if (!getLocalRoots().some((root) => isInside(root, localPath))) {
+    throw new GitSourceError('Dépôt local non autorisé : seuls les dossiers de GIT_LOCAL_ROOTS peuvent être clonés');
+  }
+  return localPath;
+}
+
+// Valide et normalise { repoUrl, ref, subdirectory } reçus dans une requête de déploiement
+// de l'utilisateur userId (propriétaire des dépôts locaux qu'il peut cloner)
+export function validateGitSource({ repoUrl, ref, subdirectory } = {}, userId = null) {
+  let url = typeof repoUrl === 'string' ? repoUrl.trim() : '';
+  if (!url) {
+    throw new GitSourceError('URL du dépôt Git requise');
+  }
+  // Un chemin local désigne un dépôt (bare ou non) présent sur le serveur
+  if (!REMOTE_URL_PATTERN.test(url) && !SCP_URL_PATTERN.test(url) && !path.isAbsolute(url)) {
+    throw new GitSourceError('URL du dépôt invalide (https://, ssh://, git://, file:// ou chemin absolu attendu)');
+  }
+  if (path.isAbsolute(url) || url.startsWith('file://')) {
+    url = checkLocalSource(url, userId);
+  }
+
+  const branch = typeof ref === 'string' ? ref.trim() : '';
+  if (branch && (!REF_PATTERN.test(branch) || branch.includes('..') || branch.endsWith('.lock'))) {
+    throw new GitSourceError(`Nom de branche ou de tag invalide: ${branch}`);
+  }
+
+  let subdir = typeof subdirectory === 'string' ? subdirectory.trim().replace(/\\/g, '/') : '';
+  if (subdir) {
+    subdir = path.posix.normalize(subdir).replace(/\/$/, '');
+    if (path.posix.isAbsolute(subdir) || subdir === '..' || subdir.startsWith('../')) {
+      throw new GitSourceError(`Sous-dossier invalide: ${subdirectory}`);
+    }
+  }
+
+  return { repoUrl: url, ref: branch || null, subdirectory: subdir && subdir !== '.' ? subdir : null };
+}
+
+// Environnement de git : HOME isolé, sans configuration système ni globale (assistants
+// d'identification) et ssh sans clé, agent ni ~/.ssh/config. Un utilisateur ne peut donc pas
+// cloner un dépôt privé auquel le compte de la plateforme a accès.
+function getGitEnv() {
+  const home = getGitHomeDir();
+  const ssh = [
+    'ssh -F /dev/null',
+    '-o IdentitiesOnly=yes -o IdentityFile=none -o IdentityAgent=none',
+    `-o BatchMode=yes -o StrictHostKeyChecking=accept-new -o UserKnownHostsFile='${path.join(home, 'known_hosts')}'`,
+  ];
+  return buildChildEnv({
+    platform: {
+      HOME: home,
+      GIT_TERMINAL_PROMPT: '0',
+      GIT_CONFIG_NOSYSTEM: '1',
+      GIT_CONFIG_GLOBAL: '/dev/null',
+      GIT_SSH_COMMAND: ssh.join(' '),
+    },
+  });
+}
+
+// Exécute git sans shell (l'URL vient de l'utilisateur) et sans invite de mot de passe.
+// signal : AbortSignal du job, qui arrête git et ses processus d'aide (transport https, ssh)
+function runGit(args, cwd, onOutput, signal = null) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('git', args, {
+      cwd,
+      stdio: ['ignore', 'pipe', 'pipe'],
+      detached: Boolean(signal),
+      env: getGitEnv(),
+    });
+    const release = killTreeOnAbort(child, signal);
+
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
+    child.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+    if (onOutput) {
+      // git écrit sa progression sur stderr
+      readline.createInterface({ input: child.stderr }).on('line', (line) => onOutput('stderr', line));
+    }
+
+    child.on('close', (code) => {
+      release();
+      if (signal?.aborted) {
+        reject(signal.reason);
+      } else if (code === 0) {
+        resolve(stdout);
+      } else {
+        // Ne garder que les messages d'erreur de git (la progression est déjà dans les logs)
+        const reason = stderr.split('\n').filter((line) => /^(fatal|error):/.test(line)).join(' ') || stderr.trim();
+        reject(new Error(`git ${args[0]} a échoué (code ${code}): ${reason}`));
+      }
+    });
+    child.on('error', (error) => {
+      release();
+      reject(error);
+    });
+  });
+}
+
+// Clone la branche ou le tag demandé (historique limité au dernier commit)
+// et renvoie le commit récupéré ainsi que le dossier à déployer.
+// signal : AbortSignal du job de déploiement (annulation, délai de la phase)
+export async function cloneRepository({ repoUrl, ref, subdirectory }, cloneDir, userId, onOutput, signal = null) {
+  const args = ['clone', '--depth', '1', '--single-branch', '--progress'];
+  if (ref) {
+    args.push('--branch', ref);
+  }
+  // Un chemin local passe par file:// pour que --depth soit respecté
+  args.push('--', path.isAbsolute(repoUrl) ? pathToFileURL(repoUrl).href : repoUrl, cloneDir);
+
+  logger.userAction(userId, 'GIT_CLONE_STARTED', `Repo: ${repoUrl}, Ref: ${ref || 'HEAD'}`);
+  await runGit(args, path.dirname(cloneDir), onOutput, signal);
+
+  const sha = (await runGit(['rev-parse', 'HEAD'], cloneDir, null, signal)).trim();
+  const message = (await runGit(['log', '-1', '--format=%B'], cloneDir, null, signal)).trim();
+  logger.userAction(userId, 'GIT_CLONE_SUCCESS', `Repo: ${repoUrl}, Commit: ${sha}`);
+
+  const sourceDir = subdirectory ? path.join(cloneDir, subdirectory) : cloneDir;
+  const stats = await fs.stat(sourceDir).catch(() => null);
+  if (!stats || !stats.isDirectory()) {
+    throw new Error(`Sous-dossier introuvable dans le dépôt: ${subdirectory}`);
+  }
+  // Le sous-dossier ne doit pas être un lien symbolique menant hors du dépôt
+  const realCloneDir = await fs.realpath(cloneDir);
+  const realSourceDir = await fs.realpath(sourceDir);
+  if (realSourceDir !== realCloneDir && !realSourceDir.startsWith(realCloneDir + path.sep)) {
+    throw new Error(`Sous-dossier hors du dépôt: ${subdirectory}`);
+  }
+
+  return { sha, message, sourceDir };
+}
+
+// Copie l'arbre de travail dans la release, sans .git ni liens symboliques
+// (mêmes garanties que l'extraction d'archive : rien ne pointe hors du projet).
+// signal : AbortSignal du job, qui interrompt la copie
+export async function copyWorkingTree(sourceDir, targetDir, signal = null) {
+  const skippedSymlinks = [];
+
+  await fs.cp(sourceDir, targetDir, {
+    recursive: true,
+    filter: async (source) => {
+      signal?.throwIfAborted();
+      if (path.basename(source) === '.git') return false;
+      const stats = await fs.lstat(source);
+      if (stats.isSymbolicLink()) {
+        skippedSymlinks.push(path.relative(sourceDir, source));
+        return false;
+      }
+      return true;
+    },
+  });
+
+  return { skippedSymlinks };
+}
+
+// --- Protocole smart HTTP (réception des push) ---
+
+// Taille maximale d'une donnée de canal side-band-64k (paquet de 65520 octets)
+const SIDEBAND_MAX_DATA = 65515;
+const ZERO_SHA_PATTERN = /^0+$/;
+const COMMAND_PATTERN = /^([0-9a-f]{40,64}) ([0-9a-f]{40,64}) (refs\/\S+)$/;
+
+// Crée le dépôt nu d'un projet au premier push
+export async function ensureBareRepository(repoPath) {
+  try {
+    await fs.access(path.join(repoPath, 'HEAD'));
+  } catch {
+    await fs.mkdir(repoPath, { recursive: true });
+    await runGit(['init', '--bare', '--quiet', repoPath], path.dirname(repoPath));
+  }
+}
+
+// Ligne au format pkt-line : longueur sur 4 caractères hexadécimaux, puis le contenu
+export function pktLine(data) {
+  const payload = Buffer.isBuffer(data) ? data : Buffer.from(data);
+  return Buffer.concat([Buffer.from((payload.length + 4).toString(16).padStart(4, '0')), payload]);
+}
+
+export const PKT_FLUSH = Buffer.from('0000');
+
+// Message affiché par git côté client, préfixé de "remote:" (canal 2 du side-band)
+export function sidebandMessage(text) {
+  const data = Buffer.from(`${text}\n`).subarray(0, SIDEBAND_MAX_DATA);
+  return pktLine(Buffer.concat([Buffer.from([2]), data]));
+}
+
+// Lance un service git (receive-pack) en mode sans état, comme le fait git http-backend
+export function spawnGitService(service, repoPath, { advertiseRefs = false } = {}) {
+  const args = [service, '--stateless-rpc'];
+  if (advertiseRefs) args.push('--advertise-refs');
+  args.push(repoPath);
+  return spawn('git', args, {
+    stdio: ['pipe', 'pipe', 'pipe'],
+    env: getGitEnv(),
+  });
+}
+
+// Flux transparent qui relève, au passage, les commandes de mise à jour de références
+// envoyées en tête d'une requête receive-pack ("<ancien> <nouveau> <ref>", puis le packfile).
+export function createPushCommandParser() {
+  let buffer = Buffer.alloc(0);
+  let parsing = true;
+  const push = { commands: [], capabilities: [] };
+
+  const parser = new Transform({
+    transform(chunk, encoding, callback) {
+      if (parsing) {
+        buffer = Buffer.concat([buffer, chunk]);
+        while (parsing && buffer.length >= 4) {
+          const length = Number.parseInt(buffer.subarray(0, 4).toString('latin1'), 16);
+          if (Number.isNaN(length) || length === 0) {
+            // Paquet flush : fin des commandes
+            parsing = false;
+            break;
+          }
+          if (buffer.length < length) break;
+
+          let line = buffer.subarray(4, length).toString('utf8').replace(/\n$/, '');
+          buffer = buffer.subarray(length);
+          const nul = line.indexOf('\0');
+          if (nul !== -1) {
+            push.capabilities = line.slice(nul + 1).trim().split(' ');
+            line = line.slice(0, nul);
+          }
+          const match = COMMAND_PATTERN.exec(line);
+          if (match) {
+            push.commands.push({ oldSha: match[1], newSha: match[2], ref: match[3] });
+          }
+        }
+        if (!parsing) buffer = Buffer.alloc(0);
+      }
+      callback(null, chunk);
+    },
+  });
+
+  return { parser, push };
+}
+
+// Branche à déployer : la première branche créée ou mise à jour par le push (les suppressions sont ignorées)
+export function getPushedBranch(commands) {
+  const command = commands.find(({ newSha, ref }) => ref.startsWith('refs/heads/') && !ZERO_SHA_PATTERN.test(newSha));
+  return command ? { branch: command.ref.slice('refs/heads/'.length), sha: command.newSha } : null;
+}
@@ -0,0 +1,82 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { GitSourceError, validateGitSource } from './git.js';
+import { getRepositoriesDir } from './fileSystem.js';
+
+const LOCAL_ROOT = '/srv/depots';
+
+function refused(body, pattern, userId = 'u-test') {
+  assert.throws(
+    () => validateGitSource(body, userId),
+    (error) => {
+      assert.ok(error instanceof GitSourceError, `GitSourceError attendue, reçu ${error.name}`);
+      assert.equal(error.status, 400);
+      assert.match(error.message, pattern);
+      return true;
+    },
+  );
+}
+
+afterEach(() => {
+  delete process.env.GIT_LOCAL_ROOTS;
+});
+
+test('les URL distantes sont acceptées telles quelles', () => {
+  assert.deepEqual(validateGitSource({ repoUrl: ' https://example.com/app.git ' }), {
+    repoUrl: 'https://example.com/app.git',
+    ref: null,
+    subdirectory: null,
+  });
+  assert.equal(validateGitSource({ repoUrl: 'git@example.com:equipe/app.git' }).repoUrl, 'git@example.com:equipe/app.git');
+  refused({ repoUrl: '' }, /URL du dépôt Git requise/);
+  refused({ repoUrl: 'depots/app' }, /URL du dépôt invalide/);
+});
+
+test("un dépôt local n'est accepté que sous GIT_LOCAL_ROOTS, lu au moment de l'appel", () => {
+  refused({ repoUrl: `${LOCAL_ROOT}/app.git` }, /seuls les dossiers de GIT_LOCAL_ROOTS/);
+
+  process.env.GIT_LOCAL_ROOTS = `relatif, ${LOCAL_ROOT}`;
+  assert.equal(validateGitSource({ repoUrl: `${LOCAL_ROOT}/app.git` }).repoUrl, `${LOCAL_ROOT}/app.git`);
+  assert.equal(validateGitSource({ repoUrl: pathToFileURL(`${LOCAL_ROOT}/app.git`).href }).repoUrl, `${LOCAL_ROOT}/app.git`);
+
+  refused({ repoUrl: '/etc' }, /seuls les dossiers de GIT_LOCAL_ROOTS/);
+  refused({ repoUrl: 'file:///home/autre/app.git' }, /seuls les dossiers de GIT_LOCAL_ROOTS/);
+  // Le chemin est résolu avant la comparaison : ".." ne sort pas de la racine
+  refused({ repoUrl: `${LOCAL_ROOT}/../etc/app.git` }, /seuls les dossiers de GIT_LOCAL_ROOTS/);
+  refused({ repoUrl: `${LOCAL_ROOT}-voisin/app.git` }, /seuls les dossiers de GIT_LOCAL_ROOTS/);
+});
+
+test("les dépôts de push d'un autre utilisateur sont refusés", () => {
+  const repositoriesDir = getRepositoriesDir();
+  const own = path.join(repositoriesDir, 'u-test', 'site.git');
+
+  assert.equal(validateGitSource({ repoUrl: own }, 'u-test').repoUrl, own);
+  refused({ repoUrl: path.join(repositoriesDir, 'u-autre', 'site.git') }, /appartient à un autre utilisateur/);
+  refused({ repoUrl: pathToFileURL(path.join(repositoriesDir, 'u-autre', 'site.git')).href }, /appartient à un autre utilisateur/);
+  refused({ repoUrl: path.join(repositoriesDir, 'u-test', '..', 'u-autre', 'site.git') }, /appartient à un autre utilisateur/);
+  // Le préfixe d'un autre identifiant ne suffit pas
+  refused({ repoUrl: path.join(repositoriesDir, 'u-test2', 'site.git') }, /appartient à un autre utilisateur/);
+  refused({ repoUrl: own }, /appartient à un autre utilisateur/, null);
+});
+
+test('les noms de branche ou de tag dangereux sont refusés', () => {
+  const repoUrl = 'https://example.com/app.git';
+  assert.equal(validateGitSource({ repoUrl, ref: ' release/1.2 ' }).ref, 'release/1.2');
+
+  for (const ref of ['../../etc/passwd', 'main..dev', '-c', '--upload-pack=touch', 'main.lock', 'feature branch']) {
+    refused({ repoUrl, ref }, /Nom de branche ou de tag invalide/);
+  }
+});
+
+test('le sous-dossier doit rester dans le dépôt', () => {
+  const repoUrl = 'https://example.com/app.git';
+  assert.equal(validateGitSource({ repoUrl, subdirectory: 'apps\\web/' }).subdirectory, 'apps/web');
+  assert.equal(validateGitSource({ repoUrl, subdirectory: './apps/../web' }).subdirectory, 'web');
+  assert.equal(validateGitSource({ repoUrl, subdirectory: '.' }).subdirectory, null);
+
+  for (const subdirectory of ['..', '../autre', 'apps/../../autre', '..\\autre', '/etc']) {
+    refused({ repoUrl, subdirectory }, /Sous-dossier invalide/);
+  }
+});
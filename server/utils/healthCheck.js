@@ -0,0 +1,200 @@
+import http from 'http';
+import net from 'net';
+import { getDB } from '../config/database.js';
+import { logger } from './logger.js';
+
+// Configuration de health check refusée (HTTP 400)
+export class HealthCheckError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'HealthCheckError';
+    this.status = 400;
+  }
+}
+
+// Sans configuration : le backend est considéré démarré dès qu'il accepte les connexions TCP
+export const DEFAULT_HEALTH_CHECK = {
+  type: 'tcp',
+  path: '/',
+  expectedStatus: 200,
+  // Intervalle entre deux vérifications périodiques (ms)
+  interval: 30000,
+  // Délai de réponse d'une vérification (ms)
+  timeout: 3000,
+  // Échecs consécutifs avant de déclarer le backend en mauvaise santé
+  retries: 3,
+  // Délai accordé au backend pour répondre une première fois après son lancement (ms)
+  startTimeout: 30000,
+};
+
+// Bornes des valeurs numériques : [minimum, maximum]
+const NUMERIC_LIMITS = {
+  expectedStatus: [100, 599],
+  interval: [5000, 3600000],
+  timeout: [100, 60000],
+  retries: [1, 10],
+  startTimeout: [1000, 600000],
+};
+// Pause entre deux tentatives pendant le démarrage
+const STARTUP_POLL_DELAY = 500;
+
+// Valide la configuration envoyée par l'utilisateur (objet ou JSON d'un formulaire multipart).
+// Les champs absents prennent la valeur par défaut ; null si rien n'est indiqué.
+export function normalizeHealthCheck(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  let config = value;
+  if (typeof value === 'string') {
+    try {
+      config = JSON.parse(value);
+    } catch {
+      throw new HealthCheckError('Health check invalide : JSON attendu');
+    }
+  }
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    throw new HealthCheckError('Health check invalide : objet attendu');
+  }
+
+  const check = { ...DEFAULT_HEALTH_CHECK };
+  if (config.type !== undefined) {
+    if (config.type !== 'tcp' && config.type !== 'http') {
+      throw new HealthCheckError(`Type de health check invalide: ${config.type} (tcp ou http)`);
+    }
+    check.type = config.type;
+  }
+  if (config.path !== undefined) {
+    if (typeof config.path !== 'string' || !/^\/[^\s]*$/.test(config.path)) {
+      throw new HealthCheckError(`Chemin de health check invalide: ${config.path} (ex. /health)`);
+    }
+    check.path = config.path;
+  }
+  for (const [field, [min, max]] of Object.entries(NUMERIC_LIMITS)) {
+    if (config[field] === undefined || config[field] === '') continue;
+    const number = Number(config[field]);
+    if (!Number.isInteger(number) || number < min || number > max) {
+      throw new HealthCheckError(`Health check : ${field} doit être un entier entre ${min} et ${max}`);
+    }
+    check[field] = number;
+  }
+  if (check.timeout >= check.interval) {
+    throw new HealthCheckError('Health check : le délai de réponse doit être inférieur à l\'intervalle');
+  }
+  return check;
+}
+
+export function describeHealthCheck(check) {
+  return check.type === 'http' ? `HTTP GET ${check.path} → ${check.expectedStatus}` : 'connexion TCP';
+}
+
+function probeTcp(port, timeout) {
+  return new Promise((resolve) => {
+    const socket = net.connect({ host: '127.0.0.1', port, timeout });
+    socket.once('connect', () => {
+      socket.destroy();
+      resolve({ ok: true });
+    });
+    socket.once('timeout', () => {
+      socket.destroy();
+      resolve({ ok: false, error: `pas de réponse en ${timeout}ms` });
+    });
+    socket.once('error', (error) => resolve({ ok: false, error: error.code || error.message }));
+  });
+}
+
+function probeHttp(port, { path, expectedStatus, timeout }) {
+  return new Promise((resolve) => {
+    const request = http.get({ host: '127.0.0.1', port, path, timeout, headers: { 'User-Agent': 'HostedHost-HealthCheck' } }, (response) => {
+      response.resume();
+      const ok = response.statusCode === expectedStatus;
+      resolve({ ok, status: response.statusCode, error: ok ? undefined : `statut ${response.statusCode} (attendu ${expectedStatus})` });
+    });
+    request.once('timeout', () => {
+      request.destroy();
+      resolve({ ok: false, error: `pas de réponse en ${timeout}ms` });
+    });
+    request.once('error', (error) => resolve({ ok: false, error: error.code || error.message }));
+  });
+}
+
+// Une vérification : { ok, status?, error?, durationMs, checkedAt }
+export async function probe(port, check = DEFAULT_HEALTH_CHECK) {
+  const start = Date.now();
+  const result = check.type === 'http' ? await probeHttp(port, check) : await probeTcp(port, check.timeout);
+  return { ...result, durationMs: Date.now() - start, checkedAt: new Date() };
+}
+
+// Attend la première vérification réussie d'un backend qui vient d'être lancé.
+// isAlive() faux (processus terminé) ou startTimeout dépassé : erreur avec le dernier résultat.
+export async function waitForHealthy(port, check = DEFAULT_HEALTH_CHECK, isAlive = () => true) {
+  const deadline = Date.now() + check.startTimeout;
+  let result;
+  for (;;) {
+    result = await probe(port, check);
+    if (result.ok) return result;
+    if (!isAlive()) {
+      throw new Error(`le processus s'est arrêté avant de répondre au health check (${describeHealthCheck(check)})`);
+    }
+    if (Date.now() >= deadline) {
+      throw new Error(`aucune réponse au health check (${describeHealthCheck(check)}) en ${check.startTimeout / 1000}s : ${result.error}`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, STARTUP_POLL_DELAY));
+  }
+}
+
+// --- Vérifications périodiques des backends démarrés ---
+
+// Clé de processus -> { timer, failures, healthy }
+const monitors = new Map();
+
+async function saveHealth(userId, projectName, health) {
+  try {
+    await getDB().collection('projects').updateOne({ userId, type: 'dynamic', name: projectName }, { $set: { health } });
+  } catch (error) {
+    logger.error('HEALTH_SAVE_FAILED', `Project: ${projectName}, ${error.message}`, userId);
+  }
+}
+
+// Vérifie le backend toutes les check.interval ms ; il est déclaré "unhealthy"
+// après check.retries échecs consécutifs, "healthy" dès qu'une vérification réussit
+export function startHealthMonitor(key, { userId, projectName, port, check = DEFAULT_HEALTH_CHECK }) {
+  stopHealthMonitor(key);
+  const monitor = { timer: null, failures: 0, healthy: true };
+  monitors.set(key, monitor);
+
+  monitor.timer = setInterval(async () => {
+    const result = await probe(port, check);
+    if (monitors.get(key) !== monitor) return;
+
+    monitor.failures = result.ok ? 0 : monitor.failures + 1;
+    const healthy = result.ok || (monitor.healthy && monitor.failures < check.retries);
+    if (healthy !== monitor.healthy) {
+      const change = healthy ? 'rétabli' : `en échec (${monitor.failures} échecs consécutifs) : ${result.error}`;
+      logger.userAction(userId, healthy ? 'HEALTH_CHECK_RECOVERED' : 'HEALTH_CHECK_FAILED', `Project: ${projectName}, ${change}`);
+    }
+    monitor.healthy = healthy;
+    await saveHealth(userId, projectName, {
+      status: healthy ? 'healthy' : 'unhealthy',
+      consecutiveFailures: monitor.failures,
+      lastResult: result,
+      checkedAt: result.checkedAt,
+    });
+  }, check.interval);
+  monitor.timer.unref();
+}
+
+export function stopHealthMonitor(key) {
+  const monitor = monitors.get(key);
+  if (!monitor) return;
+  clearInterval(monitor.timer);
+  monitors.delete(key);
+}
+
+// Résultat du health check qui a validé le démarrage
+export function recordStartupHealth(userId, projectName, result) {
+  return saveHealth(userId, projectName, {
+    status: 'healthy',
+    consecutiveFailures: 0,
+    lastResult: result,
+    checkedAt: result.checkedAt,
+  });
+}
@@ -0,0 +1,135 @@
+import express from 'express';
+import { getDB } from '../config/database.js';
+import { logger } from './logger.js';
+import { getHostingBaseDomain, getHostedSitesDir } from './fileSystem.js';
+import { mapStaticWebRoot } from './webRoot.js';
+import { proxyRequest, proxyUpgrade } from './frontendServer.js';
+
+// Routage par nom d'hôte : <projet>.<utilisateur>.<domaine> est servi directement à la racine,
+// comme en production (les chemins absolus des assets fonctionnent).
+// Les étiquettes (labels DNS) sont enregistrées sur le projet au déploiement :
+// hostLabel pour le projet, userHostLabel pour son propriétaire.
+
+const MAX_LABEL_LENGTH = 63;
+// Durée de mise en cache de la résolution nom d'hôte -> projet
+const RESOLVE_CACHE_TTL = 5000;
+
+// Transforme un nom (projet, utilisateur) en label DNS : minuscules, sans accents,
+// caractères non alphanumériques remplacés par des tirets. '' si rien n'est utilisable.
+export function toHostLabel(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .slice(0, MAX_LABEL_LENGTH)
+    .replace(/^-+|-+$/g, '');
+}
+
+async function findUser(db, userId) {
+  const { ObjectId } = await import('mongodb');
+  return db.collection('users').findOne({ _id: ObjectId.isValid(userId) ? new ObjectId(userId) : userId });
+}
+
+// Label de l'utilisateur dans les noms d'hôte, attribué au premier déploiement
+// (suffixe numérique si un autre compte a déjà le même)
+export async function getUserHostLabel(userId) {
+  const db = getDB();
+  const user = await findUser(db, userId);
+  if (!user) return toHostLabel(userId) || 'user';
+  if (user.hostLabel) return user.hostLabel;
+
+  const base = toHostLabel(user.username) || toHostLabel(userId) || 'user';
+  let hostLabel = base;
+  for (let suffix = 2; await db.collection('users').findOne({ hostLabel }); suffix++) {
+    hostLabel = `${base.slice(0, MAX_LABEL_LENGTH - String(suffix).length - 1)}-${suffix}`;
+  }
+  await db.collection('users').updateOne({ _id: user._id }, { $set: { hostLabel } });
+  logger.userAction(userId, 'HOST_LABEL_ASSIGNED', `Label: ${hostLabel}`);
+  return hostLabel;
+}
+
+// Projets antérieurs au routage par nom d'hôte : labels attribués au démarrage
+export async function assignMissingHostLabels() {
+  const db = getDB();
+  const projects = await db.collection('projects').find({ hostLabel: { $exists: false } }).toArray();
+  for (const project of projects) {
+    const userHostLabel = await getUserHostLabel(project.userId);
+    const hostLabel = toHostLabel(project.name) || `projet-${project._id}`;
+    await db.collection('projects').updateOne({ _id: project._id }, { $set: { hostLabel, userHostLabel } });
+    logger.info(`Nom d'hôte attribué à ${project.name}: ${hostLabel}.${userHostLabel}`);
+  }
+}
+
+// Labels { project, user } d'un nom d'hôte de projet, null pour les autres (interface, API)
+function parseProjectHost(hostHeader) {
+  const hostname = String(hostHeader || '').toLowerCase().replace(/:\d+$/, '').replace(/\.$/, '');
+  const suffix = `.${getHostingBaseDomain()}`;
+  if (!hostname.endsWith(suffix)) return null;
+
+  const labels = hostname.slice(0, -suffix.length).split('.');
+  if (labels.length !== 2 || labels.some((label) => !label)) return null;
+  return { project: labels[0], user: labels[1] };
+}
+
+const resolveCache = new Map();
+
+async function resolveProject(host) {
+  const key = `${host.project}.${host.user}`;
+  const cached = resolveCache.get(key);
+  if (cached && cached.expires > Date.now()) return cached.project;
+
+  const project = await getDB().collection('projects').findOne({ hostLabel: host.project, userHostLabel: host.user });
+  resolveCache.set(key, { project, expires: Date.now() + RESOLVE_CACHE_TTL });
+  return project;
+}
+
+function sendNotFound(res, message) {
+  res.status(404).type('text/plain; charset=utf-8').send(`${message}\n`);
+}
+
+// Sites statiques : même service que /hosted, chemin préfixé par le dossier du projet
+const serveStaticSite = express.Router();
+serveStaticSite.use(mapStaticWebRoot, express.static(getHostedSitesDir()));
+serveStaticSite.use((req, res) => sendNotFound(res, 'Fichier non trouvé'));
+
+// Middleware placé devant toute l'application : les requêtes adressées à un projet
+// n'atteignent jamais l'interface ni l'API de la plateforme
+export async function routeProjectHost(req, res, next) {
+  const host = parseProjectHost(req.headers.host);
+  if (!host) return next();
+
+  try {
+    const project = await resolveProject(host);
+    if (!project) {
+      return sendNotFound(res, `Aucun projet n'est publié sur ${req.hostname}`);
+    }
+
+    if (project.type === 'static') {
+      req.url = `/static/${encodeURIComponent(project.name)}${req.url}`;
+      return serveStaticSite(req, res, next);
+    }
+    if (!project.port) {
+      return sendNotFound(res, `Le projet ${project.name} n'est pas démarré`);
+    }
+    // Projet dynamique : serveur public du projet (frontend buildé + API)
+    proxyRequest(req, res, project.port);
+  } catch (error) {
+    logger.error('HOST_ROUTING_ERROR', `Host: ${req.headers.host}, ${error.message}`);
+    res.status(500).type('text/plain; charset=utf-8').send('Erreur lors du routage de la requête\n');
+  }
+}
+
+// Connexions WebSocket vers un projet dynamique (évènement 'upgrade' du serveur HTTP)
+export async function routeProjectUpgrade(req, socket, head) {
+  const host = parseProjectHost(req.headers.host);
+  try {
+    const project = host && (await resolveProject(host));
+    if (project && project.type === 'dynamic' && project.port) {
+      return proxyUpgrade(req, socket, head, project.port);
+    }
+  } catch (error) {
+    logger.error('HOST_ROUTING_ERROR', `Host: ${req.headers.host}, ${error.message}`);
+  }
+  socket.destroy();
+}
@@ -0,0 +1,366 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { logger } from './logger.js';
+
+// Durée de conservation des jobs terminés (consultables après coup)
+const FINISHED_JOB_TTL = 60 * 60 * 1000;
+// Nombre maximum de lignes de logs conservées par job
+const MAX_LOG_LINES = 5000;
+
+// Les jobs passent par une file d'attente : au plus "concurrency" jobs (installations et builds)
+// tournent en même temps sur la machine, les places étant partagées équitablement entre les
+// utilisateurs (voir getQueueOrder). Un projet n'a qu'un job en cours à la fois (déploiement, mise à
+// jour, rebuild, restauration ou redémarrage) : les suivants attendent qu'il se termine.
+// Chaque phase a une durée maximale : à l'expiration, comme à l'annulation, les commandes en
+// cours du job sont arrêtées avec tous leurs processus.
+// Options lues à l'appel (le module est chargé avant dotenv) : JOB_CONCURRENCY, JOB_TIMEOUT_<PHASE>
+export function getJobOptions(env = process.env) {
+  return {
+    concurrency: Number(env.JOB_CONCURRENCY) || 2,
+    // Durée maximale de chaque phase (ms)
+    phaseTimeouts: {
+      extract: Number(env.JOB_TIMEOUT_EXTRACT) || 5 * 60 * 1000,
+      clone: Number(env.JOB_TIMEOUT_CLONE) || 10 * 60 * 1000,
+      install: Number(env.JOB_TIMEOUT_INSTALL) || 20 * 60 * 1000,
+      build: Number(env.JOB_TIMEOUT_BUILD) || 20 * 60 * 1000,
+      start: Number(env.JOB_TIMEOUT_START) || 10 * 60 * 1000,
+    },
+  };
+}
+
+// Job interrompu avant sa fin : annulation demandée (reason 'cancelled') ou phase trop longue ('timeout')
+export class JobAbortedError extends Error {
+  constructor(message, reason) {
+    super(message);
+    this.name = 'JobAbortedError';
+    this.reason = reason;
+  }
+}
+
+// Projet concerné par un job (les noms de projet sont propres à chaque utilisateur)
+function getProjectKey(job) {
+  return `${job.userId}:${job.projectName}`;
+}
+
+// Contrôle d'un job soumis à run() (jamais exposé avec le job) : { task, controller, timer }
+const jobControls = new WeakMap();
+
+// Émet 'log' (job, entrée) pour chaque ligne et 'finished' (job) en fin de job
+class JobManager extends EventEmitter {
+  constructor() {
+    super();
+    this.jobs = new Map();
+    // Jobs en attente (ordre d'arrivée) et jobs en cours
+    this.queue = [];
+    this.running = new Set();
+    // Chaque console ouverte écoute le gestionnaire
+    this.setMaxListeners(0);
+  }
+
+  createJob(userId, { kind, type, projectName, phases }) {
+    this.pruneFinishedJobs();
+
+    const job = {
+      id: crypto.randomUUID(),
+      userId,
+      kind,
+      type,
+      projectName,
+      status: 'pending',
+      phase: null,
+      progress: 0,
+      phases: phases.map((name) => ({
+        name,
+        status: 'pending',
+        startedAt: null,
+        finishedAt: null,
+        durationMs: null,
+      })),
+      createdAt: new Date(),
+      // Place dans la file d'attente (1 : prochain à démarrer), null hors de la file
+      queuePosition: null,
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null,
+      logs: [],
+      lastLogId: 0,
+    };
+
+    this.jobs.set(job.id, job);
+    logger.userAction(userId, 'JOB_CREATED', `Job: ${job.id}, Kind: ${kind}, Project: ${projectName}`);
+    return job;
+  }
+
+  getJob(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  getUserJobs(userId) {
+    return Array.from(this.jobs.values())
+      .filter((job) => job.userId === userId)
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  // Passe à la phase suivante en clôturant la phase en cours.
+  // Un job annulé ou hors délai s'arrête là (l'erreur remonte au déploiement, qui nettoie).
+  startPhase(job, phaseName) {
+    const control = jobControls.get(job);
+    if (control?.controller.signal.aborted) {
+      throw control.controller.signal.reason;
+    }
+
+    const now = new Date();
+    this.finishCurrentPhase(job, 'done', now);
+
+    const phase = job.phases.find((p) => p.name === phaseName);
+    if (!phase) {
+      throw new Error(`Phase inconnue pour ce job: ${phaseName}`);
+    }
+
+    if (job.status === 'pending') {
+      job.status = 'running';
+      job.startedAt = now;
+    }
+    phase.status = 'running';
+    phase.startedAt = now;
+    job.phase = phaseName;
+    this.updateProgress(job);
+
+    if (control) {
+      clearTimeout(control.timer);
+      const timeout = getJobOptions().phaseTimeouts[phaseName];
+      if (timeout) {
+        control.timer = setTimeout(() => {
+          const label = timeout % 60000 ? `${Math.round(timeout / 1000)} s` : `${timeout / 60000} min`;
+          this.abort(job, new JobAbortedError(`Phase ${phaseName} interrompue : durée maximale (${label}) dépassée`, 'timeout'));
+        }, timeout);
+        control.timer.unref();
+      }
+    }
+  }
+
+  // Signal déclenché à l'annulation ou à l'expiration d'une phase : les commandes lancées
+  // pour le job l'écoutent pour arrêter leurs processus (voir executeCommand)
+  getSignal(job) {
+    return jobControls.get(job)?.controller.signal || null;
+  }
+
+  abort(job, error) {
+    const control = jobControls.get(job);
+    if (!control || control.controller.signal.aborted || job.finishedAt) return;
+    this.appendLog(job, 'system', error.message);
+    logger.userAction(job.userId, 'JOB_ABORTED', `Job: ${job.id}, Project: ${job.projectName}, Reason: ${error.reason}`);
+    control.controller.abort(error);
+  }
+
+  // Annule un job en attente (retiré de la file) ou en cours (commandes arrêtées).
+  // Renvoie false si le job est déjà terminé.
+  cancelJob(job) {
+    if (job.finishedAt) return false;
+
+    const error = new JobAbortedError("Job annulé par l'utilisateur", 'cancelled');
+    const index = this.queue.indexOf(job);
+    if (index === -1) {
+      this.abort(job, error);
+      return true;
+    }
+
+    this.queue.splice(index, 1);
+    jobControls.get(job).controller.abort(error);
+    job.queuePosition = null;
+    this.finishJob(job, 'cancelled', error);
+    this.schedule();
+    return true;
+  }
+
+  // Jobs d'un projet en attente ou en cours
+  getActiveProjectJobs(userId, projectName) {
+    const key = getProjectKey({ userId, projectName });
+    return [...this.running, ...this.queue].filter((job) => getProjectKey(job) === key);
+  }
+
+  // Ajoute une ou plusieurs lignes de sortie au job, étiquetées avec la phase en cours
+  appendLog(job, stream, text) {
+    // Le backend continue d'écrire après la fin du job : ces lignes vont dans les logs projet
+    if (job.finishedAt) return;
+
+    // Les valeurs des variables secrètes des projets n'apparaissent pas dans la console
+    for (const line of logger.mask(text, job.userId).split(/\r?\n/)) {
+      if (!line.trim()) continue;
+
+      const entry = {
+        id: ++job.lastLogId,
+        phase: job.phase,
+        stream,
+        line,
+        at: new Date(),
+      };
+      job.logs.push(entry);
+      if (job.logs.length > MAX_LOG_LINES) {
+        job.logs.shift();
+      }
+      this.emit('log', job, entry);
+    }
+  }
+
+  getLogsSince(job, lastLogId = 0) {
+    return job.logs.filter((entry) => entry.id > lastLogId);
+  }
+
+  completeJob(job, result) {
+    const now = new Date();
+    this.finishCurrentPhase(job, 'done', now);
+    // Les phases non exécutées (ex: pas de build) sont marquées comme ignorées
+    job.phases.forEach((phase) => {
+      if (phase.status === 'pending') phase.status = 'skipped';
+    });
+    job.status = 'succeeded';
+    job.phase = null;
+    job.progress = 100;
+    this.appendLog(job, 'system', result?.message || 'Job terminé');
+    job.finishedAt = now;
+    job.result = result;
+    logger.userAction(job.userId, 'JOB_SUCCEEDED', `Job: ${job.id}, Project: ${job.projectName}`);
+    this.emit('finished', job);
+  }
+
+  failJob(job, error) {
+    // Une annulation arrive sous la forme de l'erreur de l'étape interrompue
+    const reason = this.getSignal(job)?.reason;
+    if (reason instanceof JobAbortedError && reason.reason === 'cancelled') {
+      this.finishJob(job, 'cancelled', reason);
+      return;
+    }
+    this.finishJob(job, 'failed', error);
+  }
+
+  finishJob(job, status, error) {
+    const now = new Date();
+    this.finishCurrentPhase(job, 'failed', now);
+    if (status === 'cancelled') {
+      job.phases.forEach((phase) => {
+        if (phase.status === 'pending') phase.status = 'skipped';
+      });
+    }
+    job.status = status;
+    job.error = logger.mask(error.message || String(error), job.userId);
+    this.appendLog(job, 'system', status === 'cancelled' ? 'Job annulé' : `Échec : ${job.error}`);
+    job.finishedAt = now;
+    logger.userAction(
+      job.userId,
+      status === 'cancelled' ? 'JOB_CANCELLED' : 'JOB_FAILED',
+      `Job: ${job.id}, Project: ${job.projectName}, Error: ${job.error}`,
+    );
+    this.emit('finished', job);
+  }
+
+  // Place le travail dans la file d'attente ; l'appelant répond à la requête HTTP sans attendre
+  run(job, task) {
+    jobControls.set(job, { task, controller: new AbortController(), timer: null });
+    job.status = 'queued';
+    this.queue.push(job);
+    this.schedule();
+    return job;
+  }
+
+  // Ordre de passage des jobs en attente : à chaque rang, le job le plus ancien de l'utilisateur
+  // qui a le moins de jobs en cours ou déjà placés devant, pour qu'un utilisateur qui lance
+  // beaucoup de déploiements ne fasse pas attendre les autres
+  getQueueOrder() {
+    const counts = new Map();
+    for (const job of this.running) {
+      counts.set(job.userId, (counts.get(job.userId) || 0) + 1);
+    }
+    const waiting = [...this.queue];
+    const order = [];
+    while (waiting.length) {
+      let next = 0;
+      for (let i = 1; i < waiting.length; i++) {
+        if ((counts.get(waiting[i].userId) || 0) < (counts.get(waiting[next].userId) || 0)) next = i;
+      }
+      const [job] = waiting.splice(next, 1);
+      counts.set(job.userId, (counts.get(job.userId) || 0) + 1);
+      order.push(job);
+    }
+    return order;
+  }
+
+  // Démarre les jobs en attente tant qu'il reste des places ; un utilisateur n'occupe pas
+  // plus que sa part des places tant que d'autres utilisateurs ont des jobs, et un job attend
+  // la fin de celui déjà en cours sur son projet
+  schedule() {
+    const { concurrency } = getJobOptions();
+    while (this.running.size < concurrency) {
+      const users = new Set([...this.running, ...this.queue].map((job) => job.userId));
+      const share = Math.ceil(concurrency / users.size);
+      const runningFor = (userId) => [...this.running].filter((job) => job.userId === userId).length;
+      const busyProjects = new Set([...this.running].map(getProjectKey));
+      const next = this.getQueueOrder().find(
+        (job) => runningFor(job.userId) < share && !busyProjects.has(getProjectKey(job)),
+      );
+      if (!next) break;
+      this.queue.splice(this.queue.indexOf(next), 1);
+      this.startJob(next);
+    }
+
+    this.getQueueOrder().forEach((job, index) => {
+      if (job.queuePosition === index + 1) return;
+      job.queuePosition = index + 1;
+      this.appendLog(job, 'system', `En file d'attente : position ${job.queuePosition}`);
+    });
+  }
+
+  startJob(job) {
+    const control = jobControls.get(job);
+    this.running.add(job);
+    job.status = 'pending';
+    job.queuePosition = null;
+
+    Promise.resolve()
+      .then(() => control.task(job))
+      .then(
+        (result) => this.completeJob(job, result),
+        (error) => this.failJob(job, error),
+      )
+      .finally(() => {
+        clearTimeout(control.timer);
+        this.running.delete(job);
+        this.schedule();
+      });
+  }
+
+  finishCurrentPhase(job, status, now) {
+    const current = job.phases.find((p) => p.status === 'running');
+    if (current) {
+      current.status = status;
+      current.finishedAt = now;
+      current.durationMs = now - current.startedAt;
+    }
+  }
+
+  updateProgress(job) {
+    const done = job.phases.filter((p) => p.status === 'done' || p.status === 'skipped').length;
+    job.progress = Math.round((done / job.phases.length) * 100);
+  }
+
+  // Les logs sont servis à part, en flux (voir GET /api/hosting/jobs/:jobId/logs)
+  serializeJob(job) {
+    const { userId, logs, ...publicJob } = job;
+    return {
+      ...publicJob,
+      durationMs: job.startedAt ? (job.finishedAt || new Date()) - job.startedAt : null,
+    };
+  }
+
+  pruneFinishedJobs() {
+    const limit = Date.now() - FINISHED_JOB_TTL;
+    for (const [id, job] of this.jobs) {
+      if (job.finishedAt && job.finishedAt.getTime() < limit) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+}
+
+export const jobManager = new JobManager();
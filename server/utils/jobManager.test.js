@@ -0,0 +1,204 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setImmediate as nextTick } from 'timers/promises';
+import express from 'express';
+import { jobManager, JobAbortedError } from './jobManager.js';
+import { generateToken } from './auth.js';
+import jobRoutes from '../routes/jobs.js';
+
+// Travail d'un job terminé à la demande du test
+function deferredTask() {
+  let finish;
+  const done = new Promise((resolve) => {
+    finish = resolve;
+  });
+  return { task: () => done, finish: () => finish({ message: 'ok' }) };
+}
+
+// Comme une commande lancée pour le job : s'arrête (en erreur) sur son signal
+function untilAborted(job) {
+  const signal = jobManager.getSignal(job);
+  return new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+  });
+}
+
+function queueJob(userId, projectName, task, phases = ['install', 'build', 'start']) {
+  const job = jobManager.createJob(userId, { kind: 'deploy', type: 'dynamic', projectName, phases });
+  jobManager.run(job, task);
+  return job;
+}
+
+function waitFinished(job) {
+  return new Promise((resolve) => {
+    if (job.finishedAt) return resolve(job);
+    const onFinished = (finished) => {
+      if (finished !== job) return;
+      jobManager.off('finished', onFinished);
+      resolve(job);
+    };
+    jobManager.on('finished', onFinished);
+  });
+}
+
+afterEach(() => {
+  delete process.env.JOB_CONCURRENCY;
+  delete process.env.JOB_TIMEOUT_BUILD;
+});
+
+test("un projet n'a qu'un job en cours à la fois", async () => {
+  process.env.JOB_CONCURRENCY = '4';
+  const first = deferredTask();
+  const second = deferredTask();
+  const other = deferredTask();
+
+  const a1 = queueJob('u-projet', 'api', first.task);
+  const a2 = queueJob('u-projet', 'api', second.task);
+  const b = queueJob('u-projet', 'site', other.task);
+
+  assert.ok(jobManager.running.has(a1));
+  assert.ok(jobManager.running.has(b));
+  assert.equal(a2.status, 'queued');
+  assert.equal(a2.queuePosition, 1);
+
+  first.finish();
+  await waitFinished(a1);
+  await nextTick();
+  assert.ok(jobManager.running.has(a2));
+
+  second.finish();
+  other.finish();
+  await Promise.all([waitFinished(a2), waitFinished(b)]);
+});
+
+test("un utilisateur ne prend pas plus que sa part des places", async () => {
+  process.env.JOB_CONCURRENCY = '2';
+  const tasks = [deferredTask(), deferredTask(), deferredTask()];
+  const [j1, j2, j3] = tasks.map((task, index) => queueJob('u-gros', `projet-${index}`, task.task));
+  const guest = deferredTask();
+  const g1 = queueJob('u-petit', 'projet', guest.task);
+
+  // Seul sur la machine, le premier utilisateur a pris les deux places
+  assert.ok(jobManager.running.has(j1) && jobManager.running.has(j2));
+  // L'autre utilisateur passe devant son troisième job
+  assert.equal(g1.queuePosition, 1);
+  assert.equal(j3.queuePosition, 2);
+
+  tasks[0].finish();
+  await waitFinished(j1);
+  await nextTick();
+  assert.ok(jobManager.running.has(g1));
+  assert.equal(j3.status, 'queued');
+
+  guest.finish();
+  await waitFinished(g1);
+  await nextTick();
+  assert.ok(jobManager.running.has(j3));
+
+  tasks[1].finish();
+  tasks[2].finish();
+  await Promise.all([waitFinished(j2), waitFinished(j3)]);
+});
+
+test('startPhase lève JobAbortedError une fois le job annulé', async () => {
+  const pending = deferredTask();
+  let phaseError = null;
+  const job = queueJob('u-annulation', 'api', async (current) => {
+    jobManager.startPhase(current, 'install');
+    await pending.task();
+    try {
+      jobManager.startPhase(current, 'build');
+    } catch (error) {
+      phaseError = error;
+      throw error;
+    }
+  });
+  await nextTick();
+
+  assert.equal(jobManager.cancelJob(job), true);
+  assert.equal(jobManager.getSignal(job).aborted, true);
+  pending.finish();
+  await waitFinished(job);
+
+  assert.ok(phaseError instanceof JobAbortedError);
+  assert.equal(phaseError.reason, 'cancelled');
+  assert.equal(job.status, 'cancelled');
+  assert.equal(job.phases.find((phase) => phase.name === 'build').status, 'skipped');
+  assert.equal(jobManager.cancelJob(job), false);
+});
+
+test("un job en attente annulé quitte la file sans démarrer", async () => {
+  process.env.JOB_CONCURRENCY = '1';
+  const blocking = deferredTask();
+  let started = false;
+  const running = queueJob('u-file', 'a', blocking.task);
+  const queued = queueJob('u-file', 'b', async () => {
+    started = true;
+  });
+
+  assert.equal(jobManager.cancelJob(queued), true);
+  assert.equal(queued.status, 'cancelled');
+  assert.ok(!jobManager.queue.includes(queued));
+
+  blocking.finish();
+  await waitFinished(running);
+  await nextTick();
+  assert.equal(started, false);
+});
+
+test('une phase qui dépasse sa durée maximale arrête le job', async () => {
+  process.env.JOB_TIMEOUT_BUILD = '30';
+  const job = queueJob('u-delai', 'api', async (current) => {
+    jobManager.startPhase(current, 'build');
+    await untilAborted(current);
+  });
+  // Le délai de phase ne retient pas le processus (unref) : le test le fait à sa place
+  const keepAlive = setInterval(() => {}, 1000);
+  await waitFinished(job);
+  clearInterval(keepAlive);
+
+  assert.equal(job.status, 'failed');
+  assert.match(job.error, /Phase build interrompue : durée maximale .* dépassée/);
+  assert.equal(jobManager.getSignal(job).reason.reason, 'timeout');
+});
+
+test("l'annulation est refusée (409) pendant le démarrage et une fois le job terminé", async () => {
+  const app = express();
+  app.use('/jobs', jobRoutes);
+  const server = app.listen(0);
+  const url = `http://127.0.0.1:${server.address().port}/jobs`;
+  const headers = { Authorization: `Bearer ${generateToken('u-route')}` };
+  const cancel = (job) => fetch(`${url}/${job.id}/cancel`, { method: 'POST', headers });
+
+  try {
+    const starting = deferredTask();
+    const startJob = queueJob('u-route', 'api', async (current) => {
+      jobManager.startPhase(current, 'start');
+      return starting.task();
+    });
+    await nextTick();
+    assert.equal((await cancel(startJob)).status, 409);
+
+    starting.finish();
+    await waitFinished(startJob);
+    const finishedResponse = await cancel(startJob);
+    assert.equal(finishedResponse.status, 409);
+    assert.equal((await finishedResponse.json()).message, 'Ce job est déjà terminé');
+
+    const buildJob = queueJob('u-route', 'site', async (current) => {
+      jobManager.startPhase(current, 'build');
+      await untilAborted(current);
+    });
+    await nextTick();
+    assert.equal((await cancel(buildJob)).status, 200);
+    await waitFinished(buildJob);
+    assert.equal(buildJob.status, 'cancelled');
+
+    // Le job d'un autre utilisateur n'est pas visible
+    const otherJob = queueJob('u-autre', 'api', async () => {});
+    assert.equal((await cancel(otherJob)).status, 404);
+    await waitFinished(otherJob);
+  } finally {
+    server.close();
+  }
+});
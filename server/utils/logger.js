@@ -7,6 +7,10 @@ const __dirname = path.dirname(__filename);
 
 const LOGS_DIR = path.join(__dirname, '../../logs');
 const LOG_FILE = path.join(LOGS_DIR, 'host-logs.txt');
+// Valeurs secrètes trop courtes pour être masquées sans rendre les logs illisibles
+// (un mot courant déclaré secret effacerait des lignes entières)
+const MIN_SECRET_LENGTH = 8;
+const SECRET_MASK = '******';
 
 // Créer le répertoire des logs s'il n'existe pas
 try {
@@ -23,11 +27,52 @@ class Logger {
       INFO: 2,
       DEBUG: 3
     };
+    // Valeurs secrètes des projets, par utilisateur puis par source ("env:<projet>" pour ses
+    // variables, "database:<projet>" pour sa base) : userId -> Map(source -> Set(valeurs))
+    this.secrets = new Map();
+  }
+
+  // Remplace les valeurs secrètes d'une source ; une liste vide la retire
+  // (variable modifiée ou supprimée, projet supprimé)
+  setSecrets(userId, source, values) {
+    const userSecrets = this.secrets.get(userId) || new Map();
+    const kept = new Set(values.filter((value) => typeof value === 'string' && value.length >= MIN_SECRET_LENGTH));
+    if (kept.size) {
+      userSecrets.set(source, kept);
+    } else {
+      userSecrets.delete(source);
+    }
+    if (userSecrets.size) {
+      this.secrets.set(userId, userSecrets);
+    } else {
+      this.secrets.delete(userId);
+    }
+  }
+
+  clearSecrets(userId, source) {
+    this.setSecrets(userId, source, []);
+  }
+
+  // Remplace les valeurs secrètes dans une sortie (builds, backends, messages d'erreur) : celles
+  // de l'utilisateur concerné, ou de tous pour une ligne SYSTEM (affichée à chaque utilisateur)
+  mask(text, userId = 'SYSTEM') {
+    let masked = String(text);
+    const sources = userId === 'SYSTEM' ? [...this.secrets.values()] : [this.secrets.get(userId)].filter(Boolean);
+    for (const userSecrets of sources) {
+      for (const values of userSecrets.values()) {
+        for (const secret of values) {
+          if (masked.includes(secret)) {
+            masked = masked.split(secret).join(SECRET_MASK);
+          }
+        }
+      }
+    }
+    return masked;
   }
 
   formatMessage(level, userId = 'SYSTEM', action, details = '') {
     const timestamp = new Date().toISOString();
-    return `[${timestamp}] [${userId}] ${level} ${action} - ${details}\n`;
+    return `[${timestamp}] [${userId}] ${level} ${action} - ${this.mask(details, userId)}\n`;
   }
 
   async writeLog(message) {
@@ -0,0 +1,207 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { findWrapperRoot } from './webRoot.js';
+import { normalizeHealthCheck, HealthCheckError } from './healthCheck.js';
+import { normalizeApiPrefix, ApiPrefixError } from './frontendServer.js';
+import { validateEnvVarName, EnvVarError } from './projectEnv.js';
+
+// Manifeste de déploiement facultatif (hostedhost.json) à la racine du projet :
+// il remplace les commandes et réglages déduits du runtime détecté (voir runtimes.js).
+// {
+//   "install": "npm ci",                 commande d'installation des dépendances
+//   "build": "npm run build",            commande de build
+//   "start": "node server.js",           commande de démarrage du backend (dynamique)
+//   "outputDir": "dist",                 dossier servi (build du frontend, ou racine web d'un site statique)
+//   "healthCheck": "/health",            chemin vérifié en HTTP, ou objet complet (dynamique)
+//   "apiPrefix": "/api",                 chemins relayés au backend (dynamique)
+//   "env": { "LOG_LEVEL": "info" },      valeurs par défaut, remplacées par les variables du projet
+//   "hooks": { "preDeploy": "npm run migrate", "postDeploy": "..." },   (dynamique)
+//   "node": "20"                         version de Node (majeure, mineure ou complète)
+// }
+// Les commandes sont lancées depuis le dossier du manifeste. Le manifeste validé est
+// enregistré avec la release (nodeVersion : version installée retenue, null pour celle de la plateforme).
+
+export const MANIFEST_FILE = 'hostedhost.json';
+
+// Manifeste refusé (déploiement en échec, ou HTTP 400)
+export class ManifestError extends Error {
+  constructor(message) {
+    super(`${MANIFEST_FILE} : ${message}`);
+    this.name = 'ManifestError';
+    this.status = 400;
+  }
+}
+
+const FIELDS = ['install', 'build', 'start', 'outputDir', 'healthCheck', 'apiPrefix', 'env', 'hooks', 'node'];
+// Champs sans effet sur un site statique (ni processus ni backend)
+const DYNAMIC_FIELDS = ['start', 'healthCheck', 'apiPrefix', 'hooks'];
+const HOOKS = ['preDeploy', 'postDeploy'];
+const MAX_COMMAND_LENGTH = 1024;
+const MAX_ENV_VARIABLES = 100;
+// Versions de Node installées à côté de celle de la plateforme (une par dossier vX.Y.Z, comme nvm) :
+// NODE_VERSIONS_DIR, lu à l'appel (le module est chargé avant dotenv)
+function getNodeVersionsDir() {
+  return process.env.NODE_VERSIONS_DIR || path.join(os.homedir(), '.nvm', 'versions', 'node');
+}
+
+function normalizeCommand(value, field) {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new ManifestError(`"${field}" doit être une commande (chaîne non vide)`);
+  }
+  if (value.length > MAX_COMMAND_LENGTH || /[\r\n]/.test(value)) {
+    throw new ManifestError(`"${field}" doit tenir sur une ligne de ${MAX_COMMAND_LENGTH} caractères au plus`);
+  }
+  return value.trim();
+}
+
+// Dossier relatif au manifeste, sans remonter au-dessus
+function normalizeOutputDir(value) {
+  const dir = typeof value === 'string' ? value.trim().replace(/\\/g, '/').replace(/^\.\/|\/+$/g, '') : '';
+  if (!dir || path.posix.isAbsolute(dir) || dir.split('/').some((segment) => segment === '..' || segment === '.')) {
+    throw new ManifestError(`"outputDir" invalide: ${JSON.stringify(value)} (dossier relatif, ex. dist)`);
+  }
+  return dir;
+}
+
+function normalizeEnv(value) {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    throw new ManifestError('"env" doit être un objet { "NOM": "valeur" }');
+  }
+  const entries = Object.entries(value);
+  if (entries.length > MAX_ENV_VARIABLES) {
+    throw new ManifestError(`"env" : ${MAX_ENV_VARIABLES} variables au plus`);
+  }
+  const env = {};
+  for (const [name, variable] of entries) {
+    try {
+      validateEnvVarName(name);
+    } catch (error) {
+      if (error instanceof EnvVarError) throw new ManifestError(`"env" : ${error.message}`);
+      throw error;
+    }
+    if (!['string', 'number', 'boolean'].includes(typeof variable)) {
+      throw new ManifestError(`"env.${name}" doit être une chaîne, un nombre ou un booléen`);
+    }
+    env[name] = String(variable);
+  }
+  return env;
+}
+
+function normalizeHooks(value) {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    throw new ManifestError('"hooks" doit être un objet { "preDeploy": "...", "postDeploy": "..." }');
+  }
+  const unknown = Object.keys(value).filter((name) => !HOOKS.includes(name));
+  if (unknown.length) {
+    throw new ManifestError(`hook inconnu: ${unknown.join(', ')} (${HOOKS.join(' ou ')})`);
+  }
+  return {
+    preDeploy: value.preDeploy === undefined ? null : normalizeCommand(value.preDeploy, 'hooks.preDeploy'),
+    postDeploy: value.postDeploy === undefined ? null : normalizeCommand(value.postDeploy, 'hooks.postDeploy'),
+  };
+}
+
+// Chemin seul (vérification HTTP) ou configuration complète, comme dans le formulaire de déploiement
+function normalizeManifestHealthCheck(value) {
+  try {
+    return normalizeHealthCheck(typeof value === 'string' ? { type: 'http', path: value } : value);
+  } catch (error) {
+    if (error instanceof HealthCheckError) throw new ManifestError(`"healthCheck" : ${error.message}`);
+    throw error;
+  }
+}
+
+function compareVersions(a, b) {
+  const [x, y] = [a, b].map((version) => version.split('.').map(Number));
+  return x[0] - y[0] || x[1] - y[1] || x[2] - y[2];
+}
+
+// Version de Node demandée : null si celle de la plateforme convient, sinon la plus récente
+// des versions installées qui correspond ("v20.11.1")
+async function resolveNodeVersion(value) {
+  const wanted = typeof value === 'string' || typeof value === 'number' ? String(value).trim().replace(/^v/, '') : '';
+  if (!/^\d+(\.\d+){0,2}$/.test(wanted)) {
+    throw new ManifestError(`"node" invalide: ${JSON.stringify(value)} (ex. "20" ou "20.11.1")`);
+  }
+  const matches = (version) => version === wanted || version.startsWith(`${wanted}.`);
+  if (matches(process.versions.node)) return null;
+
+  const installed = (await fs.readdir(getNodeVersionsDir()).catch(() => []))
+    .filter((name) => /^v\d+\.\d+\.\d+$/.test(name))
+    .map((name) => name.slice(1))
+    .sort(compareVersions)
+    .reverse();
+  const version = installed.find(matches);
+  if (!version) {
+    throw new ManifestError(
+      `Node ${wanted} indisponible sur la plateforme (versions : ${[process.versions.node, ...installed].join(', ')})`,
+    );
+  }
+  return `v${version}`;
+}
+
+// Dossier des exécutables (node, npm) d'une version retenue par resolveNodeVersion
+export function getNodeBinDir(version) {
+  return path.join(getNodeVersionsDir(), version, 'bin');
+}
+
+// Valide le contenu du manifeste pour un projet du type donné
+export async function normalizeManifest(raw, type) {
+  if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) {
+    throw new ManifestError('objet JSON attendu');
+  }
+  const unknown = Object.keys(raw).filter((field) => !FIELDS.includes(field));
+  if (unknown.length) {
+    throw new ManifestError(`champ inconnu: ${unknown.join(', ')} (champs : ${FIELDS.join(', ')})`);
+  }
+  if (type === 'static') {
+    const dynamicOnly = DYNAMIC_FIELDS.filter((field) => raw[field] !== undefined);
+    if (dynamicOnly.length) {
+      throw new ManifestError(`${dynamicOnly.join(', ')} réservé(s) aux projets dynamiques`);
+    }
+  }
+
+  let apiPrefix = null;
+  if (raw.apiPrefix !== undefined) {
+    try {
+      apiPrefix = normalizeApiPrefix(raw.apiPrefix);
+    } catch (error) {
+      if (error instanceof ApiPrefixError) throw new ManifestError(`"apiPrefix" : ${error.message}`);
+      throw error;
+    }
+  }
+
+  return {
+    install: raw.install === undefined ? null : normalizeCommand(raw.install, 'install'),
+    build: raw.build === undefined ? null : normalizeCommand(raw.build, 'build'),
+    start: raw.start === undefined ? null : normalizeCommand(raw.start, 'start'),
+    outputDir: raw.outputDir === undefined ? null : normalizeOutputDir(raw.outputDir),
+    healthCheck: raw.healthCheck === undefined ? null : normalizeManifestHealthCheck(raw.healthCheck),
+    apiPrefix,
+    env: raw.env === undefined ? {} : normalizeEnv(raw.env),
+    hooks: raw.hooks === undefined ? { preDeploy: null, postDeploy: null } : normalizeHooks(raw.hooks),
+    node: raw.node === undefined ? null : String(raw.node),
+    nodeVersion: raw.node === undefined ? null : await resolveNodeVersion(raw.node),
+  };
+}
+
+// Manifeste du code récupéré dans root (dossier englobant unique ignoré), null s'il n'y en a pas
+export async function readManifest(root, type) {
+  const file = path.join(root, await findWrapperRoot(root), MANIFEST_FILE);
+  let content;
+  try {
+    content = await fs.readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(content);
+  } catch (error) {
+    throw new ManifestError(`JSON invalide (${error.message})`);
+  }
+  return normalizeManifest(raw, type);
+}
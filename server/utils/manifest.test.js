@@ -0,0 +1,105 @@
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { MANIFEST_FILE, ManifestError, getNodeBinDir, normalizeManifest, readManifest } from './manifest.js';
+
+let workDir;
+
+before(async () => {
+  workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'manifest-test-'));
+});
+
+after(async () => {
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+afterEach(() => {
+  delete process.env.NODE_VERSIONS_DIR;
+});
+
+async function refused(raw, pattern, type = 'dynamic') {
+  await assert.rejects(normalizeManifest(raw, type), (error) => {
+    assert.ok(error instanceof ManifestError, `ManifestError attendue, reçu ${error.name}`);
+    assert.equal(error.status, 400);
+    assert.match(error.message, new RegExp(`^${MANIFEST_FILE} : `));
+    assert.match(error.message, pattern);
+    return true;
+  });
+}
+
+test('un manifeste complet est normalisé', async () => {
+  const manifest = await normalizeManifest(
+    {
+      install: ' npm ci ',
+      build: 'npm run build',
+      start: 'node server.js',
+      outputDir: './dist/',
+      healthCheck: '/health',
+      apiPrefix: '/api/',
+      env: { LOG_LEVEL: 'info', WORKERS: 2, DEBUG: false },
+      hooks: { preDeploy: 'npm run migrate' },
+    },
+    'dynamic',
+  );
+
+  assert.equal(manifest.install, 'npm ci');
+  assert.equal(manifest.outputDir, 'dist');
+  assert.equal(manifest.healthCheck.type, 'http');
+  assert.equal(manifest.healthCheck.path, '/health');
+  assert.equal(manifest.apiPrefix, '/api');
+  assert.deepEqual(manifest.env, { LOG_LEVEL: 'info', WORKERS: '2', DEBUG: 'false' });
+  assert.deepEqual(manifest.hooks, { preDeploy: 'npm run migrate', postDeploy: null });
+  assert.equal(manifest.nodeVersion, null);
+});
+
+test('les champs et valeurs invalides sont refusés', async () => {
+  await refused([], /objet JSON attendu/);
+  await refused({ instal: 'npm ci' }, /champ inconnu: instal/);
+  await refused({ build: '' }, /"build" doit être une commande/);
+  await refused({ start: 'node a.js\nrm -rf /' }, /"start" doit tenir sur une ligne/);
+  await refused({ outputDir: '../dist' }, /"outputDir" invalide/);
+  await refused({ outputDir: '/var/www' }, /"outputDir" invalide/);
+  await refused({ outputDir: 'build/./dist' }, /"outputDir" invalide/);
+  await refused({ healthCheck: 'health' }, /"healthCheck" : Chemin de health check invalide/);
+  await refused({ apiPrefix: '/api/../admin' }, /"apiPrefix" : Préfixe API invalide/);
+  await refused({ env: ['A=1'] }, /"env" doit être un objet/);
+  await refused({ env: { '1NOM': 'x' } }, /"env" : /);
+  await refused({ env: { NOM: { a: 1 } } }, /"env.NOM" doit être une chaîne/);
+  await refused({ hooks: { postBuild: 'x' } }, /hook inconnu: postBuild/);
+  await refused({ node: 'lts' }, /"node" invalide/);
+});
+
+test('les réglages de processus sont réservés aux projets dynamiques', async () => {
+  await refused({ start: 'node server.js', hooks: {} }, /start, hooks réservé\(s\) aux projets dynamiques/, 'static');
+  const manifest = await normalizeManifest({ build: 'npm run build', outputDir: 'public' }, 'static');
+  assert.equal(manifest.outputDir, 'public');
+});
+
+test('la version de Node est choisie parmi celles installées (NODE_VERSIONS_DIR lu à l\'appel)', async () => {
+  const versionsDir = path.join(workDir, 'node-versions');
+  for (const version of ['v16.20.2', 'v16.9.0', 'v18.19.1', 'pas-une-version']) {
+    await fs.mkdir(path.join(versionsDir, version), { recursive: true });
+  }
+  process.env.NODE_VERSIONS_DIR = versionsDir;
+
+  const [major] = process.versions.node.split('.');
+  assert.equal((await normalizeManifest({ node: Number(major) }, 'dynamic')).nodeVersion, null);
+  assert.equal((await normalizeManifest({ node: '16' }, 'dynamic')).nodeVersion, 'v16.20.2');
+  assert.equal((await normalizeManifest({ node: 'v16.9' }, 'dynamic')).nodeVersion, 'v16.9.0');
+  assert.equal(getNodeBinDir('v16.20.2'), path.join(versionsDir, 'v16.20.2', 'bin'));
+  await refused({ node: '12' }, /Node 12 indisponible sur la plateforme \(versions : .*16\.20\.2, 16\.9\.0/);
+});
+
+test('le manifeste est lu à la racine du code, dossier englobant unique ignoré', async () => {
+  const root = path.join(workDir, 'archive');
+  await fs.mkdir(path.join(root, 'app-main'), { recursive: true });
+  assert.equal(await readManifest(root, 'dynamic'), null);
+
+  await fs.writeFile(path.join(root, 'app-main', MANIFEST_FILE), JSON.stringify({ start: 'npm run serve' }));
+  assert.equal((await readManifest(root, 'dynamic')).start, 'npm run serve');
+
+  await fs.writeFile(path.join(root, 'app-main', MANIFEST_FILE), '{ start: ');
+  await assert.rejects(readManifest(root, 'dynamic'), /hostedhost\.json : JSON invalide/);
+});
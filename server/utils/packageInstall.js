@@ -0,0 +1,108 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { getPackageCacheDir, ensureProjectHomeDir } from './fileSystem.js';
+
+// Installation des dépendances Node d'un dossier : le gestionnaire et la commande suivent
+// le lockfile fourni (npm ci, yarn ou pnpm en lockfile figé), sinon npm install.
+// Les paquets téléchargés sont conservés dans un cache partagé par la plateforme, adressé
+// par contenu (cache npm, store pnpm, cache yarn) : un paquet n'est téléchargé qu'une fois.
+// Chaque projet a son propre HOME (configuration et caches des outils), hors de ses releases.
+// PACKAGE_INSTALL_OFFLINE=true : aucun accès réseau, tout vient du cache ou du miroir
+// (pip : paquets de PYTHON_PACKAGE_INDEX, sinon ceux déposés dans le dossier pip-wheels du cache).
+// PACKAGE_REGISTRY : registre npm à utiliser (miroir local) à la place du registre public.
+
+// PYTHON_PACKAGE_INDEX : index Python à utiliser (miroir local) à la place de PyPI.
+// Lus à l'appel : le module est chargé avant dotenv
+function getInstallOptions() {
+  return {
+    offline: process.env.PACKAGE_INSTALL_OFFLINE === 'true',
+    registry: process.env.PACKAGE_REGISTRY || null,
+    pythonIndex: process.env.PYTHON_PACKAGE_INDEX || null,
+  };
+}
+
+// Lockfiles reconnus, par ordre de priorité
+const LOCKFILES = [
+  { file: 'pnpm-lock.yaml', manager: 'pnpm' },
+  { file: 'yarn.lock', manager: 'yarn' },
+  { file: 'package-lock.json', manager: 'npm' },
+  { file: 'npm-shrinkwrap.json', manager: 'npm' },
+];
+
+async function exists(filePath) {
+  return Boolean(await fs.stat(filePath).catch(() => null));
+}
+
+// node_modules fourni avec le code (au moins un paquet) : rien à installer
+async function hasVendoredModules(dir) {
+  const entries = await fs.readdir(path.join(dir, 'node_modules')).catch(() => []);
+  return entries.some((name) => !name.startsWith('.'));
+}
+
+// Yarn 2+ (fichier .yarnrc.yml) : lockfile figé avec --immutable, réseau coupé par YARN_ENABLE_NETWORK
+function yarnArgs(berry, offline) {
+  if (berry) return ['install', '--immutable'];
+  return ['install', '--frozen-lockfile', '--non-interactive', offline ? '--offline' : '--prefer-offline'];
+}
+
+// Étape d'installation d'un dossier Node (dir relatif à la release) :
+// { dir, command, args, manager, lockfile, skip } où skip indique pourquoi rien n'est lancé
+export async function planNodeInstall(releasePath, dir) {
+  const appDir = path.join(releasePath, dir);
+  let lock = null;
+  for (const candidate of LOCKFILES) {
+    if (await exists(path.join(appDir, candidate.file))) {
+      lock = candidate;
+      break;
+    }
+  }
+  const manager = lock?.manager || 'npm';
+  const step = { dir, command: manager, args: [], manager, lockfile: lock?.file || null, skip: null };
+
+  if (await hasVendoredModules(appDir)) {
+    return { ...step, skip: 'node_modules fourni avec le code' };
+  }
+  const { offline } = getInstallOptions();
+  const network = offline ? '--offline' : '--prefer-offline';
+  if (manager === 'pnpm') {
+    step.args = ['install', '--frozen-lockfile', network];
+  } else if (manager === 'yarn') {
+    step.args = yarnArgs(await exists(path.join(appDir, '.yarnrc.yml')), offline);
+  } else {
+    step.args = [lock ? 'ci' : 'install', '--no-audit', '--no-fund', network];
+  }
+  return step;
+}
+
+// Variables des commandes d'installation et de build d'un projet : HOME propre au projet,
+// caches partagés de la plateforme, registre (miroir) et mode hors ligne
+export async function getInstallEnv(type, projectName) {
+  const home = await ensureProjectHomeDir(type, projectName);
+  const cache = getPackageCacheDir();
+  const { offline, registry, pythonIndex } = getInstallOptions();
+
+  const env = {
+    HOME: home,
+    XDG_CACHE_HOME: path.join(home, '.cache'),
+    XDG_CONFIG_HOME: path.join(home, '.config'),
+    npm_config_cache: path.join(cache, 'npm'),
+    npm_config_store_dir: path.join(cache, 'pnpm'),
+    npm_config_update_notifier: 'false',
+    YARN_CACHE_FOLDER: path.join(cache, 'yarn'),
+    YARN_ENABLE_GLOBAL_CACHE: 'true',
+    PIP_CACHE_DIR: path.join(cache, 'pip'),
+  };
+  if (registry) {
+    Object.assign(env, { npm_config_registry: registry, YARN_REGISTRY: registry, YARN_NPM_REGISTRY_SERVER: registry });
+  }
+  if (offline) {
+    Object.assign(env, { npm_config_offline: 'true', YARN_ENABLE_NETWORK: '0' });
+  }
+  if (pythonIndex) {
+    env.PIP_INDEX_URL = pythonIndex;
+  } else if (offline) {
+    // Sans miroir, pip n'interroge aucun index : les paquets viennent des fichiers du cache
+    Object.assign(env, { PIP_NO_INDEX: '1', PIP_FIND_LINKS: path.join(cache, 'pip-wheels') });
+  }
+  return env;
+}
@@ -1,38 +1,167 @@
+import net from 'net';
+import { getDB } from '../config/database.js';
 import { logger } from './logger.js';
 
+// Attribution des ports des projets dynamiques. Chaque attribution est enregistrée dans
+// la collection "ports" ({ port, userId, projectName, role }) : un redémarrage de la
+// plateforme ne redonne pas à un nouveau projet un port déjà attribué.
+// role : 'public' (URL du projet) ou 'backend' (port interne du backend)
+
+const DEFAULT_MIN_PORT = 3001;
+const DEFAULT_MAX_PORT = 4000;
+// Clé dupliquée MongoDB : port déjà enregistré (par une autre instance de la plateforme)
+const DUPLICATE_KEY_ERROR = 11000;
+
+// "5432, 6379, 8000-8010" -> ports réservés, jamais attribués
+function parsePortList(value) {
+  const ports = new Set();
+  for (const item of String(value || '').split(',')) {
+    if (!item.trim()) continue;
+    const [start, end = start] = item.trim().split('-').map(Number);
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 1) continue;
+    for (let port = start; port <= end; port++) {
+      ports.add(port);
+    }
+  }
+  return ports;
+}
+
+// Test réel : le port est libre si l'on peut s'y lier (un autre processus peut l'occuper)
+function isPortFree(port) {
+  return new Promise((resolve) => {
+    const server = net.createServer();
+    server.once('error', () => resolve(false));
+    server.once('listening', () => server.close(() => resolve(true)));
+    server.listen(port);
+  });
+}
+
 class PortManager {
   constructor() {
-    this.usedPorts = new Set();
-    this.minPort = 3001;
-    this.maxPort = 4000;
+    // Port -> { port, userId, projectName, role }
+    this.allocations = new Map();
+    this.minPort = DEFAULT_MIN_PORT;
+    this.maxPort = DEFAULT_MAX_PORT;
+    this.reservedPorts = new Set();
+  }
+
+  // Plage et ports réservés, lus au démarrage (après dotenv) :
+  // HOSTING_PORT_MIN, HOSTING_PORT_MAX, HOSTING_RESERVED_PORTS
+  configure(env = process.env) {
+    const minPort = Number(env.HOSTING_PORT_MIN) || DEFAULT_MIN_PORT;
+    const maxPort = Number(env.HOSTING_PORT_MAX) || DEFAULT_MAX_PORT;
+    if (minPort < 1 || maxPort > 65535 || minPort > maxPort) {
+      throw new Error(`Plage de ports invalide: ${minPort}-${maxPort}`);
+    }
+
+    this.minPort = minPort;
+    this.maxPort = maxPort;
+    // Les ports de la plateforme elle-même ne sont jamais attribués
+    this.reservedPorts = parsePortList(env.HOSTING_RESERVED_PORTS);
+    this.reservedPorts.add(Number(env.PORT) || 5000);
+    const discoveryPort = Number(env.DISCOVERY_PORT ?? 8055);
+    if (discoveryPort) this.reservedPorts.add(discoveryPort);
+  }
+
+  // Recharge les attributions enregistrées et les réconcilie avec les projets :
+  // les attributions de projets supprimés sont libérées, les ports de projets
+  // sans attribution enregistrée (antérieurs à la persistance) sont rétablis.
+  async initialize() {
+    this.configure();
+
+    const db = getDB();
+    const records = await db.collection('ports').find({}).toArray();
+    const projects = await db.collection('projects').find({ type: 'dynamic' }).toArray();
+
+    const expected = new Map();
+    for (const project of projects) {
+      const { userId, name: projectName } = project;
+      if (project.port) expected.set(project.port, { port: project.port, userId, projectName, role: 'public' });
+      if (project.backendPort) expected.set(project.backendPort, { port: project.backendPort, userId, projectName, role: 'backend' });
+    }
+
+    this.allocations.clear();
+    for (const record of records) {
+      const allocation = expected.get(record.port);
+      if (allocation && allocation.userId === record.userId && allocation.projectName === record.projectName) {
+        this.allocations.set(record.port, allocation);
+      } else {
+        await db.collection('ports').deleteOne({ _id: record._id });
+        logger.info(`Port ${record.port} libéré (projet ${record.projectName} introuvable)`);
+      }
+    }
+
+    for (const allocation of expected.values()) {
+      if (this.allocations.has(allocation.port)) continue;
+      await db.collection('ports').insertOne({ ...allocation, allocatedAt: new Date() });
+      this.allocations.set(allocation.port, allocation);
+      logger.info(`Port ${allocation.port} rétabli pour le projet ${allocation.projectName}`);
+    }
+
+    logger.info(`Ports des projets : ${this.allocations.size} attribué(s), plage ${this.minPort}-${this.maxPort}`);
   }
 
-  allocatePort(userId, projectName) {
+  async allocatePort(userId, projectName, role = 'public') {
+    const db = getDB();
+
     for (let port = this.minPort; port <= this.maxPort; port++) {
-      if (!this.usedPorts.has(port)) {
-        this.usedPorts.add(port);
-        logger.userAction(userId, 'PORT_ALLOCATED', `Port ${port} for project ${projectName}`);
-        return port;
+      if (this.allocations.has(port) || this.reservedPorts.has(port)) continue;
+
+      // Réservé avant le test de liaison : deux déploiements simultanés n'obtiennent pas le même port
+      const allocation = { port, userId, projectName, role };
+      this.allocations.set(port, allocation);
+
+      if (!(await isPortFree(port))) {
+        this.allocations.delete(port);
+        logger.warn('PORT_BUSY', `Port ${port} occupé par un processus extérieur, ignoré`);
+        continue;
+      }
+
+      try {
+        await db.collection('ports').insertOne({ ...allocation, allocatedAt: new Date() });
+      } catch (error) {
+        this.allocations.delete(port);
+        if (error.code === DUPLICATE_KEY_ERROR) continue;
+        throw error;
       }
+
+      logger.userAction(userId, 'PORT_ALLOCATED', `Port ${port} (${role}) for project ${projectName}`);
+      return port;
     }
-    
+
     logger.error('PORT_ALLOCATION_FAILED', 'No available ports', userId);
     throw new Error('Aucun port disponible');
   }
 
-  releasePort(port, userId, projectName) {
-    if (this.usedPorts.has(port)) {
-      this.usedPorts.delete(port);
-      logger.userAction(userId, 'PORT_RELEASED', `Port ${port} for project ${projectName}`);
+  // Seul le projet auquel le port est attribué peut le libérer
+  async releasePort(port, userId, projectName) {
+    const allocation = this.allocations.get(port);
+    if (!allocation || allocation.userId !== userId || allocation.projectName !== projectName) return;
+
+    this.allocations.delete(port);
+    await getDB().collection('ports').deleteOne({ port, userId, projectName });
+    logger.userAction(userId, 'PORT_RELEASED', `Port ${port} for project ${projectName}`);
+  }
+
+  // Libère tous les ports d'un projet (suppression du projet)
+  async releaseProjectPorts(userId, projectName) {
+    for (const allocation of Array.from(this.allocations.values())) {
+      if (allocation.userId === userId && allocation.projectName === projectName) {
+        await this.releasePort(allocation.port, userId, projectName);
+      }
     }
   }
 
   isPortInUse(port) {
-    return this.usedPorts.has(port);
+    return this.allocations.has(port);
   }
 
   getUsedPorts() {
-    return Array.from(this.usedPorts);
+    return Array.from(this.allocations.keys()).sort((a, b) => a - b);
+  }
+
+  getReservedPorts() {
+    return Array.from(this.reservedPorts).sort((a, b) => a - b);
   }
 }
 
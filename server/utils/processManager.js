@@ -0,0 +1,282 @@
+import { spawn } from 'child_process';
+import { EventEmitter } from 'events';
+import readline from 'readline';
+import { logger } from './logger.js';
+import { DEFAULT_HEALTH_CHECK, describeHealthCheck, waitForHealthy } from './healthCheck.js';
+import { buildLimitedCommand, getLimitedEnv } from './resourceLimits.js';
+import { buildChildEnv } from './childEnv.js';
+
+// Store pour garder une trace des processus actifs
+export const runningProcesses = new Map();
+// Délai laissé à une commande interrompue entre SIGTERM et SIGKILL (ms)
+const KILL_GRACE_PERIOD = 5000;
+
+// 'exit' ({ userId, projectName, code, signal, expected }) à chaque arrêt d'un backend ;
+// expected est faux pour un arrêt qui n'a pas été demandé (plantage)
+export const processEvents = new EventEmitter();
+
+// Arrêt demandé : le processus est marqué pour ne pas être pris pour un plantage.
+// Le signal est envoyé à tout son groupe : le shell, npm et le serveur qu'il a lancé.
+function terminate(child) {
+  child.stopRequested = true;
+  try {
+    process.kill(-child.pid, 'SIGTERM');
+  } catch {
+    child.kill('SIGTERM');
+  }
+}
+
+// Arrête le groupe du processus et attend sa fin, SIGKILL s'il n'est pas sorti à temps.
+// 'close' n'arrive qu'une fois fermées les sorties partagées par tout le groupe : les ports
+// du backend sont alors libérés.
+async function terminateAndWait(child) {
+  terminate(child);
+  const timer = setTimeout(() => {
+    try {
+      process.kill(-child.pid, 'SIGKILL');
+    } catch {
+      child.kill('SIGKILL');
+    }
+  }, KILL_GRACE_PERIOD);
+  await child.closed;
+  clearTimeout(timer);
+}
+
+export function getProcessKey(userId, projectName) {
+  return `${userId}-${projectName}`;
+}
+
+// Arrête tout le groupe d'un processus lancé avec detached (le shell, npm et ce qu'ils ont
+// lancé) quand signal est déclenché : SIGTERM, puis SIGKILL s'il n'est pas sorti à temps.
+// Renvoie la fonction à appeler à la fin du processus.
+export function killTreeOnAbort(child, signal) {
+  if (!signal) return () => {};
+  let timer = null;
+  const kill = (name) => {
+    try {
+      process.kill(-child.pid, name);
+    } catch {
+      child.kill(name);
+    }
+  };
+  const onAbort = () => {
+    kill('SIGTERM');
+    timer = setTimeout(() => kill('SIGKILL'), KILL_GRACE_PERIOD);
+  };
+  if (signal.aborted) {
+    onAbort();
+  } else {
+    signal.addEventListener('abort', onAbort, { once: true });
+  }
+  return () => {
+    signal.removeEventListener('abort', onAbort);
+    clearTimeout(timer);
+  };
+}
+
+// Transmet la sortie d'un processus ligne par ligne (onOutput(stream, ligne))
+function forwardOutput(child, onOutput) {
+  if (!onOutput) return;
+  readline.createInterface({ input: child.stdout }).on('line', (line) => onOutput('stdout', line));
+  readline.createInterface({ input: child.stderr }).on('line', (line) => onOutput('stderr', line));
+}
+
+// Fonction utilitaire pour exécuter des commandes (installation, build) du code d'un projet.
+// env : environnement épuré du processus (voir childEnv.js), sans les variables de la plateforme
+// signal : AbortSignal du job (annulation, délai de la phase) qui arrête la commande et ses enfants
+export function executeCommand(command, args, cwd, projectName, userId, onOutput, env = buildChildEnv(), signal = null) {
+  return new Promise((resolve, reject) => {
+    logger.userAction(userId, 'COMMAND_STARTED', `${command} ${args.join(' ')} in ${cwd}`);
+
+    const child = spawn(command, args, {
+      cwd,
+      stdio: ['pipe', 'pipe', 'pipe'],
+      shell: true,
+      // Groupe de processus propre, arrêté d'un bloc si la commande est interrompue
+      detached: true,
+      env
+    });
+    const release = killTreeOnAbort(child, signal);
+
+    let stdout = '';
+    let stderr = '';
+
+    forwardOutput(child, onOutput);
+
+    child.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
+
+    child.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    child.on('close', (code) => {
+      release();
+      if (signal?.aborted) {
+        logger.userAction(userId, 'COMMAND_ABORTED', `${command} stopped for ${projectName}: ${signal.reason.message}`);
+        reject(signal.reason);
+      } else if (code === 0) {
+        logger.userAction(userId, 'COMMAND_SUCCESS', `${command} completed for ${projectName}`);
+        resolve({ stdout, stderr });
+      } else {
+        logger.userAction(userId, 'COMMAND_FAILED', `${command} failed for ${projectName}: ${stderr}`);
+        reject(new Error(`Command failed with code ${code}: ${stderr}`));
+      }
+    });
+
+    child.on('error', (error) => {
+      release();
+      logger.userAction(userId, 'COMMAND_ERROR', `${command} error for ${projectName}: ${error.message}`);
+      reject(error);
+    });
+  });
+}
+
+// Démarre le backend et attend qu'il réponde à son health check (connexion TCP par défaut).
+// start : { cwd, command, env } du runtime du projet (voir runtimes.js), env étant ajouté à
+// l'environnement de la plateforme (environnement virtuel Python...)
+// limits : limites de ressources appliquées au lancement (fichiers ouverts, priorité CPU, tas Node)
+// projectEnv : variables configurées pour le projet, seules transmises avec celles de la plateforme
+// Renvoie le résultat de la vérification ; en cas d'échec le processus est arrêté.
+export async function startBackendServer(
+  start,
+  projectName,
+  port,
+  userId,
+  onOutput,
+  healthCheck = DEFAULT_HEALTH_CHECK,
+  limits = null,
+  projectEnv = {},
+) {
+  logger.userAction(userId, 'STARTING_BACKEND', `Project: ${projectName}, Port: ${port}, Command: ${start.command}`);
+
+  // L'ancien processus est arrêté avant le lancement : il libère le port, et le health
+  // check ne peut pas lui être adressé à la place du nouveau
+  const projectKey = getProcessKey(userId, projectName);
+  const previous = runningProcesses.get(projectKey);
+  if (previous) {
+    runningProcesses.delete(projectKey);
+    await terminateAndWait(previous);
+  }
+
+  // Démarrer le serveur backend
+  const backendProcess = spawn(limits ? buildLimitedCommand(start.command, limits) : start.command, {
+    cwd: start.cwd,
+    stdio: ['pipe', 'pipe', 'pipe'],
+    shell: true,
+    // Groupe de processus propre au backend, arrêté d'un seul signal
+    detached: true,
+    env: buildChildEnv({
+      project: projectEnv,
+      platform: {
+        ...start.env,
+        ...(limits ? getLimitedEnv(limits) : {}),
+        PORT: port.toString(),
+        NODE_ENV: 'production'
+      }
+    })
+  });
+
+  // Résolue à la fin du processus (ou à l'échec de son lancement)
+  backendProcess.closed = new Promise((resolve) => {
+    backendProcess.once('close', resolve);
+    backendProcess.once('error', resolve);
+  });
+  forwardOutput(backendProcess, onOutput);
+
+  // Stocker le processus pour pouvoir l'arrêter plus tard
+  runningProcesses.set(projectKey, backendProcess);
+
+  let exited = false;
+  let spawnError = null;
+
+  backendProcess.stdout.on('data', (data) => {
+    logger.userAction(userId, 'BACKEND_OUTPUT', `${projectName}: ${data.toString().trim()}`);
+  });
+
+  backendProcess.stderr.on('data', (data) => {
+    logger.userAction(userId, 'BACKEND_ERROR', `${projectName}: ${data.toString().trim()}`);
+  });
+
+  backendProcess.on('close', (code, signal) => {
+    exited = true;
+    // Ne pas retirer un processus plus récent lancé entre-temps pour ce projet
+    if (runningProcesses.get(projectKey) === backendProcess) {
+      runningProcesses.delete(projectKey);
+    }
+    logger.userAction(userId, 'BACKEND_STOPPED', `Project: ${projectName}, Code: ${code}`);
+    processEvents.emit('exit', {
+      userId,
+      projectName,
+      code,
+      signal,
+      expected: Boolean(backendProcess.stopRequested),
+    });
+  });
+
+  backendProcess.on('error', (error) => {
+    exited = true;
+    spawnError = error;
+    logger.userAction(userId, 'BACKEND_PROCESS_ERROR', `${projectName}: ${error.message}`);
+  });
+
+  try {
+    const result = await waitForHealthy(port, healthCheck, () => !exited);
+    logger.userAction(userId, 'BACKEND_STARTED', `Project: ${projectName}, Port: ${port}, ${describeHealthCheck(healthCheck)} en ${result.durationMs}ms`);
+    return result;
+  } catch (error) {
+    if (!exited) {
+      // Ne répond pas : le processus est arrêté, ce n'est pas un plantage
+      terminate(backendProcess);
+      if (runningProcesses.get(projectKey) === backendProcess) {
+        runningProcesses.delete(projectKey);
+      }
+    }
+    logger.userAction(userId, 'BACKEND_STARTUP_FAILED', `Project: ${projectName}, ${error.message}`);
+    throw spawnError || error;
+  }
+}
+
+// Arrêter le backend d'un projet s'il tourne (résolu une fois le processus terminé)
+export async function stopBackendServer(userId, projectName) {
+  const projectKey = getProcessKey(userId, projectName);
+  const child = runningProcesses.get(projectKey);
+  if (!child) {
+    return false;
+  }
+  runningProcesses.delete(projectKey);
+  await terminateAndWait(child);
+  return true;
+}
+
+// Arrêt de la plateforme : chaque backend a son propre groupe de processus et ne s'arrête
+// pas avec elle, ses processus garderaient ses ports
+export async function stopAllBackendServers() {
+  const children = [...runningProcesses.values()];
+  runningProcesses.clear();
+  await Promise.all(children.map((child) => terminateAndWait(child)));
+  return children.length;
+}
+
+export function isBackendRunning(userId, projectName) {
+  return runningProcesses.has(getProcessKey(userId, projectName));
+}
+
+// Identifiant du groupe de processus du backend (celui du shell qui l'a lancé)
+export function getBackendPid(userId, projectName) {
+  return runningProcesses.get(getProcessKey(userId, projectName))?.pid ?? null;
+}
+
+// Arrêt imposé (dépassement de limite) : contrairement à stopBackendServer, l'arrêt est
+// signalé comme un plantage et le superviseur le traite comme tel
+export function killBackendServer(userId, projectName) {
+  const child = runningProcesses.get(getProcessKey(userId, projectName));
+  if (!child) return false;
+  try {
+    process.kill(-child.pid, 'SIGKILL');
+  } catch {
+    child.kill('SIGKILL');
+  }
+  return true;
+}
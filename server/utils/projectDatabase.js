@@ -0,0 +1,156 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { once } from 'events';
+import { pipeline } from 'stream/promises';
+import { BSON } from 'mongodb';
+import { getDB, getMongoClient } from '../config/database.js';
+import { logger } from './logger.js';
+import { encrypt, decrypt } from './projectEnv.js';
+import { getDatabaseArchivesDir } from './fileSystem.js';
+
+// Bases MongoDB des projets dont le backend dépend de mongodb ou mongoose : une base
+// et un utilisateur dédiés (droits readWrite sur cette seule base) sur le serveur
+// MongoDB de la plateforme. L'URI de connexion est injectée au démarrage (MONGODB_URI).
+// Un document par projet dans la collection "databases" (mot de passe chiffré).
+
+// Longueur maximale d'un nom de base MongoDB
+const MAX_NAME_LENGTH = 63;
+// Utilisateur déjà existant (base provisionnée puis perdue de la collection)
+const USER_EXISTS_CODE = 51003;
+const USER_NOT_FOUND_CODE = 11;
+
+// Nom de la base : préfixe, empreinte du couple utilisateur/projet (unicité), nom lisible du projet
+export function getDatabaseName(userId, projectName) {
+  const digest = crypto.createHash('sha256').update(`${userId}:${projectName}`).digest('hex').slice(0, 12);
+  const slug = projectName.toLowerCase().replace(/[^a-z0-9_-]+/g, '_');
+  return `hh_${digest}_${slug}`.slice(0, MAX_NAME_LENGTH);
+}
+
+// URI du projet construite sur celle de la plateforme (mêmes hôtes et options, autres identifiants)
+export function buildConnectionUri(platformUri, { username, password, name }) {
+  const match = /^(mongodb(?:\+srv)?:\/\/)(?:[^@/]*@)?([^/?]+)(?:\/[^?]*)?(?:\?(.*))?$/.exec(platformUri);
+  if (!match) {
+    throw new Error('MONGODB_URI de la plateforme illisible');
+  }
+  const [, scheme, hosts, query = ''] = match;
+  const options = new URLSearchParams(query);
+  options.set('authSource', name);
+  return `${scheme}${encodeURIComponent(username)}:${encodeURIComponent(password)}@${hosts}/${name}?${options}`;
+}
+
+function getPlatformUri() {
+  return process.env.MONGODB_URI || 'mongodb://localhost:27017/sampledb';
+}
+
+// Hôtes du serveur MongoDB, affichés avec la base du projet
+function getPlatformHosts() {
+  return /^mongodb(?:\+srv)?:\/\/(?:[^@/]*@)?([^/?]+)/.exec(getPlatformUri())?.[1] || null;
+}
+
+function findDatabaseDocument(userId, projectName) {
+  return getDB().collection('databases').findOne({ userId, projectName });
+}
+
+// Informations affichées avec le projet (sans mot de passe)
+function describeDatabase(document) {
+  return { name: document.name, username: document.username, host: getPlatformHosts(), provisionedAt: document.provisionedAt };
+}
+
+// Crée (ou retrouve) la base et l'utilisateur du projet.
+// Renvoie { name, username, host, provisionedAt }, ou null si la plateforme n'a pas de MongoDB.
+export async function provisionProjectDatabase(userId, projectName) {
+  const client = getMongoClient();
+  if (!client) return null;
+
+  const existing = await findDatabaseDocument(userId, projectName);
+  if (existing) return describeDatabase(existing);
+
+  const name = getDatabaseName(userId, projectName);
+  const username = name;
+  const password = crypto.randomBytes(24).toString('base64url');
+  const roles = [{ role: 'readWrite', db: name }];
+  const database = client.db(name);
+  try {
+    await database.command({ createUser: username, pwd: password, roles });
+  } catch (error) {
+    if (error.code !== USER_EXISTS_CODE) throw error;
+    await database.command({ updateUser: username, pwd: password, roles });
+  }
+
+  const document = { userId, projectName, name, username, password: encrypt(password), provisionedAt: new Date() };
+  await getDB().collection('databases').insertOne(document);
+  logger.userAction(userId, 'PROJECT_DATABASE_PROVISIONED', `Project: ${projectName}, Database: ${name}`);
+  return describeDatabase(document);
+}
+
+// Connexion complète (URI avec mot de passe) ; null si aucune base n'est provisionnée
+export async function getProjectDatabaseConnection(userId, projectName) {
+  const document = await findDatabaseDocument(userId, projectName);
+  if (!document) return null;
+
+  const password = decrypt(document.password);
+  logger.setSecrets(userId, `database:${projectName}`, [password]);
+  return { ...describeDatabase(document), uri: buildConnectionUri(getPlatformUri(), { ...document, password }) };
+}
+
+// Variables injectées au démarrage du backend : { MONGODB_URI } si une base est provisionnée
+export async function getProjectDatabaseEnv(userId, projectName) {
+  try {
+    const connection = await getProjectDatabaseConnection(userId, projectName);
+    return connection ? { MONGODB_URI: connection.uri } : {};
+  } catch (error) {
+    logger.error('PROJECT_DATABASE_ENV_FAILED', `Project: ${projectName}, ${error.message}`, userId);
+    return {};
+  }
+}
+
+// Export de toutes les collections (une ligne EJSON par document, compressé).
+// Renvoie le chemin du fichier.
+async function archiveDatabase(database, name) {
+  const file = path.join(getDatabaseArchivesDir(), `${name}-${new Date().toISOString().replace(/[:.]/g, '-')}.jsonl.gz`);
+  const gzip = zlib.createGzip();
+  const done = pipeline(gzip, fs.createWriteStream(file));
+
+  for (const { name: collection } of await database.listCollections({}, { nameOnly: true }).toArray()) {
+    for await (const document of database.collection(collection).find()) {
+      const line = `${BSON.EJSON.stringify({ collection, document }, { relaxed: false })}\n`;
+      if (!gzip.write(line)) await once(gzip, 'drain');
+    }
+  }
+  gzip.end();
+  await done;
+  return file;
+}
+
+// Suppression du projet : la base est archivée (export puis suppression) ou, avec
+// PROJECT_DB_ON_DELETE=drop, directement supprimée avec son utilisateur (lu à l'appel : le
+// module est chargé avant dotenv). archive : false pour une base tout juste créée par un déploiement en échec
+export async function deprovisionProjectDatabase(userId, projectName, { archive = process.env.PROJECT_DB_ON_DELETE !== 'drop' } = {}) {
+  const document = await findDatabaseDocument(userId, projectName);
+  if (!document) return;
+  const client = getMongoClient();
+  if (!client) {
+    logger.warn('PROJECT_DATABASE_KEPT', `Project: ${projectName}, MongoDB indisponible : base ${document.name} conservée`);
+    return;
+  }
+
+  const database = client.db(document.name);
+  try {
+    if (archive) {
+      const file = await archiveDatabase(database, document.name);
+      logger.userAction(userId, 'PROJECT_DATABASE_ARCHIVED', `Project: ${projectName}, Database: ${document.name}, Archive: ${file}`);
+    }
+    await database.command({ dropUser: document.username }).catch((error) => {
+      if (error.code !== USER_NOT_FOUND_CODE) throw error;
+    });
+    await database.dropDatabase();
+    await getDB().collection('databases').deleteOne({ _id: document._id });
+    logger.clearSecrets(userId, `database:${projectName}`);
+    logger.userAction(userId, 'PROJECT_DATABASE_DROPPED', `Project: ${projectName}, Database: ${document.name}`);
+  } catch (error) {
+    // Base conservée (et toujours référencée) : la suppression du projet n'est pas bloquée
+    logger.error('PROJECT_DATABASE_DROP_FAILED', `Project: ${projectName}, Database: ${document.name}, ${error.message}`, userId);
+  }
+}
@@ -0,0 +1,204 @@
+import crypto from 'crypto';
+import { getDB } from '../config/database.js';
+import { logger } from './logger.js';
+
+// Variables d'environnement configurées pour un projet (clés d'API, URL de base de données...).
+// Un document par projet dans la collection "envVars" : { userId, projectName, variables: [...] },
+// hors du document du projet pour qu'aucune réponse de l'API ne les expose par mégarde.
+// Les valeurs sont chiffrées (AES-256-GCM) ; celles marquées secrètes ne sont jamais renvoyées
+// et sont masquées dans les logs.
+// scope : 'build' (installation et build), 'runtime' (backend démarré) ou 'both'
+
+// Variable refusée (HTTP 400)
+export class EnvVarError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EnvVarError';
+    this.status = 400;
+  }
+}
+
+export const ENV_SCOPES = ['build', 'runtime', 'both'];
+// Variables fixées par la plateforme, non modifiables par projet
+const RESERVED_NAMES = ['PORT', 'NODE_ENV', 'NODE_OPTIONS', 'PATH', 'HOME'];
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]{0,127}$/;
+const MAX_VALUE_LENGTH = 32 * 1024;
+const MAX_VARIABLES = 100;
+const CIPHER = 'aes-256-gcm';
+
+let encryptionKey = null;
+
+// Clé de chiffrement : ENV_ENCRYPTION_KEY (32 octets en hexadécimal ou base64, ou phrase de passe).
+// À défaut, dérivée du secret JWT : changer ce secret rend alors les valeurs illisibles.
+function getEncryptionKey() {
+  if (encryptionKey) return encryptionKey;
+
+  const configured = process.env.ENV_ENCRYPTION_KEY;
+  if (configured && /^[0-9a-f]{64}$/i.test(configured)) {
+    encryptionKey = Buffer.from(configured, 'hex');
+  } else if (configured && Buffer.from(configured, 'base64').length === 32) {
+    encryptionKey = Buffer.from(configured, 'base64');
+  } else {
+    if (!configured) {
+      logger.warn('ENV_ENCRYPTION_KEY_MISSING', 'ENV_ENCRYPTION_KEY absente : clé dérivée de JWT_SECRET');
+    }
+    const passphrase = configured || process.env.JWT_SECRET || 'votre-secret-jwt-super-securise';
+    encryptionKey = crypto.scryptSync(passphrase, 'hostedhost-env-vars', 32);
+  }
+  return encryptionKey;
+}
+
+// Chiffrement des valeurs sensibles enregistrées par la plateforme (variables, identifiants de base)
+export function encrypt(value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, getEncryptionKey(), iv);
+  const data = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+  return { iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+}
+
+export function decrypt({ iv, tag, data }) {
+  const decipher = crypto.createDecipheriv(CIPHER, getEncryptionKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+export function validateEnvVarName(name) {
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+    throw new EnvVarError(`Nom de variable invalide: ${name} (lettres, chiffres et _, sans chiffre en tête)`);
+  }
+  if (RESERVED_NAMES.includes(name.toUpperCase())) {
+    throw new EnvVarError(`La variable ${name} est fixée par la plateforme`);
+  }
+  return name;
+}
+
+// Valide { value, scope, secret } ; value absente : valeur actuelle conservée (modification du seul scope)
+export function normalizeEnvVarInput({ value, scope = 'runtime', secret = false } = {}, projectType = 'dynamic') {
+  if (!ENV_SCOPES.includes(scope)) {
+    throw new EnvVarError(`Portée invalide: ${scope} (build, runtime ou both)`);
+  }
+  if (projectType === 'static' && scope !== 'build') {
+    throw new EnvVarError('Un site statique n\'a pas de backend : seules les variables de build sont possibles');
+  }
+  if (value !== undefined && (typeof value !== 'string' || value.length > MAX_VALUE_LENGTH)) {
+    throw new EnvVarError(`Valeur invalide : texte de ${MAX_VALUE_LENGTH / 1024} Ko maximum attendu`);
+  }
+  return { value, scope, secret: secret === true || secret === 'true' };
+}
+
+function findEnvDocument(userId, projectName) {
+  return getDB().collection('envVars').findOne({ userId, projectName });
+}
+
+// Variable telle que renvoyée par l'API : valeur en clair sauf pour un secret
+function serializeVariable(variable) {
+  return {
+    name: variable.name,
+    scope: variable.scope,
+    secret: variable.secret,
+    value: variable.secret ? null : decrypt(variable.value),
+    updatedAt: variable.updatedAt,
+  };
+}
+
+export async function listEnvVars(userId, projectName) {
+  const document = await findEnvDocument(userId, projectName);
+  return (document?.variables || []).map(serializeVariable);
+}
+
+// Crée ou modifie une variable. Renvoie { variable, previous } (previous : null à la création)
+export async function setEnvVar(userId, projectName, name, input) {
+  const db = getDB();
+  const document = await findEnvDocument(userId, projectName);
+  const variables = document?.variables || [];
+  const previous = variables.find((variable) => variable.name === name) || null;
+
+  if (input.value === undefined && !previous) {
+    throw new EnvVarError(`Valeur requise pour la nouvelle variable ${name}`);
+  }
+  if (!previous && variables.length >= MAX_VARIABLES) {
+    throw new EnvVarError(`${MAX_VARIABLES} variables au maximum par projet`);
+  }
+
+  const variable = {
+    name,
+    scope: input.scope,
+    secret: input.secret,
+    value: input.value !== undefined ? encrypt(input.value) : previous.value,
+    updatedAt: new Date(),
+  };
+
+  const updated = [...variables.filter((item) => item.name !== name), variable].sort((a, b) => a.name.localeCompare(b.name));
+  if (document) {
+    await db.collection('envVars').updateOne({ _id: document._id }, { $set: { variables: updated, updatedAt: new Date() } });
+  } else {
+    await db.collection('envVars').insertOne({ userId, projectName, variables: updated, updatedAt: new Date() });
+  }
+  registerProjectSecrets(userId, projectName, updated);
+  return { variable: serializeVariable(variable), previous: previous && serializeVariable(previous) };
+}
+
+// Supprime une variable ; renvoie la variable supprimée ou null
+export async function deleteEnvVar(userId, projectName, name) {
+  const document = await findEnvDocument(userId, projectName);
+  const removed = document?.variables.find((variable) => variable.name === name);
+  if (!removed) return null;
+
+  const remaining = document.variables.filter((variable) => variable.name !== name);
+  await getDB()
+    .collection('envVars')
+    .updateOne({ _id: document._id }, { $set: { variables: remaining, updatedAt: new Date() } });
+  registerProjectSecrets(userId, projectName, remaining);
+  return serializeVariable(removed);
+}
+
+// Suppression du projet
+export async function deleteProjectEnv(userId, projectName) {
+  await getDB().collection('envVars').deleteOne({ userId, projectName });
+  logger.clearSecrets(userId, `env:${projectName}`);
+}
+
+// Valeurs actuelles des variables secrètes d'un projet, masquées dans les logs de son
+// utilisateur et de ses jobs (une valeur modifiée ou supprimée n'est plus masquée)
+function registerProjectSecrets(userId, projectName, variables) {
+  const values = [];
+  for (const variable of variables) {
+    if (!variable.secret) continue;
+    try {
+      values.push(decrypt(variable.value));
+    } catch {
+      // Signalé au chargement des variables
+    }
+  }
+  logger.setSecrets(userId, `env:${projectName}`, values);
+}
+
+// Variables à injecter : { build: {...}, runtime: {...} }. Les secrets sont enregistrés
+// auprès du logger pour être masqués dans les logs de l'utilisateur et de ses jobs.
+export async function loadProjectEnv(userId, projectName) {
+  const env = { build: {}, runtime: {} };
+  const document = await findEnvDocument(userId, projectName);
+  const secrets = [];
+  for (const variable of document?.variables || []) {
+    let value;
+    try {
+      value = decrypt(variable.value);
+    } catch {
+      logger.error('ENV_VAR_DECRYPT_FAILED', `Project: ${projectName}, Variable: ${variable.name}`, userId);
+      continue;
+    }
+    if (variable.scope !== 'runtime') env.build[variable.name] = value;
+    if (variable.scope !== 'build') env.runtime[variable.name] = value;
+    if (variable.secret) secrets.push(value);
+  }
+  logger.setSecrets(userId, `env:${projectName}`, secrets);
+  return env;
+}
+
+// Action à proposer après la modification d'un projet dynamique : 'rebuild' si une variable
+// de build a changé, sinon 'restart'. Site statique : prise en compte au prochain déploiement (null).
+export function getRequiredAction(projectType, ...variables) {
+  const scopes = variables.filter(Boolean).map((variable) => variable.scope);
+  if (projectType !== 'dynamic' || !scopes.length) return null;
+  return scopes.some((scope) => scope !== 'runtime') ? 'rebuild' : 'restart';
+}
@@ -0,0 +1,228 @@
+import fs from 'fs/promises';
+import { getDB } from '../config/database.js';
+import { logger } from './logger.js';
+
+// Limites de ressources des backends hébergés. Les limites effectives d'un projet sont
+// celles de la plateforme, remplacées par celles de l'offre (plan) de l'utilisateur,
+// puis éventuellement abaissées par le projet lui-même (jamais au-delà de l'offre).
+// - memoryMb : mémoire résidente du backend et de ses processus (tas Node limité en conséquence)
+// - cpuNice : priorité CPU (nice, 0 à 19 ; plus la valeur est haute, moins le backend est prioritaire)
+// - maxOpenFiles : fichiers ouverts par processus (ulimit -n)
+// - maxProcesses : processus lancés par le script start du backend (npm lui-même non compris)
+
+// Limite de ressources refusée (HTTP 400)
+export class ResourceLimitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ResourceLimitError';
+    this.status = 400;
+  }
+}
+
+// Valeurs par défaut de la plateforme : BACKEND_MEMORY_MB, BACKEND_CPU_NICE,
+// BACKEND_MAX_OPEN_FILES, BACKEND_MAX_PROCESSES (lues à l'appel : le module est chargé avant dotenv)
+export function getPlatformLimits(env = process.env) {
+  return {
+    memoryMb: Number(env.BACKEND_MEMORY_MB) || 512,
+    cpuNice: Number(env.BACKEND_CPU_NICE ?? 10),
+    maxOpenFiles: Number(env.BACKEND_MAX_OPEN_FILES) || 1024,
+    maxProcesses: Number(env.BACKEND_MAX_PROCESSES) || 32,
+  };
+}
+
+// Offres : champ "plan" de l'utilisateur (sans offre : limites de la plateforme)
+export const PLANS = {
+  free: { memoryMb: 256, cpuNice: 15, maxOpenFiles: 512, maxProcesses: 16 },
+  pro: { memoryMb: 1024, cpuNice: 5, maxOpenFiles: 4096, maxProcesses: 64 },
+};
+
+// Bornes des limites indiquées par projet : [minimum, maximum]
+const LIMIT_BOUNDS = {
+  memoryMb: [64, 65536],
+  cpuNice: [0, 19],
+  maxOpenFiles: [64, 65536],
+  maxProcesses: [4, 4096],
+};
+// Part de la mémoire réservée au tas Node (le reste : code, buffers, processus enfants)
+const HEAP_RATIO = 0.75;
+// Intervalle entre deux relevés de la consommation des backends (ms)
+function getSampleInterval() {
+  return Number(process.env.RESOURCE_SAMPLE_INTERVAL) || 5000;
+}
+const PAGE_SIZE = 4096;
+
+export const LIMIT_LABELS = {
+  memoryMb: 'mémoire',
+  cpuNice: 'priorité CPU',
+  maxOpenFiles: 'fichiers ouverts',
+  maxProcesses: 'processus',
+};
+
+async function findUser(userId) {
+  const { ObjectId } = await import('mongodb');
+  return getDB().collection('users').findOne({ _id: ObjectId.isValid(userId) ? new ObjectId(userId) : userId });
+}
+
+// Limites de l'offre d'un utilisateur
+export async function getPlanLimits(userId) {
+  const user = await findUser(userId).catch(() => null);
+  return { ...getPlatformLimits(), ...(PLANS[user?.plan] || {}) };
+}
+
+// Valide les limites d'un projet (objet ou JSON d'un formulaire multipart) ; null si rien n'est indiqué.
+// Un projet peut restreindre son offre, pas la dépasser.
+export function normalizeResourceLimits(value, planLimits = getPlatformLimits()) {
+  if (value === undefined || value === null || value === '') return null;
+
+  let config = value;
+  if (typeof value === 'string') {
+    try {
+      config = JSON.parse(value);
+    } catch {
+      throw new ResourceLimitError('Limites de ressources invalides : JSON attendu');
+    }
+  }
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    throw new ResourceLimitError('Limites de ressources invalides : objet attendu');
+  }
+
+  const limits = {};
+  for (const [field, [min, max]] of Object.entries(LIMIT_BOUNDS)) {
+    if (config[field] === undefined || config[field] === '' || config[field] === null) continue;
+    const number = Number(config[field]);
+    if (!Number.isInteger(number) || number < min || number > max) {
+      throw new ResourceLimitError(`Limite ${LIMIT_LABELS[field]} : entier entre ${min} et ${max} attendu`);
+    }
+    // La priorité CPU ne peut qu'être abaissée (nice plus élevé), les autres limites réduites
+    const allowed = field === 'cpuNice' ? number >= planLimits[field] : number <= planLimits[field];
+    if (!allowed) {
+      throw new ResourceLimitError(`Limite ${LIMIT_LABELS[field]} : ${number} dépasse celle de votre offre (${planLimits[field]})`);
+    }
+    limits[field] = number;
+  }
+  return Object.keys(limits).length ? limits : null;
+}
+
+// Limites effectives d'un projet
+export async function resolveProjectLimits(userId, project) {
+  const planLimits = await getPlanLimits(userId);
+  try {
+    return { ...planLimits, ...(normalizeResourceLimits(project.resourceLimits, planLimits) || {}) };
+  } catch {
+    // Offre réduite depuis : les limites de l'offre s'appliquent
+    return planLimits;
+  }
+}
+
+// Commande de démarrage appliquant les limites imposées par le système (fichiers ouverts, priorité)
+export function buildLimitedCommand(command, limits) {
+  return `ulimit -n ${limits.maxOpenFiles} && exec nice -n ${limits.cpuNice} ${command}`;
+}
+
+// Tas Node borné sous la limite mémoire : le backend échoue sur une erreur claire plutôt que d'être tué
+export function getLimitedEnv(limits) {
+  return { NODE_OPTIONS: `--max-old-space-size=${Math.floor(limits.memoryMb * HEAP_RATIO)}` };
+}
+
+// Processus du système (Linux, /proc) : [{ pid, ppid, pgrp }], null ailleurs
+async function listProcesses() {
+  let entries;
+  try {
+    entries = await fs.readdir('/proc');
+  } catch {
+    return null;
+  }
+
+  const processes = [];
+  for (const entry of entries) {
+    if (!/^\d+$/.test(entry)) continue;
+    try {
+      const stat = await fs.readFile(`/proc/${entry}/stat`, 'utf8');
+      // Le nom du processus (entre parenthèses) peut contenir des espaces
+      const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+      processes.push({ pid: Number(entry), ppid: Number(fields[1]), pgrp: Number(fields[2]) });
+    } catch {
+      // Processus terminé entre-temps
+    }
+  }
+  return processes;
+}
+
+// Consommation d'un backend (Linux, /proc) : { rssMb, processes }, null ailleurs.
+// Sont comptés les processus de son groupe et tous les descendants du chef du groupe, même
+// sortis du groupe (setsid) ; le chef du groupe (npm start, lancé par la plateforme) ne l'est pas.
+export async function sampleProcessGroup(pgid) {
+  const all = await listProcesses();
+  if (!all) return null;
+
+  const members = new Set(all.filter((proc) => proc.pgrp === pgid).map((proc) => proc.pid));
+  const children = new Map();
+  for (const proc of all) {
+    if (!children.has(proc.ppid)) children.set(proc.ppid, []);
+    children.get(proc.ppid).push(proc.pid);
+  }
+  const pending = [pgid, ...members];
+  while (pending.length) {
+    for (const child of children.get(pending.pop()) || []) {
+      if (members.has(child)) continue;
+      members.add(child);
+      pending.push(child);
+    }
+  }
+  members.delete(pgid);
+
+  let pages = 0;
+  let processes = 0;
+  for (const pid of members) {
+    try {
+      const statm = await fs.readFile(`/proc/${pid}/statm`, 'utf8');
+      pages += Number(statm.split(' ')[1]);
+      processes++;
+    } catch {
+      // Processus terminé entre-temps
+    }
+  }
+  return { rssMb: Math.round((pages * PAGE_SIZE) / (1024 * 1024)), processes };
+}
+
+// Clé de processus -> timer
+const monitors = new Map();
+
+// Relève périodiquement la consommation du backend ; onBreach({ limit, value, max }) au premier dépassement
+export function startResourceMonitor(key, { pid, limits, onBreach }) {
+  stopResourceMonitor(key);
+  const timer = setInterval(async () => {
+    const usage = await sampleProcessGroup(pid);
+    if (monitors.get(key) !== timer) return;
+    if (!usage) {
+      stopResourceMonitor(key);
+      logger.warn('RESOURCE_MONITOR_UNAVAILABLE', `/proc indisponible, limites mémoire et processus non surveillées (${key})`);
+      return;
+    }
+
+    let breach = null;
+    if (usage.rssMb > limits.memoryMb) {
+      breach = { limit: 'memoryMb', value: usage.rssMb, max: limits.memoryMb };
+    } else if (usage.processes > limits.maxProcesses) {
+      breach = { limit: 'maxProcesses', value: usage.processes, max: limits.maxProcesses };
+    }
+    if (breach) {
+      stopResourceMonitor(key);
+      onBreach(breach);
+    }
+  }, getSampleInterval());
+  timer.unref();
+  monitors.set(key, timer);
+}
+
+export function stopResourceMonitor(key) {
+  const timer = monitors.get(key);
+  if (!timer) return;
+  clearInterval(timer);
+  monitors.delete(key);
+}
+
+export function describeBreach({ limit, value, max }) {
+  const unit = limit === 'memoryMb' ? ' Mo' : '';
+  return `limite ${LIMIT_LABELS[limit]} dépassée : ${value}${unit} (maximum ${max}${unit})`;
+}
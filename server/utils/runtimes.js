@@ -0,0 +1,359 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from './logger.js';
+import { getProjectPath } from './fileSystem.js';
+import { findWrapperRoot } from './webRoot.js';
+import { getNodeBinDir } from './manifest.js';
+import { planNodeInstall } from './packageInstall.js';
+
+// Runtimes des projets dynamiques : chaque runtime reconnaît une disposition du code
+// (detect) puis décrit, pour la release, ses étapes d'installation et de build et sa
+// commande de démarrage (plan). Le runtime retenu est enregistré sur le projet :
+// { name, label, root, dir, start, venv, frontend, outputDir, env, node } (voir getRuntimeStart),
+// root étant le dossier du code d'origine dans la release, où un manifeste hostedhost.json
+// (voir manifest.js) remplace les commandes déduites.
+// Les runtimes sont essayés dans l'ordre de RUNTIMES, le premier qui reconnaît le code l'emporte.
+
+// Interpréteur utilisé pour créer l'environnement virtuel des projets Python
+// (PYTHON_BIN, lu à l'appel : le module est chargé avant dotenv)
+function getPythonBin() {
+  return process.env.PYTHON_BIN || 'python3';
+}
+const VENV_DIR = '.venv';
+// Fichiers d'entrée d'une application Node sans script "start", par ordre de préférence
+const NODE_ENTRIES = ['server.js', 'index.js', 'app.js'];
+// Modules d'une application Python (module:app pour gunicorn et uvicorn), par ordre de préférence
+const PYTHON_ENTRIES = ['app.py', 'main.py', 'wsgi.py', 'server.py'];
+const PYTHON_MONGODB_PACKAGES = ['pymongo', 'motor', 'mongoengine', 'flask-pymongo'];
+
+// Projets antérieurs à la détection : frontend et backend Node, backend lancé par npm start
+export const LEGACY_RUNTIME = {
+  name: 'node-fullstack',
+  label: 'Node.js (frontend + backend)',
+  root: '',
+  dir: 'backend',
+  start: 'npm start',
+  venv: null,
+  frontend: 'frontend',
+  outputDir: null,
+  env: {},
+  node: null,
+};
+
+async function fileExists(filePath) {
+  const stats = await fs.stat(filePath).catch(() => null);
+  return Boolean(stats && stats.isFile());
+}
+
+// Recherche récursive des dossiers frontend et backend, hors dépendances installées et
+// dossiers cachés (.git, .venv) : le package.json d'un paquet n'est pas celui du projet
+export async function findDynamicDirs(root, userId) {
+  let frontend = null, backend = null;
+  let entries;
+  try {
+    entries = await fs.readdir(root, { withFileTypes: true });
+  } catch (e) {
+    logger.error('Erreur lecture dossier dans findDirs', JSON.stringify({ root, error: e.message, userId }));
+    return { frontend, backend };
+  }
+  for (const entry of entries) {
+    const fullPath = path.join(root, entry.name);
+    if (entry.isDirectory() && !entry.name.startsWith('.') && entry.name !== 'node_modules') {
+      logger.info('Exploration dossier', JSON.stringify({ fullPath, userId }));
+      if (entry.name.toLowerCase() === 'frontend') frontend = fullPath;
+      if (entry.name.toLowerCase() === 'backend') backend = fullPath;
+      if (!frontend || !backend) {
+        const sub = await findDynamicDirs(fullPath, userId);
+        frontend = frontend || sub.frontend;
+        backend = backend || sub.backend;
+      }
+    }
+  }
+  return { frontend, backend };
+}
+
+// Lire le package.json d'un dossier frontend ou backend
+export async function readPackageJson(dir, label, userId) {
+  const packageJsonPath = path.join(dir, 'package.json');
+  try {
+    logger.info(`Lecture du package.json ${label}`, JSON.stringify({ packageJsonPath, userId }));
+    return JSON.parse(await fs.readFile(packageJsonPath, 'utf8'));
+  } catch (e) {
+    logger.error(`Erreur lecture package.json ${label}`, JSON.stringify({ error: e.message, userId }));
+    throw new Error(`package.json manquant ou invalide dans le dossier ${label}`);
+  }
+}
+
+export function detectMongoDB(backendPackage) {
+  return Boolean(
+    (backendPackage.dependencies && (backendPackage.dependencies.mongodb || backendPackage.dependencies.mongoose)) ||
+    (backendPackage.devDependencies && (backendPackage.devDependencies.mongodb || backendPackage.devDependencies.mongoose))
+  );
+}
+
+// Noms des paquets d'un requirements.txt (sans versions, options ni commentaires), en minuscules
+async function readRequirements(appDir) {
+  const content = await fs.readFile(path.join(appDir, 'requirements.txt'), 'utf8');
+  return content
+    .split('\n')
+    .map((line) => line.replace(/#.*$/, '').trim())
+    .filter((line) => line && !line.startsWith('-'))
+    .map((line) => line.split(/[\s<>=~!;[]/)[0].toLowerCase());
+}
+
+// Processus du Procfile : { web: 'gunicorn app:app', worker: '...' }
+async function readProcfile(appDir) {
+  const processes = {};
+  const content = await fs.readFile(path.join(appDir, 'Procfile'), 'utf8');
+  for (const line of content.split('\n')) {
+    const match = /^([\w-]+)\s*:\s*(.+)$/.exec(line.trim());
+    if (match) processes[match[1]] = match[2].trim();
+  }
+  return processes;
+}
+
+// Étapes d'une application Node : installation selon son lockfile (voir packageInstall.js),
+// puis script "build" avec le même gestionnaire si le projet en déclare un
+async function nodeSteps(releasePath, dir, packageJson) {
+  const install = await planNodeInstall(releasePath, dir);
+  return {
+    install: [install],
+    build: typeof packageJson.scripts?.build === 'string' ? [{ dir, command: install.manager, args: ['run', 'build'] }] : [],
+  };
+}
+
+// Environnement virtuel créé dans le dossier de l'application, dépendances installées dedans
+function pythonInstallSteps(dir) {
+  return [
+    { dir, command: getPythonBin(), args: ['-m', 'venv', VENV_DIR] },
+    { dir, command: path.posix.join(VENV_DIR, 'bin', 'pip'), args: ['install', '-r', 'requirements.txt'] },
+  ];
+}
+
+async function nodeStartCommand(appDir, packageJson) {
+  if (typeof packageJson.scripts?.start === 'string') return 'npm start';
+  const entries = packageJson.main ? [packageJson.main, ...NODE_ENTRIES] : NODE_ENTRIES;
+  for (const entry of entries) {
+    if (await fileExists(path.join(appDir, entry))) return `node ${entry}`;
+  }
+  throw new Error(`Aucune commande de démarrage : script "start" ou fichier ${NODE_ENTRIES.join(', ')} requis`);
+}
+
+// Serveur WSGI/ASGI déclaré dans requirements.txt, sinon lancement direct du script.
+// Le backend écoute sur le port interne fourni dans PORT.
+async function pythonStartCommand(appDir, requirements) {
+  for (const entry of PYTHON_ENTRIES) {
+    if (!(await fileExists(path.join(appDir, entry)))) continue;
+    const module = path.basename(entry, '.py');
+    if (requirements.includes('gunicorn')) return `gunicorn --bind 127.0.0.1:$PORT ${module}:app`;
+    if (requirements.includes('uvicorn')) return `uvicorn ${module}:app --host 127.0.0.1 --port $PORT`;
+    return `python ${entry}`;
+  }
+  throw new Error(`Aucune commande de démarrage : Procfile ou fichier ${PYTHON_ENTRIES.join(', ')} requis`);
+}
+
+// Code d'une application unique : dossier englobant unique (archives GitHub) ignoré
+async function findAppDir(root, marker) {
+  const appDir = path.join(root, await findWrapperRoot(root));
+  return (await fileExists(path.join(appDir, marker))) ? appDir : null;
+}
+
+const procfileRuntime = {
+  name: 'procfile',
+  label: 'Procfile',
+  root: 'app',
+  async detect(root) {
+    const appDir = await findAppDir(root, 'Procfile');
+    return appDir ? { app: appDir } : null;
+  },
+  // Dépendances Node et/ou Python selon les fichiers présents, démarrage par le processus "web"
+  async plan(releasePath, userId, manifest) {
+    const appDir = path.join(releasePath, 'app');
+    const web = manifest?.start || (await readProcfile(appDir)).web;
+    if (!web) {
+      throw new Error('Le Procfile doit déclarer un processus "web" (web: <commande>)');
+    }
+
+    const steps = { install: [], build: [] };
+    const metadata = { dependencies: { app: [] } };
+    let usesMongoDB = false;
+    let venv = null;
+    if (await fileExists(path.join(appDir, 'package.json'))) {
+      const packageJson = await readPackageJson(appDir, 'app', userId);
+      const node = await nodeSteps(releasePath, 'app', packageJson);
+      steps.install.push(...node.install);
+      steps.build.push(...node.build);
+      usesMongoDB = detectMongoDB(packageJson);
+      metadata.appPackage = packageJson.name;
+      metadata.dependencies.app.push(...Object.keys(packageJson.dependencies || {}));
+    }
+    if (await fileExists(path.join(appDir, 'requirements.txt'))) {
+      const requirements = await readRequirements(appDir);
+      steps.install.push(...pythonInstallSteps('app'));
+      usesMongoDB = usesMongoDB || requirements.some((name) => PYTHON_MONGODB_PACKAGES.includes(name));
+      metadata.dependencies.app.push(...requirements);
+      venv = VENV_DIR;
+    }
+    return { ...steps, start: { dir: 'app', command: web, venv, frontend: null }, usesMongoDB, metadata };
+  },
+};
+
+const nodeFullstackRuntime = {
+  name: 'node-fullstack',
+  label: LEGACY_RUNTIME.label,
+  root: '',
+  async detect(root, userId) {
+    const { frontend, backend } = await findDynamicDirs(root, userId);
+    logger.info('Résultat de la recherche', JSON.stringify({ frontendDir: frontend, backendDir: backend, userId }));
+    return frontend && backend ? { frontend, backend } : null;
+  },
+  // Le build du frontend est facultatif : un échec est signalé sans bloquer le déploiement
+  async plan(releasePath, userId) {
+    const frontendPackage = await readPackageJson(path.join(releasePath, 'frontend'), 'frontend', userId);
+    const backendPackage = await readPackageJson(path.join(releasePath, 'backend'), 'backend', userId);
+    const frontendInstall = await planNodeInstall(releasePath, 'frontend');
+    return {
+      install: [await planNodeInstall(releasePath, 'backend'), frontendInstall],
+      build: [{ dir: 'frontend', command: frontendInstall.manager, args: ['run', 'build'], optional: true }],
+      start: { dir: 'backend', command: 'npm start', venv: null, frontend: 'frontend' },
+      usesMongoDB: detectMongoDB(backendPackage),
+      metadata: {
+        frontendPackage: frontendPackage.name,
+        backendPackage: backendPackage.name,
+        dependencies: {
+          frontend: Object.keys(frontendPackage.dependencies || {}),
+          backend: Object.keys(backendPackage.dependencies || {}),
+        },
+      },
+    };
+  },
+};
+
+// Application Node unique (Express qui sert aussi ses fichiers statiques, Next.js...)
+const nodeRuntime = {
+  name: 'node',
+  label: 'Node.js',
+  root: 'app',
+  async detect(root) {
+    const appDir = await findAppDir(root, 'package.json');
+    return appDir ? { app: appDir } : null;
+  },
+  async plan(releasePath, userId, manifest) {
+    const appDir = path.join(releasePath, 'app');
+    const packageJson = await readPackageJson(appDir, 'app', userId);
+    const command = manifest?.start || (await nodeStartCommand(appDir, packageJson));
+    return {
+      ...(await nodeSteps(releasePath, 'app', packageJson)),
+      start: { dir: 'app', command, venv: null, frontend: null },
+      usesMongoDB: detectMongoDB(packageJson),
+      metadata: { appPackage: packageJson.name, dependencies: { app: Object.keys(packageJson.dependencies || {}) } },
+    };
+  },
+};
+
+const pythonRuntime = {
+  name: 'python',
+  label: 'Python',
+  root: 'app',
+  async detect(root) {
+    const appDir = await findAppDir(root, 'requirements.txt');
+    return appDir ? { app: appDir } : null;
+  },
+  async plan(releasePath, userId, manifest) {
+    const appDir = path.join(releasePath, 'app');
+    const requirements = await readRequirements(appDir);
+    const command = manifest?.start || (await pythonStartCommand(appDir, requirements));
+    return {
+      install: pythonInstallSteps('app'),
+      build: [],
+      start: { dir: 'app', command, venv: VENV_DIR, frontend: null },
+      usesMongoDB: requirements.some((name) => PYTHON_MONGODB_PACKAGES.includes(name)),
+      metadata: { dependencies: { app: requirements } },
+    };
+  },
+};
+
+export const RUNTIMES = [procfileRuntime, nodeFullstackRuntime, nodeRuntime, pythonRuntime];
+
+function getRuntime(name) {
+  const runtime = RUNTIMES.find((candidate) => candidate.name === name);
+  if (!runtime) {
+    throw new Error(`Runtime inconnu: ${name}`);
+  }
+  return runtime;
+}
+
+// Runtime du code récupéré dans root : { runtime, dirs } où dirs associe chaque dossier
+// de la release ("app", ou "frontend" et "backend") au dossier source à y déplacer
+export async function detectRuntime(root, userId) {
+  for (const runtime of RUNTIMES) {
+    const dirs = await runtime.detect(root, userId);
+    if (dirs) return { runtime, dirs };
+  }
+  throw new Error(
+    'Structure non reconnue: Procfile, dossiers "frontend" et "backend", package.json ou requirements.txt requis',
+  );
+}
+
+// Étapes de la release d'un runtime (après déplacement des dossiers) :
+// { install, build, runtime, usesMongoDB, metadata }, runtime étant l'enregistrement du projet.
+// Une étape est { dir, command, args, optional, skip } ; dir est relatif à la release.
+// manifest : manifeste validé, dont les commandes remplacent celles du runtime (lancées depuis root)
+export async function planRuntime(name, releasePath, userId, manifest = null) {
+  const runtime = getRuntime(name);
+  const plan = await runtime.plan(releasePath, userId, manifest);
+  const { root } = runtime;
+  const install = manifest?.install ? [{ dir: root, command: manifest.install, args: [] }] : plan.install;
+  const build = manifest?.build ? [{ dir: root, command: manifest.build, args: [] }] : plan.build;
+  // Une commande de démarrage du manifeste est lancée depuis son dossier
+  const dir = manifest?.start ? root : plan.start.dir;
+  return {
+    install,
+    build,
+    runtime: {
+      name: runtime.name,
+      label: runtime.label,
+      root,
+      dir,
+      start: manifest?.start || plan.start.command,
+      venv: plan.start.venv,
+      frontend: plan.start.frontend,
+      outputDir: manifest?.outputDir ? path.posix.join(root, manifest.outputDir) : null,
+      env: manifest?.env || {},
+      node: manifest?.nodeVersion || null,
+    },
+    usesMongoDB: plan.usesMongoDB,
+    metadata: plan.metadata,
+  };
+}
+
+export function getProjectRuntime(project) {
+  return project.runtime || LEGACY_RUNTIME;
+}
+
+// Variables de la plateforme pour les commandes d'un runtime lancées depuis basePath (release
+// ou projet publié) : version de Node du manifeste et environnement virtuel Python en tête du PATH
+export function getRuntimeEnv(runtime, basePath) {
+  const env = {};
+  const binDirs = [];
+  if (runtime.venv) {
+    const venvPath = path.join(basePath, runtime.dir, runtime.venv);
+    env.VIRTUAL_ENV = venvPath;
+    env.PYTHONUNBUFFERED = '1';
+    binDirs.push(path.join(venvPath, 'bin'));
+  }
+  if (runtime.node) {
+    binDirs.push(getNodeBinDir(runtime.node));
+  }
+  if (binDirs.length) {
+    env.PATH = [...binDirs, process.env.PATH || ''].join(path.delimiter);
+  }
+  return env;
+}
+
+// Démarrage du backend publié : { cwd, command, env }
+export function getRuntimeStart(project) {
+  const runtime = getProjectRuntime(project);
+  const projectPath = getProjectPath('dynamic', project.name);
+  return { cwd: path.join(projectPath, runtime.dir), command: runtime.start, env: getRuntimeEnv(runtime, projectPath) };
+}
@@ -0,0 +1,129 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { detectRuntime, findDynamicDirs, planRuntime } from './runtimes.js';
+
+// Projets de test écrits dans un dossier temporaire : { 'chemin/relatif': contenu }
+let workDir;
+
+before(async () => {
+  workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'runtimes-test-'));
+});
+
+after(async () => {
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+let projectCount = 0;
+
+async function makeProject(files) {
+  const root = path.join(workDir, `projet-${++projectCount}`);
+  for (const [file, content] of Object.entries(files)) {
+    await fs.mkdir(path.dirname(path.join(root, file)), { recursive: true });
+    await fs.writeFile(path.join(root, file), typeof content === 'string' ? content : JSON.stringify(content));
+  }
+  return root;
+}
+
+async function detectedName(files) {
+  const { runtime } = await detectRuntime(await makeProject(files), 'u-test');
+  return runtime.name;
+}
+
+test('les runtimes sont essayés dans l\'ordre : Procfile, frontend + backend, Node, Python', async () => {
+  const fullstack = { 'frontend/package.json': {}, 'backend/package.json': {} };
+
+  assert.equal(await detectedName({ ...fullstack, Procfile: 'web: npm start', 'package.json': {} }), 'procfile');
+  assert.equal(await detectedName({ ...fullstack, 'package.json': {}, 'requirements.txt': '' }), 'node-fullstack');
+  assert.equal(await detectedName({ 'package.json': {}, 'requirements.txt': '' }), 'node');
+  assert.equal(await detectedName({ 'requirements.txt': 'flask' }), 'python');
+  await assert.rejects(detectRuntime(await makeProject({ 'README.md': '' }), 'u-test'), /Structure non reconnue/);
+});
+
+test('le dossier englobant unique (archive GitHub) est ignoré', async () => {
+  const root = await makeProject({ 'api-main/requirements.txt': 'flask', 'api-main/app.py': '' });
+  const { runtime, dirs } = await detectRuntime(root, 'u-test');
+
+  assert.equal(runtime.name, 'python');
+  assert.equal(dirs.app, path.join(root, 'api-main'));
+});
+
+test('les dépendances installées et les dossiers cachés ne sont pas explorés', async () => {
+  const root = await makeProject({
+    'node_modules/kit/frontend/package.json': {},
+    'node_modules/kit/backend/package.json': {},
+    '.cache/backend/package.json': {},
+    'client/frontend/package.json': {},
+  });
+
+  assert.deepEqual(await findDynamicDirs(root, 'u-test'), { frontend: path.join(root, 'client/frontend'), backend: null });
+  assert.equal(await detectedName({ 'package.json': {}, 'node_modules/frontend/package.json': {}, 'node_modules/backend/package.json': {} }), 'node');
+});
+
+test('plan d\'une application Node : lockfile, build et démarrage déduits', async () => {
+  const release = await makeProject({
+    'app/package.json': { name: 'api', main: 'src/main.js', scripts: { build: 'tsc' }, dependencies: { mongoose: '8' } },
+    'app/src/main.js': '',
+    'app/pnpm-lock.yaml': '',
+  });
+  const plan = await planRuntime('node', release, 'u-test');
+
+  assert.deepEqual(plan.install.map(({ dir, command, lockfile }) => ({ dir, command, lockfile })), [
+    { dir: 'app', command: 'pnpm', lockfile: 'pnpm-lock.yaml' },
+  ]);
+  assert.deepEqual(plan.build, [{ dir: 'app', command: 'pnpm', args: ['run', 'build'] }]);
+  assert.equal(plan.runtime.start, 'node src/main.js');
+  assert.equal(plan.runtime.dir, 'app');
+  assert.equal(plan.usesMongoDB, true);
+});
+
+test('plan d\'une application Python : environnement virtuel et serveur WSGI', async () => {
+  const release = await makeProject({ 'app/requirements.txt': 'Flask==3.0\ngunicorn>=21 # serveur\npymongo', 'app/main.py': '' });
+  const plan = await planRuntime('python', release, 'u-test');
+
+  assert.deepEqual(plan.install.map(({ args }) => args), [['-m', 'venv', '.venv'], ['install', '-r', 'requirements.txt']]);
+  assert.equal(plan.runtime.start, 'gunicorn --bind 127.0.0.1:$PORT main:app');
+  assert.equal(plan.runtime.venv, '.venv');
+  assert.equal(plan.usesMongoDB, true);
+  assert.deepEqual(plan.metadata.dependencies.app, ['flask', 'gunicorn', 'pymongo']);
+});
+
+test('un Procfile sans processus web est refusé', async () => {
+  const release = await makeProject({ 'app/Procfile': 'worker: node worker.js' });
+  await assert.rejects(planRuntime('procfile', release, 'u-test'), /processus "web"/);
+  await assert.rejects(planRuntime('inconnu', release, 'u-test'), /Runtime inconnu: inconnu/);
+});
+
+test('les commandes du manifeste remplacent celles du runtime et sont lancées depuis sa racine', async () => {
+  const release = await makeProject({
+    'frontend/package.json': { scripts: { build: 'vite build' } },
+    'backend/package.json': { scripts: { start: 'node index.js' } },
+  });
+  const manifest = {
+    install: 'make deps',
+    build: null,
+    start: 'node backend/index.js',
+    outputDir: 'frontend/dist',
+    env: { LOG_LEVEL: 'info' },
+    nodeVersion: 'v18.19.1',
+  };
+  const plan = await planRuntime('node-fullstack', release, 'u-test', manifest);
+
+  assert.deepEqual(plan.install, [{ dir: '', command: 'make deps', args: [] }]);
+  // Sans build dans le manifeste, celui du runtime est conservé
+  assert.deepEqual(plan.build.map(({ dir, optional }) => ({ dir, optional })), [{ dir: 'frontend', optional: true }]);
+  assert.equal(plan.runtime.start, 'node backend/index.js');
+  assert.equal(plan.runtime.dir, '');
+  assert.equal(plan.runtime.frontend, 'frontend');
+  assert.equal(plan.runtime.outputDir, 'frontend/dist');
+  assert.deepEqual(plan.runtime.env, { LOG_LEVEL: 'info' });
+  assert.equal(plan.runtime.node, 'v18.19.1');
+
+  const python = await makeProject({ 'app/requirements.txt': 'fastapi' });
+  const pythonPlan = await planRuntime('python', python, 'u-test', { start: 'uvicorn api:app', outputDir: 'static' });
+  assert.equal(pythonPlan.runtime.start, 'uvicorn api:app');
+  assert.equal(pythonPlan.runtime.dir, 'app');
+  assert.equal(pythonPlan.runtime.outputDir, 'app/static');
+});
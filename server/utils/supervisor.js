@@ -0,0 +1,282 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { getDB } from '../config/database.js';
+import { logger } from './logger.js';
+import { ensureProjectHomeDir, getProjectPath } from './fileSystem.js';
+import {
+  getBackendPid,
+  getProcessKey,
+  isBackendRunning,
+  killBackendServer,
+  processEvents,
+  startBackendServer,
+  stopBackendServer,
+} from './processManager.js';
+import { DEFAULT_API_PREFIX, findFrontendBuildDir, startFrontendServer, stopFrontendServer } from './frontendServer.js';
+import { DEFAULT_HEALTH_CHECK, recordStartupHealth, startHealthMonitor, stopHealthMonitor } from './healthCheck.js';
+import { describeBreach, resolveProjectLimits, startResourceMonitor, stopResourceMonitor } from './resourceLimits.js';
+import { loadProjectEnv } from './projectEnv.js';
+import { getProjectDatabaseEnv } from './projectDatabase.js';
+import { getProjectRuntime, getRuntimeStart } from './runtimes.js';
+
+// Superviseur des projets dynamiques : il connaît l'état voulu de chaque projet
+// (démarré ou non), redémarre un backend qui s'arrête sans qu'on le lui demande,
+// avec un délai croissant, et abandonne (statut "crashed") quand il plante en boucle.
+// Un backend qui dépasse ses limites de ressources est tué et traité comme un plantage.
+// Au démarrage de la plateforme, les projets actifs sont relancés.
+
+// Options lues à l'appel (le module est chargé avant dotenv) : SUPERVISOR_MAX_CRASHES,
+// SUPERVISOR_CRASH_WINDOW, SUPERVISOR_INITIAL_DELAY, SUPERVISOR_MAX_DELAY
+export function getSupervisorOptions(env = process.env) {
+  return {
+    // Nombre de plantages dans la fenêtre au-delà duquel le projet est marqué "crashed"
+    maxCrashes: Number(env.SUPERVISOR_MAX_CRASHES) || 5,
+    // Fenêtre d'observation des plantages (ms)
+    crashWindow: Number(env.SUPERVISOR_CRASH_WINDOW) || 5 * 60 * 1000,
+    // Délai avant le premier redémarrage, doublé à chaque plantage (ms)
+    initialDelay: Number(env.SUPERVISOR_INITIAL_DELAY) || 1000,
+    maxDelay: Number(env.SUPERVISOR_MAX_DELAY) || 60 * 1000,
+  };
+}
+
+// Statuts d'un projet dynamique tenus par le superviseur
+const RUNNING_STATUSES = ['active', 'restarting'];
+
+// Clé de processus -> { project, crashes: [dates], timer, starting, breach }
+const supervised = new Map();
+
+async function setProjectStatus(entry, updates) {
+  const { userId, name } = entry.project;
+  try {
+    await getDB().collection('projects').updateOne({ userId, type: 'dynamic', name }, { $set: { ...updates, updatedAt: new Date() } });
+  } catch (error) {
+    logger.error('SUPERVISOR_STATUS_UPDATE_FAILED', `Project: ${name}, ${error.message}`, userId);
+  }
+}
+
+// Les projets antérieurs n'ont pas de port interne : leur backend écoute sur le port public
+function getBackendPort(project) {
+  return project.backendPort || project.port;
+}
+
+function stopMonitors(key) {
+  stopHealthMonitor(key);
+  stopResourceMonitor(key);
+}
+
+// Dépassement relevé par le moniteur de ressources : le backend est tué, son arrêt
+// est ensuite traité comme un plantage (redémarrage avec délai croissant)
+async function handleLimitBreach(key, breach) {
+  const entry = supervised.get(key);
+  if (!entry) return;
+  const { project } = entry;
+  entry.breach = breach;
+  logger.error('RESOURCE_LIMIT_EXCEEDED', `Project: ${project.name}, ${describeBreach(breach)}`, project.userId);
+  await setProjectStatus(entry, { lastLimitBreach: { ...breach, at: new Date() } });
+  killBackendServer(project.userId, project.name);
+}
+
+// Lance le backend avec ses variables d'exécution (valeurs par défaut du manifeste, puis MONGODB_URI
+// de sa base provisionnée, puis variables du projet) et ses limites de ressources (démarrage validé
+// par son health check) puis surveille sa santé et sa consommation. Renvoie { health, limits }.
+async function launchBackend(key, project, onOutput) {
+  const { userId, name } = project;
+  const healthCheck = project.healthCheck || DEFAULT_HEALTH_CHECK;
+  const limits = await resolveProjectLimits(userId, project);
+  const { runtime } = await loadProjectEnv(userId, name);
+  const databaseEnv = await getProjectDatabaseEnv(userId, name);
+  // HOME du projet (comme pour ses installations et builds), pas celui de la plateforme
+  const start = getRuntimeStart(project);
+  start.env = { ...start.env, HOME: await ensureProjectHomeDir('dynamic', name) };
+  stopMonitors(key);
+  const health = await startBackendServer(
+    start,
+    name,
+    getBackendPort(project),
+    userId,
+    onOutput,
+    healthCheck,
+    limits,
+    { ...getProjectRuntime(project).env, ...databaseEnv, ...runtime },
+  );
+  await recordStartupHealth(userId, name, health);
+  await getDB()
+    .collection('projects')
+    .updateOne({ userId, type: 'dynamic', name }, { $set: { limits } })
+    .catch((error) => logger.error('SUPERVISOR_STATUS_UPDATE_FAILED', `Project: ${name}, ${error.message}`, userId));
+  startHealthMonitor(key, { userId, projectName: name, port: getBackendPort(project), check: healthCheck });
+  startResourceMonitor(key, {
+    pid: getBackendPid(userId, name),
+    limits,
+    onBreach: (breach) => handleLimitBreach(key, breach),
+  });
+  return { health, limits };
+}
+
+// Build servi par le serveur public : dossier "outputDir" du manifeste (relatif à la release),
+// sinon dist/ ou build/ dans le frontend du runtime. { buildDir: null, buildPath: null } sans build.
+async function findServedBuild(project) {
+  const { frontend, outputDir } = getProjectRuntime(project);
+  const projectPath = getProjectPath('dynamic', project.name);
+  if (outputDir) {
+    const buildPath = path.join(projectPath, outputDir);
+    const stats = await fs.stat(path.join(buildPath, 'index.html')).catch(() => null);
+    return stats && stats.isFile() ? { buildDir: outputDir, buildPath } : { buildDir: null, buildPath: null };
+  }
+  if (!frontend) return { buildDir: null, buildPath: null };
+  const frontendDir = path.join(projectPath, frontend);
+  const buildDir = await findFrontendBuildDir(frontendDir);
+  return { buildDir, buildPath: buildDir ? path.join(frontendDir, buildDir) : null };
+}
+
+// Lance les processus d'un projet publié : le backend sur son port interne, puis le serveur
+// public (build du frontend + proxy du préfixe API vers le backend) sur le port du projet.
+// Un runtime sans frontend séparé (application unique) reçoit toutes les requêtes du port public.
+// Renvoie le dossier du build servi (null si aucun), le health check du démarrage et les limites appliquées.
+async function launchProject(key, project, onOutput) {
+  const { userId, name } = project;
+  if (!project.backendPort) {
+    await stopFrontendServer(userId, name);
+    return { frontendBuildDir: null, ...(await launchBackend(key, project, onOutput)) };
+  }
+
+  const backend = await launchBackend(key, project, onOutput);
+  const { buildDir, buildPath } = await findServedBuild(project);
+  await startFrontendServer(userId, name, {
+    port: project.port,
+    backendPort: project.backendPort,
+    buildPath,
+    apiPrefix: project.apiPrefix || DEFAULT_API_PREFIX,
+    runtimeConfig: Boolean(project.runtimeConfig),
+  });
+  return { frontendBuildDir: buildDir, ...backend };
+}
+
+// Démarre (ou redémarre) un projet et le place sous supervision une fois démarré.
+// project : { userId, name, port, backendPort, apiPrefix, healthCheck, resourceLimits, runtimeConfig, runtime }
+export async function startSupervisedProject(project, onOutput) {
+  const key = getProcessKey(project.userId, project.name);
+  const previous = supervised.get(key);
+  if (previous) clearTimeout(previous.timer);
+
+  const { userId, name, port, backendPort, apiPrefix, healthCheck, resourceLimits, runtimeConfig, runtime } = project;
+  const entry = {
+    project: { userId, name, port, backendPort, apiPrefix, healthCheck, resourceLimits, runtimeConfig, runtime },
+    crashes: [],
+    timer: null,
+    starting: true,
+    breach: null,
+  };
+  supervised.set(key, entry);
+  try {
+    return await launchProject(key, entry.project, onOutput);
+  } catch (error) {
+    if (supervised.get(key) === entry) supervised.delete(key);
+    stopMonitors(key);
+    throw error;
+  } finally {
+    entry.starting = false;
+  }
+}
+
+// Arrêt voulu : le projet n'est plus redémarré
+export async function stopSupervisedProject(userId, projectName) {
+  const key = getProcessKey(userId, projectName);
+  const entry = supervised.get(key);
+  if (entry) {
+    clearTimeout(entry.timer);
+    supervised.delete(key);
+  }
+  stopMonitors(key);
+  await stopBackendServer(userId, projectName);
+  await stopFrontendServer(userId, projectName);
+}
+
+export function isProjectSupervised(userId, projectName) {
+  return supervised.has(getProcessKey(userId, projectName));
+}
+
+async function restartBackend(entry) {
+  const { project } = entry;
+  const key = getProcessKey(project.userId, project.name);
+  entry.timer = null;
+  entry.starting = true;
+  try {
+    await launchBackend(key, project);
+    entry.starting = false;
+    // Le projet a pu être arrêté ou redéployé pendant le redémarrage
+    if (supervised.get(key) !== entry || !isBackendRunning(project.userId, project.name)) return;
+    await setProjectStatus(entry, { status: 'active' });
+    logger.userAction(project.userId, 'BACKEND_RESTARTED', `Project: ${project.name}, Crashes: ${entry.crashes.length}`);
+  } catch (error) {
+    entry.starting = false;
+    if (supervised.get(key) !== entry) return;
+    // Arrêté ou sans réponse au health check pendant son démarrage : compté comme un plantage
+    logger.error('BACKEND_RESTART_FAILED', `Project: ${project.name}, ${error.message}`, project.userId);
+    await handleCrash(entry, { code: null, signal: null, error: error.message });
+  }
+}
+
+async function handleCrash(entry, exit) {
+  const { project } = entry;
+  const options = getSupervisorOptions();
+  const now = Date.now();
+  entry.crashes = entry.crashes.filter((date) => now - date < options.crashWindow);
+  entry.crashes.push(now);
+  const lastExit = { code: exit.code, signal: exit.signal, error: exit.error, at: new Date(now) };
+  stopMonitors(getProcessKey(project.userId, project.name));
+
+  if (entry.crashes.length >= options.maxCrashes) {
+    // Plantage en boucle : arrêt de la supervision jusqu'à un redémarrage manuel ou un redéploiement
+    supervised.delete(getProcessKey(project.userId, project.name));
+    await stopFrontendServer(project.userId, project.name);
+    await setProjectStatus(entry, { status: 'crashed', lastExit, crashedAt: new Date(now) });
+    logger.error(
+      'BACKEND_CRASH_LOOP',
+      `Project: ${project.name}, ${entry.crashes.length} plantages en ${Math.round(options.crashWindow / 1000)}s`,
+      project.userId,
+    );
+    return;
+  }
+
+  const delay = Math.min(options.initialDelay * 2 ** (entry.crashes.length - 1), options.maxDelay);
+  await setProjectStatus(entry, { status: 'restarting', lastExit });
+  logger.warn(
+    'BACKEND_CRASHED',
+    `Project: ${project.name}, Code: ${exit.code}, Signal: ${exit.signal}${exit.error ? ` (${exit.error})` : ''}, redémarrage dans ${delay}ms`,
+    project.userId,
+  );
+  entry.timer = setTimeout(() => restartBackend(entry), delay);
+}
+
+processEvents.on('exit', ({ userId, projectName, code, signal, expected }) => {
+  const entry = supervised.get(getProcessKey(userId, projectName));
+  // Arrêt demandé, redémarrage déjà programmé, ou lancement en cours (son échec est traité par le lanceur)
+  if (!entry || expected || entry.timer || entry.starting) return;
+  // Tué pour un dépassement de limite : la cause est conservée dans le dernier arrêt
+  const error = entry.breach ? describeBreach(entry.breach) : undefined;
+  entry.breach = null;
+  handleCrash(entry, { code, signal, error });
+});
+
+// Relance, au démarrage de la plateforme, les projets dynamiques qui tournaient
+export async function restoreSupervisedProjects() {
+  const db = getDB();
+  const projects = await db.collection('projects').find({ type: 'dynamic', status: { $in: RUNNING_STATUSES } }).toArray();
+
+  for (const project of projects) {
+    try {
+      await startSupervisedProject(project);
+      await db.collection('projects').updateOne({ _id: project._id }, { $set: { status: 'active' } });
+      logger.userAction(project.userId, 'PROJECT_RESTORED', `Project: ${project.name}`);
+    } catch (error) {
+      await stopSupervisedProject(project.userId, project.name);
+      await db.collection('projects').updateOne(
+        { _id: project._id },
+        { $set: { status: 'crashed', lastExit: { error: error.message, at: new Date() } } },
+      );
+      logger.error('PROJECT_RESTORE_FAILED', `Project: ${project.name}, ${error.message}`, project.userId);
+    }
+  }
+  logger.info(`Projets dynamiques relancés : ${projects.length}`);
+}
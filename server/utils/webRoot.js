@@ -0,0 +1,145 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { getDB } from '../config/database.js';
+import { getProjectPath } from './fileSystem.js';
+import { logger } from './logger.js';
+
+// Racine web demandée par l'utilisateur refusée (HTTP 400)
+export class WebRootError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WebRootError';
+    this.status = 400;
+  }
+}
+
+// Dossiers de sortie usuels des outils de build, par ordre de préférence
+const BUILD_OUTPUT_DIRS = ['dist', 'build', 'public'];
+// Entrées ajoutées par les systèmes d'exploitation, sans rapport avec le site
+const IGNORED_ENTRIES = new Set(['__MACOSX', '.DS_Store', 'Thumbs.db']);
+// Profondeur maximale de recherche du index.html le plus proche
+const MAX_SEARCH_DEPTH = 5;
+
+async function readEntries(dirPath) {
+  const entries = await fs.readdir(dirPath, { withFileTypes: true }).catch(() => []);
+  return entries.filter((entry) => !IGNORED_ENTRIES.has(entry.name));
+}
+
+async function hasIndexHtml(dirPath) {
+  const stats = await fs.stat(path.join(dirPath, 'index.html')).catch(() => null);
+  return Boolean(stats && stats.isFile());
+}
+
+// Parcours en largeur : le index.html le moins profond l'emporte
+async function findNearestIndexHtml(rootPath) {
+  let level = [''];
+  for (let depth = 0; depth <= MAX_SEARCH_DEPTH && level.length > 0; depth++) {
+    const next = [];
+    for (const relative of level.sort()) {
+      const dirPath = path.join(rootPath, relative);
+      if (await hasIndexHtml(dirPath)) return relative;
+
+      for (const entry of await readEntries(dirPath)) {
+        if (entry.isDirectory() && !entry.name.startsWith('.') && entry.name !== 'node_modules') {
+          next.push(path.posix.join(relative, entry.name));
+        }
+      }
+    }
+    level = next;
+  }
+  return null;
+}
+
+// Descend dans les dossiers englobants uniques (archives GitHub "projet-main/") :
+// chemin relatif du vrai dossier du projet, '' s'il n'y en a pas
+export async function findWrapperRoot(sitePath) {
+  let root = '';
+  for (;;) {
+    const entries = await readEntries(path.join(sitePath, root));
+    if (entries.length !== 1 || !entries[0].isDirectory()) break;
+    root = path.posix.join(root, entries[0].name);
+  }
+  return root;
+}
+
+// Détermine le dossier à servir dans un site statique extrait (chemin relatif, '' pour la racine) :
+// dossier englobant unique (archives GitHub), puis dist/, build/ ou public/, puis index.html le plus proche
+export async function detectWebRoot(sitePath) {
+  const root = await findWrapperRoot(sitePath);
+
+  const rootPath = path.join(sitePath, root);
+  if (await hasIndexHtml(rootPath)) return root;
+
+  for (const dir of BUILD_OUTPUT_DIRS) {
+    if (await hasIndexHtml(path.join(rootPath, dir))) return path.posix.join(root, dir);
+  }
+
+  const nearest = await findNearestIndexHtml(rootPath);
+  return nearest === null ? root : path.posix.join(root, nearest);
+}
+
+// Valide et normalise la racine web saisie dans le formulaire (null si non renseignée)
+export function normalizeWebRoot(value) {
+  let webRoot = typeof value === 'string' ? value.trim().replace(/\\/g, '/') : '';
+  if (!webRoot) return null;
+
+  webRoot = path.posix.normalize(webRoot).replace(/\/$/, '');
+  if (path.posix.isAbsolute(webRoot) || webRoot === '..' || webRoot.startsWith('../') || webRoot.includes('\0')) {
+    throw new WebRootError(`Racine web invalide: ${value}`);
+  }
+  return webRoot === '.' ? '' : webRoot;
+}
+
+// --- Service des sites statiques sous /hosted ---
+
+// Racine web des projets statiques publiés, par nom de projet
+const webRoots = new Map();
+
+// Appelé à chaque publication (déploiement, mise à jour, restauration)
+export function setStaticWebRoot(projectName, webRoot) {
+  if (webRoot === undefined) {
+    // Racine inconnue (projet antérieur à la détection) : recalculée à la prochaine requête
+    webRoots.delete(projectName);
+  } else {
+    webRoots.set(projectName, webRoot);
+  }
+}
+
+async function getStaticWebRoot(projectName) {
+  if (webRoots.has(projectName)) return webRoots.get(projectName);
+
+  const db = getDB();
+  const project = await db.collection('projects').findOne({ type: 'static', name: projectName });
+  let webRoot = project?.webRoot;
+
+  // Projets publiés avant la détection : la racine est calculée une fois puis enregistrée
+  if (project && webRoot === undefined) {
+    webRoot = await detectWebRoot(getProjectPath('static', projectName));
+    await db.collection('projects').updateOne({ _id: project._id }, { $set: { webRoot } });
+    logger.info(`Racine web détectée pour ${projectName}: ${webRoot || '/'}`);
+  }
+
+  webRoots.set(projectName, webRoot || '');
+  return webRoot || '';
+}
+
+// Middleware placé devant express.static : /static/<projet>/<chemin> est servi
+// depuis /static/<projet>/<racine web>/<chemin>
+export async function mapStaticWebRoot(req, res, next) {
+  const match = /^\/static\/([^/]+)(\/.*)?$/.exec(req.path);
+  if (!match) return next();
+
+  try {
+    const projectName = decodeURIComponent(match[1]);
+    const webRoot = await getStaticWebRoot(projectName);
+    if (webRoot) {
+      const query = req.url.slice(req.path.length);
+      const encodedRoot = webRoot.split('/').map(encodeURIComponent).join('/');
+      req.url = `/static/${match[1]}/${encodedRoot}${match[2] || ''}${query}`;
+    }
+    next();
+  } catch (error) {
+    logger.error('WEB_ROOT_LOOKUP_FAILED', error.message);
+    next();
+  }
+}
@@ -0,0 +1,79 @@
+import { useState, useEffect, useRef } from 'react';
+import { Terminal, X } from 'lucide-react';
+import { useProjects, JobLogEntry } from '../contexts/ProjectContext';
+import { jobPhaseLabels } from '../utils/jobPhases';
+
+interface DeploymentConsoleProps {
+  jobId: string;
+  running: boolean;
+  onClose: () => void;
+}
+
+const streamColors: Record<JobLogEntry['stream'], string> = {
+  stdout: 'text-gray-100',
+  stderr: 'text-amber-300',
+  system: 'text-blue-300',
+};
+
+const DeploymentConsole = ({ jobId, running, onClose }: DeploymentConsoleProps) => {
+  const { streamJobLogs } = useProjects();
+  const [entries, setEntries] = useState<JobLogEntry[]>([]);
+  const [error, setError] = useState<string | null>(null);
+  const outputRef = useRef<HTMLDivElement>(null);
+
+  // Le serveur rejoue tout l'historique du job : rouvrir la console repart de zéro
+  useEffect(() => {
+    const controller = new AbortController();
+    setEntries([]);
+    setError(null);
+
+    streamJobLogs(jobId, (entry) => setEntries((prev) => [...prev, entry]), controller.signal)
+      .catch((err) => {
+        if (!controller.signal.aborted) {
+          setError(err instanceof Error ? err.message : 'Connexion aux logs perdue');
+        }
+      });
+
+    return () => controller.abort();
+  }, [jobId, streamJobLogs]);
+
+  useEffect(() => {
+    // Suivre la fin de la sortie, comme un terminal
+    if (outputRef.current) {
+      outputRef.current.scrollTop = outputRef.current.scrollHeight;
+    }
+  }, [entries]);
+
+  return (
+    <div className="rounded-lg overflow-hidden border border-gray-800">
+      <div className="flex items-center justify-between px-4 py-2 bg-gray-800 text-gray-300 text-xs">
+        <div className="flex items-center space-x-2">
+          <Terminal className="w-4 h-4" />
+          <span>Console de déploiement</span>
+          {running && <span className="w-2 h-2 rounded-full bg-green-400 animate-pulse"></span>}
+        </div>
+        <button onClick={onClose} className="hover:text-white" title="Fermer la console">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+      <div ref={outputRef} className="bg-gray-900 font-mono text-xs leading-5 p-4 h-72 overflow-y-auto">
+        {entries.map((entry, index) => (
+          <div key={entry.id}>
+            {entry.phase && entry.phase !== entries[index - 1]?.phase && (
+              <div className="text-green-400 font-semibold mt-2 first:mt-0">
+                ── {jobPhaseLabels[entry.phase] || entry.phase} ──
+              </div>
+            )}
+            <div className={`whitespace-pre-wrap break-all ${streamColors[entry.stream]}`}>{entry.line}</div>
+          </div>
+        ))}
+        {entries.length === 0 && !error && (
+          <div className="text-gray-500">En attente de la sortie...</div>
+        )}
+        {error && <div className="text-red-400">{error}</div>}
+      </div>
+    </div>
+  );
+};
+
+export default DeploymentConsole;
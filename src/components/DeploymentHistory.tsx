@@ -0,0 +1,160 @@
+import { useState, useEffect, useCallback } from 'react';
+import { CheckCircle, AlertTriangle, RotateCcw, FileArchive, GitBranch } from 'lucide-react';
+import { useProjects, Deployment } from '../contexts/ProjectContext';
+import toast from 'react-hot-toast';
+
+interface DeploymentHistoryProps {
+  projectId: string;
+  currentDeploymentId?: string;
+}
+
+const actionLabels: Record<Deployment['action'], string> = {
+  deploy: 'Déploiement initial',
+  update: 'Mise à jour',
+  rollback: 'Restauration',
+  rebuild: 'Rebuild (variables de build)',
+};
+
+const DeploymentHistory = ({ projectId, currentDeploymentId }: DeploymentHistoryProps) => {
+  const { fetchDeployments, rollbackProject } = useProjects();
+  const [deployments, setDeployments] = useState<Deployment[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [rollingBack, setRollingBack] = useState<string | null>(null);
+
+  const loadDeployments = useCallback(async () => {
+    try {
+      setDeployments(await fetchDeployments(projectId));
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Erreur lors du chargement de l\'historique');
+    } finally {
+      setLoading(false);
+    }
+  }, [fetchDeployments, projectId]);
+
+  // Recharger quand la release en ligne change (mise à jour ou restauration)
+  useEffect(() => {
+    loadDeployments();
+  }, [loadDeployments, currentDeploymentId]);
+
+  const handleRollback = async (deployment: Deployment) => {
+    if (!window.confirm(`Restaurer la version du ${formatDate(deployment.createdAt)} ?`)) {
+      return;
+    }
+
+    setRollingBack(deployment.id);
+    try {
+      toast.success(await rollbackProject(projectId, deployment.id));
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Erreur lors de la restauration');
+    } finally {
+      setRollingBack(null);
+    }
+  };
+
+  const formatDate = (dateString: string) => {
+    return new Date(dateString).toLocaleDateString('fr-FR', {
+      day: 'numeric',
+      month: 'short',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-4">
+        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  if (deployments.length === 0) {
+    return <p className="text-sm text-gray-500 py-2">Aucun déploiement enregistré pour ce projet</p>;
+  }
+
+  return (
+    <ol className="relative border-l border-gray-200 ml-2 space-y-4 py-2">
+      {deployments.map((deployment) => {
+        const isCurrent = deployment.id === currentDeploymentId;
+        const canRollback = !isCurrent && deployment.status === 'success' && deployment.action !== 'rollback';
+
+        return (
+          <li key={deployment.id} className="ml-4">
+            <span className="absolute -left-2 flex items-center justify-center w-4 h-4 rounded-full bg-white">
+              {deployment.status === 'success' ? (
+                deployment.action === 'rollback'
+                  ? <RotateCcw className="w-4 h-4 text-amber-500" />
+                  : <CheckCircle className={`w-4 h-4 ${isCurrent ? 'text-green-500' : 'text-gray-400'}`} />
+              ) : (
+                <AlertTriangle className="w-4 h-4 text-red-500" />
+              )}
+            </span>
+            <div className="flex items-start justify-between">
+              <div className="min-w-0">
+                <p className="text-sm font-medium text-gray-900">
+                  {actionLabels[deployment.action] || deployment.action}
+                  {isCurrent && (
+                    <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-green-100 text-green-800 border border-green-200">
+                      En ligne
+                    </span>
+                  )}
+                </p>
+                <p className="text-xs text-gray-500">{formatDate(deployment.createdAt)}</p>
+                {deployment.archive && (
+                  <p className="text-xs text-gray-500 flex items-center mt-1">
+                    <FileArchive className="w-3 h-3 mr-1" />
+                    <span className="truncate">{deployment.archive.name}</span>
+                    <code className="ml-2 text-gray-400" title={deployment.archive.hash}>
+                      {deployment.archive.hash?.slice(0, 8)}
+                    </code>
+                  </p>
+                )}
+                {deployment.git && (
+                  <p className="text-xs text-gray-500 flex items-center mt-1" title={deployment.git.commitMessage}>
+                    <GitBranch className="w-3 h-3 mr-1" />
+                    <span className="truncate">
+                      {deployment.git.repoUrl}{deployment.git.ref ? `@${deployment.git.ref}` : ''}
+                    </span>
+                    {deployment.git.commitSha && (
+                      <code className="ml-2 text-gray-400">{deployment.git.commitSha.slice(0, 8)}</code>
+                    )}
+                  </p>
+                )}
+                {deployment.error && (
+                  <p className="text-xs text-red-600 mt-1">{deployment.error}</p>
+                )}
+                {deployment.output && deployment.output.length > 0 && (
+                  <details className="mt-1">
+                    <summary className="text-xs text-gray-500 cursor-pointer hover:text-gray-700">
+                      Sortie de la commande ({deployment.output.length} lignes)
+                    </summary>
+                    <pre className="mt-1 max-h-48 overflow-auto bg-gray-900 text-gray-100 text-xs rounded p-2 whitespace-pre-wrap break-all">
+                      {deployment.output.join('\n')}
+                    </pre>
+                  </details>
+                )}
+              </div>
+              {canRollback && (
+                <button
+                  onClick={() => handleRollback(deployment)}
+                  disabled={rollingBack !== null}
+                  className="flex items-center space-x-1 text-xs font-medium text-blue-600 hover:text-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {rollingBack === deployment.id ? (
+                    <div className="w-3 h-3 border-2 border-blue-600 border-t-transparent rounded-full animate-spin"></div>
+                  ) : (
+                    <RotateCcw className="w-3 h-3" />
+                  )}
+                  <span>Restaurer</span>
+                </button>
+              )}
+            </div>
+          </li>
+        );
+      })}
+    </ol>
+  );
+};
+
+export default DeploymentHistory;
@@ -9,25 +9,62 @@ import {
   Info,
   Database,
   Folder,
-  Code
+  Code,
+  GitBranch,
+  Clock,
+  XCircle
 } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
-import { useProjects } from '../contexts/ProjectContext';
+import { useProjects, DeployJob } from '../contexts/ProjectContext';
+import DeploymentProgress from './DeploymentProgress';
+import { detectArchiveFormat, ARCHIVE_ACCEPT, ARCHIVE_FORMATS_LABEL } from '../utils/archive';
 import toast from 'react-hot-toast';
 
 const DeploymentPanel = () => {
   const [deploymentType, setDeploymentType] = useState<'static' | 'dynamic'>('static');
+  const [sourceKind, setSourceKind] = useState<'archive' | 'git'>('archive');
   const [formData, setFormData] = useState({
     projectName: '',
     description: '',
+    webRoot: '',
+    apiPrefix: '',
+  });
+  // Champs vides : valeurs par défaut du serveur
+  const [healthCheck, setHealthCheck] = useState({
+    type: '',
+    path: '',
+    expectedStatus: '',
+    interval: '',
+    timeout: '',
+    retries: '',
+  });
+  const [resourceLimits, setResourceLimits] = useState({
+    memoryMb: '',
+    cpuNice: '',
+    maxOpenFiles: '',
+    maxProcesses: '',
+  });
+  // Vide : défaut du serveur (adresse injectée au build seulement) ou valeur précédente
+  const [runtimeConfig, setRuntimeConfig] = useState<'' | 'true' | 'false'>('');
+  const [gitSource, setGitSource] = useState({
+    repoUrl: '',
+    ref: '',
+    subdirectory: '',
   });
   const [dragOver, setDragOver] = useState(false);
   const [uploading, setUploading] = useState(false);
   const [selectedFile, setSelectedFile] = useState<File | null>(null);
+  const [currentJob, setCurrentJob] = useState<DeployJob | null>(null);
   const fileInputRef = useRef<HTMLInputElement>(null);
 
   const { token } = useAuth();
-  const { refreshProjects, refreshStats } = useProjects();
+  const { projects, refreshProjects, refreshStats, updateProject, waitForJob, cancelJob } = useProjects();
+  const [cancelling, setCancelling] = useState(false);
+
+  // Un projet du même nom est mis à jour sur place plutôt que recréé
+  const existingProject = projects.find(
+    (project) => project.name === formData.projectName.trim() && project.type === deploymentType
+  );
 
   const handleInputChange = (e: React.ChangeEvent<HTMLInputElement | HTMLTextAreaElement>) => {
     setFormData(prev => ({
@@ -36,9 +73,96 @@ const DeploymentPanel = () => {
     }));
   };
 
-  const handleFileSelect = (file: File) => {
-    if (file.type !== 'application/zip' && !file.name.endsWith('.zip')) {
-      toast.error('Seuls les fichiers ZIP sont acceptés');
+  const handleHealthCheckChange = (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>) => {
+    setHealthCheck(prev => ({
+      ...prev,
+      [e.target.name]: e.target.value,
+    }));
+  };
+
+  const handleResourceLimitsChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    setResourceLimits(prev => ({
+      ...prev,
+      [e.target.name]: e.target.value,
+    }));
+  };
+
+  const handleGitSourceChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    setGitSource(prev => ({
+      ...prev,
+      [e.target.name]: e.target.value,
+    }));
+  };
+
+  const getGitSource = () => ({
+    repoUrl: gitSource.repoUrl.trim(),
+    ref: gitSource.ref.trim() || undefined,
+    subdirectory: gitSource.subdirectory.trim() || undefined,
+  });
+
+  // Racine web imposée (sites statiques uniquement), sinon détectée par le serveur
+  const getWebRoot = () =>
+    deploymentType === 'static' && formData.webRoot.trim() ? formData.webRoot.trim() : undefined;
+
+  // Préfixe des chemins relayés au backend (projets dynamiques), /api par défaut côté serveur
+  const getApiPrefix = () =>
+    deploymentType === 'dynamic' && formData.apiPrefix.trim() ? formData.apiPrefix.trim() : undefined;
+
+  // Health check du backend (projets dynamiques) en JSON, uniquement si un type est choisi
+  const getHealthCheck = () => {
+    if (deploymentType !== 'dynamic' || !healthCheck.type) return undefined;
+    const toNumber = (value: string, factor = 1) => (value.trim() ? Number(value) * factor : undefined);
+    return JSON.stringify({
+      type: healthCheck.type,
+      path: healthCheck.type === 'http' ? healthCheck.path.trim() || undefined : undefined,
+      expectedStatus: healthCheck.type === 'http' ? toNumber(healthCheck.expectedStatus) : undefined,
+      interval: toNumber(healthCheck.interval, 1000),
+      timeout: toNumber(healthCheck.timeout),
+      retries: toNumber(healthCheck.retries),
+    });
+  };
+
+  // Limites propres au projet (projets dynamiques) en JSON, uniquement si une valeur est indiquée
+  const getResourceLimits = () => {
+    if (deploymentType !== 'dynamic') return undefined;
+    const entries = Object.entries(resourceLimits).filter(([, value]) => value.trim());
+    return entries.length
+      ? JSON.stringify(Object.fromEntries(entries.map(([name, value]) => [name, Number(value)])))
+      : undefined;
+  };
+
+  // Adresse du backend servie au frontend à l'exécution (projets dynamiques)
+  const getRuntimeConfig = () => (deploymentType === 'dynamic' && runtimeConfig ? runtimeConfig : undefined);
+
+  // Le suivi du job (waitForJob) se termine ensuite en erreur « Déploiement annulé »
+  const handleCancelJob = async () => {
+    if (!currentJob) return;
+    setCancelling(true);
+    try {
+      toast.success(await cancelJob(currentJob.id));
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : "Erreur lors de l'annulation");
+    } finally {
+      setCancelling(false);
+    }
+  };
+
+  const resetForm = () => {
+    setFormData({ projectName: '', description: '', webRoot: '', apiPrefix: '' });
+    setRuntimeConfig('');
+    setHealthCheck({ type: '', path: '', expectedStatus: '', interval: '', timeout: '', retries: '' });
+    setResourceLimits({ memoryMb: '', cpuNice: '', maxOpenFiles: '', maxProcesses: '' });
+    setGitSource({ repoUrl: '', ref: '', subdirectory: '' });
+    setSelectedFile(null);
+    if (fileInputRef.current) {
+      fileInputRef.current.value = '';
+    }
+  };
+
+  const handleFileSelect = async (file: File) => {
+    // Le format est reconnu à son contenu, pas à l'extension du fichier
+    if (!(await detectArchiveFormat(file))) {
+      toast.error(`Seules les archives ${ARCHIVE_FORMATS_LABEL} sont acceptées`);
       return;
     }
 
@@ -80,8 +204,13 @@ const DeploymentPanel = () => {
   const handleDeploy = async (e: React.FormEvent) => {
     e.preventDefault();
 
-    if (!selectedFile) {
-      toast.error('Veuillez sélectionner un fichier ZIP');
+    if (sourceKind === 'archive' && !selectedFile) {
+      toast.error('Veuillez sélectionner une archive du projet');
+      return;
+    }
+
+    if (sourceKind === 'git' && !gitSource.repoUrl.trim()) {
+      toast.error('Veuillez entrer l\'URL du dépôt Git');
       return;
     }
 
@@ -91,24 +220,95 @@ const DeploymentPanel = () => {
     }
 
     setUploading(true);
+    setCurrentJob(null);
+
+    if (existingProject) {
+      try {
+        const data = await updateProject(
+          existingProject.id,
+          sourceKind === 'git' ? getGitSource() : selectedFile!,
+          {
+            description: formData.description.trim() || undefined,
+            webRoot: getWebRoot(),
+            apiPrefix: getApiPrefix(),
+            healthCheck: getHealthCheck(),
+            resourceLimits: getResourceLimits(),
+            runtimeConfig: getRuntimeConfig(),
+          },
+          setCurrentJob
+        );
+        toast.success(data.message);
+        data.notes?.forEach((note) => toast.success(note, { duration: 6000 }));
+
+        resetForm();
+      } catch (error) {
+        toast.error(error instanceof Error ? error.message : 'Erreur lors de la mise à jour');
+      } finally {
+        setUploading(false);
+      }
+      return;
+    }
 
     try {
-      const uploadFormData = new FormData();
-      uploadFormData.append('zipFile', selectedFile);
-      uploadFormData.append('projectName', formData.projectName.trim());
-      uploadFormData.append('description', formData.description.trim());
-
-      const endpoint = deploymentType === 'static' 
-        ? '/api/hosting/deploy/static' 
-        : '/api/hosting/deploy/dynamic';
-
-      const response = await fetch(`http://localhost:5000${endpoint}`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-        },
-        body: uploadFormData,
-      });
+      let response: Response;
+      if (sourceKind === 'git') {
+        // Le dépôt est cloné côté serveur : seule sa description est envoyée
+        response = await fetch('http://localhost:5000/api/hosting/deploy/git', {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({
+            projectName: formData.projectName.trim(),
+            description: formData.description.trim(),
+            type: deploymentType,
+            webRoot: getWebRoot(),
+            apiPrefix: getApiPrefix(),
+            healthCheck: getHealthCheck(),
+            resourceLimits: getResourceLimits(),
+            runtimeConfig: getRuntimeConfig(),
+            ...getGitSource(),
+          }),
+        });
+      } else {
+        const uploadFormData = new FormData();
+        uploadFormData.append('zipFile', selectedFile!);
+        uploadFormData.append('projectName', formData.projectName.trim());
+        uploadFormData.append('description', formData.description.trim());
+        const webRoot = getWebRoot();
+        if (webRoot) {
+          uploadFormData.append('webRoot', webRoot);
+        }
+        const apiPrefix = getApiPrefix();
+        if (apiPrefix) {
+          uploadFormData.append('apiPrefix', apiPrefix);
+        }
+        const healthCheckConfig = getHealthCheck();
+        if (healthCheckConfig) {
+          uploadFormData.append('healthCheck', healthCheckConfig);
+        }
+        const resourceLimitsConfig = getResourceLimits();
+        if (resourceLimitsConfig) {
+          uploadFormData.append('resourceLimits', resourceLimitsConfig);
+        }
+        const runtimeConfigValue = getRuntimeConfig();
+        if (runtimeConfigValue) {
+          uploadFormData.append('runtimeConfig', runtimeConfigValue);
+        }
+
+        const endpoint = deploymentType === 'static' 
+          ? '/api/hosting/deploy/static' 
+          : '/api/hosting/deploy/dynamic';
+
+        response = await fetch(`http://localhost:5000${endpoint}`, {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${token}`,
+          },
+          body: uploadFormData,
+        });
+      }
 
       const data = await response.json();
 
@@ -116,27 +316,30 @@ const DeploymentPanel = () => {
         throw new Error(data.message || 'Erreur lors du déploiement');
       }
 
-      toast.success(data.message);
+      // The server answers right away with a job id: follow it until the deploy ends
+      setCurrentJob(data.job);
+      let job: DeployJob;
+      try {
+        job = await waitForJob(data.jobId, setCurrentJob);
+      } finally {
+        await refreshProjects();
+        await refreshStats();
+      }
+      const result = job.result!;
+
+      toast.success(result.message);
 
       // Show deployment notes for dynamic sites
-      if (deploymentType === 'dynamic' && data.notes) {
+      if (deploymentType === 'dynamic' && result.notes) {
         setTimeout(() => {
-          data.notes.forEach((note: string) => {
+          result.notes?.forEach((note: string) => {
             toast.success(note, { duration: 6000 });
           });
         }, 1000);
       }
 
       // Reset form
-      setFormData({ projectName: '', description: '' });
-      setSelectedFile(null);
-      if (fileInputRef.current) {
-        fileInputRef.current.value = '';
-      }
-
-      // Refresh projects
-      await refreshProjects();
-      await refreshStats();
+      resetForm();
 
     } catch (error: any) {
       toast.error(error.message);
@@ -159,7 +362,7 @@ const DeploymentPanel = () => {
       <div>
         <h2 className="text-2xl font-bold text-gray-900">Déployer un Projet</h2>
         <p className="text-gray-600 mt-1">
-          Uploadez votre projet sous forme de fichier ZIP pour le déployer automatiquement
+          Uploadez votre projet sous forme d'archive (ZIP ou tarball) ou indiquez son dépôt Git pour le déployer automatiquement
         </p>
       </div>
 
@@ -197,6 +400,10 @@ const DeploymentPanel = () => {
                 <CheckCircle className="w-3 h-3 text-green-500" />
                 <span>Hébergement de fichiers statiques</span>
               </div>
+              <div className="flex items-center space-x-2">
+                <CheckCircle className="w-3 h-3 text-green-500" />
+                <span>Build automatique (Vite, CRA...) si package.json</span>
+              </div>
               <div className="flex items-center space-x-2">
                 <CheckCircle className="w-3 h-3 text-green-500" />
                 <span>SSL automatique</span>
@@ -223,7 +430,7 @@ const DeploymentPanel = () => {
               <h4 className="font-semibold text-gray-900">Site Dynamique</h4>
             </div>
             <p className="text-sm text-gray-600 mb-4">
-              Applications complètes avec frontend et backend séparés
+              Applications Node.js (frontend + backend ou application unique), Python ou Procfile
             </p>
             <div className="space-y-2 text-xs text-gray-500">
               <div className="flex items-center space-x-2">
@@ -250,37 +457,43 @@ const DeploymentPanel = () => {
             <Info className="w-6 h-6 text-amber-600 mt-1" />
             <div>
               <h4 className="font-semibold text-amber-800 mb-2">
-                Structure requise pour les sites dynamiques
+                Structures reconnues pour les sites dynamiques
               </h4>
               <div className="space-y-3 text-sm text-amber-700">
-                <p>Votre fichier ZIP doit contenir <strong>exactement</strong> cette structure :</p>
-                <div className="bg-white border border-amber-200 rounded-lg p-4 font-mono text-xs">
+                <p>Le runtime est détecté à la racine de votre archive (ZIP ou tarball) ou de votre dépôt, dans cet ordre :</p>
+                <div className="bg-white border border-amber-200 rounded-lg p-4 font-mono text-xs space-y-2">
                   <div className="flex items-center space-x-2 text-amber-800">
                     <FileArchive className="w-4 h-4" />
                     <span>votre-projet.zip</span>
                   </div>
-                  <div className="ml-6 mt-2 space-y-1">
-                    <div className="flex items-center space-x-2">
-                      <Folder className="w-4 h-4 text-blue-600" />
-                      <span>frontend/</span>
-                    </div>
-                    <div className="ml-6 flex items-center space-x-2 text-gray-600">
-                      <Code className="w-3 h-3" />
-                      <span>package.json (obligatoire)</span>
-                    </div>
-                    <div className="flex items-center space-x-2">
-                      <Folder className="w-4 h-4 text-purple-600" />
-                      <span>backend/</span>
-                    </div>
-                    <div className="ml-6 flex items-center space-x-2 text-gray-600">
-                      <Code className="w-3 h-3" />
-                      <span>package.json (obligatoire)</span>
-                    </div>
+                  <div className="ml-6 flex items-center space-x-2">
+                    <Code className="w-3 h-3 text-gray-600" />
+                    <span>Procfile</span>
+                    <span className="text-gray-500 font-sans">— processus <code>web:</code> lancé tel quel (écoute sur <code>$PORT</code>)</span>
+                  </div>
+                  <div className="ml-6 flex items-center space-x-2">
+                    <Folder className="w-4 h-4 text-blue-600" />
+                    <span>frontend/ + backend/</span>
+                    <span className="text-gray-500 font-sans">— chacun avec son package.json, backend lancé par <code>npm start</code></span>
+                  </div>
+                  <div className="ml-6 flex items-center space-x-2">
+                    <Code className="w-3 h-3 text-gray-600" />
+                    <span>package.json</span>
+                    <span className="text-gray-500 font-sans">— application Node unique (<code>npm start</code> ou server.js, index.js)</span>
+                  </div>
+                  <div className="ml-6 flex items-center space-x-2">
+                    <Code className="w-3 h-3 text-gray-600" />
+                    <span>requirements.txt</span>
+                    <span className="text-gray-500 font-sans">— application Python (app.py, main.py… via gunicorn, uvicorn ou python)</span>
                   </div>
                 </div>
                 <div className="space-y-1">
-                  <p><strong>Frontend :</strong> Doit contenir un fichier <code className="bg-amber-100 px-1 rounded">.env</code> avec <code>BACKEND_ADRESSE</code> (sera configuré automatiquement si absent)</p>
+                  <p><strong>Application unique :</strong> reçoit toutes les requêtes de l'URL du projet et doit écouter sur le port fourni dans <code>PORT</code></p>
+                  <p><strong>Frontend :</strong> l'adresse du backend est ajoutée à son <code className="bg-amber-100 px-1 rounded">.env</code> (<code>BACKEND_ADRESSE</code> et la variable de son framework) si elle n'y est pas déjà</p>
                   <p><strong>Backend :</strong> Si MongoDB est utilisé, il sera démarré automatiquement</p>
+                  <p><strong>Dépendances :</strong> installées selon le lockfile fourni (<code>npm ci</code>, yarn ou pnpm), sinon <code>npm install</code> ; un dossier <code>node_modules</code> inclus dans l'archive est utilisé tel quel</p>
+                  <p><strong>URL du projet :</strong> sert le build du frontend et relaie le préfixe API (<code>/api</code> par défaut) au backend</p>
+                  <p><strong>hostedhost.json (facultatif) :</strong> à la racine, remplace les commandes détectées (<code>install</code>, <code>build</code>, <code>start</code>) et déclare <code>outputDir</code>, <code>healthCheck</code>, <code>apiPrefix</code>, <code>env</code>, <code>hooks</code> (<code>preDeploy</code>, <code>postDeploy</code>) et <code>node</code></p>
                 </div>
               </div>
             </div>
@@ -288,6 +501,34 @@ const DeploymentPanel = () => {
         </div>
       )}
 
+      {currentJob && !currentJob.finishedAt && (
+        <div className="flex items-center justify-between p-4 bg-blue-50 border border-blue-200 rounded-xl text-sm text-blue-800">
+          <span className="flex items-center space-x-2">
+            <Clock className="w-4 h-4" />
+            <span>
+              {currentJob.status === 'queued'
+                ? currentJob.queuePosition === 1
+                  ? "En file d'attente : prochain déploiement à démarrer"
+                  : `En file d'attente : position ${currentJob.queuePosition ?? '…'}`
+                : 'Déploiement en cours'}
+            </span>
+          </span>
+          {currentJob.phase !== 'start' && (
+            <button
+              type="button"
+              onClick={handleCancelJob}
+              disabled={cancelling}
+              className="flex items-center space-x-1 font-medium text-red-600 hover:text-red-700 disabled:opacity-50"
+            >
+              <XCircle className="w-4 h-4" />
+              <span>{cancelling ? 'Annulation…' : 'Annuler'}</span>
+            </button>
+          )}
+        </div>
+      )}
+
+      {currentJob && <DeploymentProgress key={currentJob.id} job={currentJob} />}
+
       {/* Deployment Form */}
       <form onSubmit={handleDeploy} className="bg-white rounded-xl p-6 shadow-sm border border-gray-100 space-y-6">
         <h3 className="text-lg font-semibold text-gray-900">Informations du projet</h3>
@@ -307,9 +548,15 @@ const DeploymentPanel = () => {
               placeholder="mon-super-site"
               className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
             />
-            <p className="mt-1 text-xs text-gray-500">
-              Utilisé pour l'URL et l'identification
-            </p>
+            {existingProject ? (
+              <p className="mt-1 text-xs text-amber-600">
+                Ce projet existe déjà : il sera mis à jour en conservant son URL{existingProject.port ? `, son port (${existingProject.port})` : ''} et ses informations
+              </p>
+            ) : (
+              <p className="mt-1 text-xs text-gray-500">
+                Utilisé pour l'URL et l'identification
+              </p>
+            )}
           </div>
 
           <div>
@@ -328,76 +575,340 @@ const DeploymentPanel = () => {
           </div>
         </div>
 
-        {/* File Upload Zone */}
-        <div>
-          <label className="block text-sm font-medium text-gray-700 mb-2">
-            Fichier du projet *
-          </label>
-          <div
-            onDrop={handleDrop}
-            onDragOver={handleDragOver}
-            onDragLeave={handleDragLeave}
-            className={`relative border-2 border-dashed rounded-xl p-8 text-center transition-all ${
-              dragOver
-                ? 'border-blue-500 bg-blue-50'
-                : 'border-gray-300 hover:border-gray-400'
-            }`}
-          >
+        {deploymentType === 'static' && (
+          <div>
+            <label htmlFor="webRoot" className="block text-sm font-medium text-gray-700 mb-2">
+              Racine web (optionnel)
+            </label>
             <input
-              ref={fileInputRef}
-              type="file"
-              accept=".zip"
-              onChange={handleFileInputChange}
-              className="hidden"
+              type="text"
+              id="webRoot"
+              name="webRoot"
+              value={formData.webRoot}
+              onChange={handleInputChange}
+              placeholder={existingProject?.webRoot ? existingProject.webRoot : 'Détection automatique'}
+              className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <p className="mt-1 text-xs text-gray-500">
+              Dossier servi à l'URL du site. Par défaut : outputDir de hostedhost.json, sinon dossier englobant unique, puis dist/, build/, public/ ou le index.html le plus proche
+            </p>
+          </div>
+        )}
+
+        {deploymentType === 'dynamic' && (
+          <div>
+            <label htmlFor="apiPrefix" className="block text-sm font-medium text-gray-700 mb-2">
+              Préfixe API (optionnel)
+            </label>
+            <input
+              type="text"
+              id="apiPrefix"
+              name="apiPrefix"
+              value={formData.apiPrefix}
+              onChange={handleInputChange}
+              placeholder={existingProject?.apiPrefix || '/api'}
+              className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
             />
+            <p className="mt-1 text-xs text-gray-500">
+              Les requêtes sous ce chemin sont relayées au backend, le reste est servi depuis le build du frontend (dist/ ou build/)
+            </p>
+          </div>
+        )}
+
+        {deploymentType === 'dynamic' && (
+          <div>
+            <label htmlFor="runtimeConfig" className="block text-sm font-medium text-gray-700 mb-2">
+              Adresse du backend pour le frontend
+            </label>
+            <select
+              id="runtimeConfig"
+              value={runtimeConfig}
+              onChange={(e) => setRuntimeConfig(e.target.value as '' | 'true' | 'false')}
+              className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              <option value="">
+                {existingProject ? 'Inchangé' : 'Injectée au build (défaut)'}
+              </option>
+              <option value="false">Injectée au build</option>
+              <option value="true">Injectée au build et servie à l'exécution (/__env.js)</option>
+            </select>
+            <p className="mt-1 text-xs text-gray-500">
+              Au build, sous la variable du framework détecté (VITE_API_URL, REACT_APP_API_URL, NEXT_PUBLIC_API_URL, VUE_APP_API_URL, environment Angular).
+              À l'exécution, window.__ENV__ donne l'adresse actuelle sans rebuild après un changement de port
+            </p>
+          </div>
+        )}
+
+        {deploymentType === 'dynamic' && (
+          <div>
+            <label htmlFor="healthCheckType" className="block text-sm font-medium text-gray-700 mb-2">
+              Health check du backend (optionnel)
+            </label>
+            <div className="grid grid-cols-2 md:grid-cols-6 gap-3">
+              <select
+                id="healthCheckType"
+                name="type"
+                value={healthCheck.type}
+                onChange={handleHealthCheckChange}
+                className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                <option value="">
+                  {existingProject?.healthCheck ? 'Inchangé' : 'TCP (défaut)'}
+                </option>
+                <option value="tcp">TCP</option>
+                <option value="http">HTTP GET</option>
+              </select>
+              <input
+                type="text"
+                name="path"
+                value={healthCheck.path}
+                onChange={handleHealthCheckChange}
+                disabled={healthCheck.type !== 'http'}
+                placeholder="/health"
+                className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:bg-gray-100"
+              />
+              <input
+                type="number"
+                name="expectedStatus"
+                value={healthCheck.expectedStatus}
+                onChange={handleHealthCheckChange}
+                disabled={healthCheck.type !== 'http'}
+                placeholder="Statut 200"
+                className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:bg-gray-100"
+              />
+              <input
+                type="number"
+                name="interval"
+                value={healthCheck.interval}
+                onChange={handleHealthCheckChange}
+                disabled={!healthCheck.type}
+                placeholder="Intervalle 30 s"
+                className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:bg-gray-100"
+              />
+              <input
+                type="number"
+                name="timeout"
+                value={healthCheck.timeout}
+                onChange={handleHealthCheckChange}
+                disabled={!healthCheck.type}
+                placeholder="Délai 3000 ms"
+                className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:bg-gray-100"
+              />
+              <input
+                type="number"
+                name="retries"
+                value={healthCheck.retries}
+                onChange={handleHealthCheckChange}
+                disabled={!healthCheck.type}
+                placeholder="3 échecs"
+                className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:bg-gray-100"
+              />
+            </div>
+            <p className="mt-1 text-xs text-gray-500">
+              Le projet n'est actif qu'une fois cette vérification réussie, puis elle est répétée à chaque intervalle : le backend est signalé en échec après le nombre d'échecs consécutifs indiqué
+            </p>
+          </div>
+        )}
+
+        {deploymentType === 'dynamic' && (
+          <div>
+            <label htmlFor="memoryMb" className="block text-sm font-medium text-gray-700 mb-2">
+              Limites de ressources (optionnel)
+            </label>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+              <input
+                type="number"
+                id="memoryMb"
+                name="memoryMb"
+                value={resourceLimits.memoryMb}
+                onChange={handleResourceLimitsChange}
+                placeholder={`Mémoire ${existingProject?.limits?.memoryMb ?? ''} Mo`}
+                className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+              <input
+                type="number"
+                name="cpuNice"
+                value={resourceLimits.cpuNice}
+                onChange={handleResourceLimitsChange}
+                placeholder={`Nice ${existingProject?.limits?.cpuNice ?? ''}`}
+                className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+              <input
+                type="number"
+                name="maxOpenFiles"
+                value={resourceLimits.maxOpenFiles}
+                onChange={handleResourceLimitsChange}
+                placeholder={`Fichiers ouverts ${existingProject?.limits?.maxOpenFiles ?? ''}`}
+                className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+              <input
+                type="number"
+                name="maxProcesses"
+                value={resourceLimits.maxProcesses}
+                onChange={handleResourceLimitsChange}
+                placeholder={`Processus ${existingProject?.limits?.maxProcesses ?? ''}`}
+                className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+            <p className="mt-1 text-xs text-gray-500">
+              Vides : limites de votre offre. Un projet peut les abaisser, pas les dépasser ; un backend qui dépasse sa mémoire ou son nombre de processus est arrêté puis redémarré
+            </p>
+          </div>
+        )}
+
+        {/* Source Selection */}
+        <div className="flex space-x-2">
+          <button
+            type="button"
+            onClick={() => setSourceKind('archive')}
+            className={`flex items-center space-x-2 px-4 py-2 rounded-lg text-sm font-medium border transition-colors ${
+              sourceKind === 'archive'
+                ? 'border-blue-500 bg-blue-50 text-blue-700'
+                : 'border-gray-200 text-gray-600 hover:border-gray-300'
+            }`}
+          >
+            <FileArchive className="w-4 h-4" />
+            <span>Archive</span>
+          </button>
+          <button
+            type="button"
+            onClick={() => setSourceKind('git')}
+            className={`flex items-center space-x-2 px-4 py-2 rounded-lg text-sm font-medium border transition-colors ${
+              sourceKind === 'git'
+                ? 'border-blue-500 bg-blue-50 text-blue-700'
+                : 'border-gray-200 text-gray-600 hover:border-gray-300'
+            }`}
+          >
+            <GitBranch className="w-4 h-4" />
+            <span>Dépôt Git</span>
+          </button>
+        </div>
+
+        {sourceKind === 'git' ? (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div className="md:col-span-2">
+              <label htmlFor="repoUrl" className="block text-sm font-medium text-gray-700 mb-2">
+                URL du dépôt *
+              </label>
+              <input
+                type="text"
+                id="repoUrl"
+                name="repoUrl"
+                value={gitSource.repoUrl}
+                onChange={handleGitSourceChange}
+                placeholder="https://github.com/utilisateur/projet.git"
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+              <p className="mt-1 text-xs text-gray-500">
+                Dépôt public (https://, git://) ou chemin absolu d'un dépôt présent sur le serveur, dans un dossier autorisé par la plateforme
+              </p>
+            </div>
 
-            {selectedFile ? (
-              <div className="space-y-4">
-                <div className="flex items-center justify-center space-x-3">
-                  <FileArchive className="w-8 h-8 text-blue-600" />
-                  <div className="text-left">
-                    <p className="font-medium text-gray-900">{selectedFile.name}</p>
-                    <p className="text-sm text-gray-500">{formatFileSize(selectedFile.size)}</p>
+            <div>
+              <label htmlFor="ref" className="block text-sm font-medium text-gray-700 mb-2">
+                Branche ou tag (optionnel)
+              </label>
+              <input
+                type="text"
+                id="ref"
+                name="ref"
+                value={gitSource.ref}
+                onChange={handleGitSourceChange}
+                placeholder="main"
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+
+            <div>
+              <label htmlFor="subdirectory" className="block text-sm font-medium text-gray-700 mb-2">
+                Sous-dossier (optionnel)
+              </label>
+              <input
+                type="text"
+                id="subdirectory"
+                name="subdirectory"
+                value={gitSource.subdirectory}
+                onChange={handleGitSourceChange}
+                placeholder="site"
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+              <p className="mt-1 text-xs text-gray-500">
+                Pour un monorepo : dossier à déployer, relatif à la racine du dépôt
+              </p>
+            </div>
+          </div>
+        ) : (
+          /* File Upload Zone */
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Fichier du projet *
+            </label>
+            <div
+              onDrop={handleDrop}
+              onDragOver={handleDragOver}
+              onDragLeave={handleDragLeave}
+              className={`relative border-2 border-dashed rounded-xl p-8 text-center transition-all ${
+                dragOver
+                  ? 'border-blue-500 bg-blue-50'
+                  : 'border-gray-300 hover:border-gray-400'
+              }`}
+            >
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept={ARCHIVE_ACCEPT}
+                onChange={handleFileInputChange}
+                className="hidden"
+              />
+
+              {selectedFile ? (
+                <div className="space-y-4">
+                  <div className="flex items-center justify-center space-x-3">
+                    <FileArchive className="w-8 h-8 text-blue-600" />
+                    <div className="text-left">
+                      <p className="font-medium text-gray-900">{selectedFile.name}</p>
+                      <p className="text-sm text-gray-500">{formatFileSize(selectedFile.size)}</p>
+                    </div>
                   </div>
-                </div>
-                <button
-                  type="button"
-                  onClick={() => {
-                    setSelectedFile(null);
-                    if (fileInputRef.current) {
-                      fileInputRef.current.value = '';
-                    }
-                  }}
-                  className="text-red-600 hover:text-red-700 text-sm font-medium"
-                >
-                  Supprimer le fichier
-                </button>
-              </div>
-            ) : (
-              <div className="space-y-4">
-                <Upload className="w-12 h-12 text-gray-400 mx-auto" />
-                <div>
-                  <p className="text-lg font-medium text-gray-900 mb-2">
-                    Glissez votre fichier ZIP ici
-                  </p>
-                  <p className="text-gray-600 mb-4">
-                    ou cliquez pour sélectionner un fichier
-                  </p>
                   <button
                     type="button"
-                    onClick={() => fileInputRef.current?.click()}
-                    className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 transition-colors font-medium"
+                    onClick={() => {
+                      setSelectedFile(null);
+                      if (fileInputRef.current) {
+                        fileInputRef.current.value = '';
+                      }
+                    }}
+                    className="text-red-600 hover:text-red-700 text-sm font-medium"
                   >
-                    Choisir un fichier
+                    Supprimer le fichier
                   </button>
                 </div>
-                <p className="text-xs text-gray-500">
-                  Taille maximale: 100MB • Format: ZIP uniquement
-                </p>
-              </div>
-            )}
+              ) : (
+                <div className="space-y-4">
+                  <Upload className="w-12 h-12 text-gray-400 mx-auto" />
+                  <div>
+                    <p className="text-lg font-medium text-gray-900 mb-2">
+                      Glissez votre archive ici
+                    </p>
+                    <p className="text-gray-600 mb-4">
+                      ou cliquez pour sélectionner un fichier
+                    </p>
+                    <button
+                      type="button"
+                      onClick={() => fileInputRef.current?.click()}
+                      className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 transition-colors font-medium"
+                    >
+                      Choisir un fichier
+                    </button>
+                  </div>
+                  <p className="text-xs text-gray-500">
+                    Taille maximale: 100MB • Formats: ZIP, tar, tar.gz, tar.bz2
+                  </p>
+                </div>
+              )}
+            </div>
           </div>
-        </div>
+        )}
 
         {/* Deploy Button */}
         <div className="flex items-center justify-between pt-4 border-t border-gray-200">
@@ -417,18 +928,22 @@ const DeploymentPanel = () => {
           
           <button
             type="submit"
-            disabled={uploading || !selectedFile || !formData.projectName.trim()}
+            disabled={
+              uploading ||
+              (sourceKind === 'archive' ? !selectedFile : !gitSource.repoUrl.trim()) ||
+              !formData.projectName.trim()
+            }
             className="bg-blue-600 text-white px-8 py-3 rounded-lg hover:bg-blue-700 focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-all font-medium"
           >
             {uploading ? (
               <div className="flex items-center space-x-2">
                 <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
-                <span>Déploiement en cours...</span>
+                <span>{existingProject ? 'Mise à jour en cours...' : 'Déploiement en cours...'}</span>
               </div>
             ) : (
               <div className="flex items-center space-x-2">
                 <Upload className="w-4 h-4" />
-                <span>Déployer le projet</span>
+                <span>{existingProject ? 'Mettre à jour' : 'Déployer le projet'}</span>
               </div>
             )}
           </button>
@@ -0,0 +1,87 @@
+import { useState } from 'react';
+import { CheckCircle, AlertTriangle, Clock, MinusCircle, Terminal } from 'lucide-react';
+import { DeployJob } from '../contexts/ProjectContext';
+import { jobPhaseLabels } from '../utils/jobPhases';
+import DeploymentConsole from './DeploymentConsole';
+
+const formatDuration = (ms: number | null) => {
+  if (ms === null) return '';
+  if (ms < 1000) return `${ms} ms`;
+  const seconds = Math.round(ms / 1000);
+  return seconds < 60 ? `${seconds} s` : `${Math.floor(seconds / 60)} min ${seconds % 60} s`;
+};
+
+const DeploymentProgress = ({ job }: { job: DeployJob }) => {
+  // La console est ouverte pendant le déploiement et peut être rouverte ensuite
+  const [consoleOpen, setConsoleOpen] = useState(true);
+  const running = job.status === 'queued' || job.status === 'pending' || job.status === 'running';
+
+  return (
+    <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-100 space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-semibold text-gray-900">
+          {job.kind === 'update' ? 'Mise à jour' : 'Déploiement'} de {job.projectName}
+        </h3>
+        <div className="flex items-center space-x-4">
+          <span className="text-sm text-gray-500">{formatDuration(job.durationMs)}</span>
+          {!consoleOpen && (
+            <button
+              onClick={() => setConsoleOpen(true)}
+              className="flex items-center space-x-1 text-sm font-medium text-blue-600 hover:text-blue-700"
+            >
+              <Terminal className="w-4 h-4" />
+              <span>Afficher les logs</span>
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="w-full bg-gray-200 rounded-full h-2">
+        <div
+          className={`h-2 rounded-full transition-all ${
+            job.status === 'failed' ? 'bg-red-500' : job.status === 'cancelled' ? 'bg-gray-400' : 'bg-blue-600'
+          }`}
+          style={{ width: `${job.progress}%` }}
+        ></div>
+      </div>
+
+      <ul className="space-y-2">
+        {job.phases.map((phase) => (
+          <li key={phase.name} className="flex items-center justify-between text-sm">
+            <div className="flex items-center space-x-2">
+              {phase.status === 'done' && <CheckCircle className="w-4 h-4 text-green-500" />}
+              {phase.status === 'failed' && <AlertTriangle className="w-4 h-4 text-red-500" />}
+              {phase.status === 'skipped' && <MinusCircle className="w-4 h-4 text-gray-400" />}
+              {phase.status === 'pending' && <Clock className="w-4 h-4 text-gray-300" />}
+              {phase.status === 'running' && (
+                <div className="w-4 h-4 border-2 border-blue-600 border-t-transparent rounded-full animate-spin"></div>
+              )}
+              <span className={phase.status === 'pending' ? 'text-gray-400' : 'text-gray-900'}>
+                {jobPhaseLabels[phase.name] || phase.name}
+              </span>
+            </div>
+            <span className="text-xs text-gray-500">{formatDuration(phase.durationMs)}</span>
+          </li>
+        ))}
+      </ul>
+
+      {consoleOpen && (
+        <DeploymentConsole jobId={job.id} running={running} onClose={() => setConsoleOpen(false)} />
+      )}
+
+      {job.status === 'cancelled' && (
+        <div className="p-3 bg-gray-50 border border-gray-200 rounded-lg text-sm text-gray-700">
+          {job.kind === 'deploy' ? 'Déploiement annulé' : 'Annulé : la version précédente reste en ligne'}
+        </div>
+      )}
+
+      {job.status === 'failed' && job.error && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700 whitespace-pre-wrap break-words">
+          {job.error}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DeploymentProgress;
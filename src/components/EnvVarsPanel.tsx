@@ -0,0 +1,257 @@
+import { useState, useEffect, useCallback } from 'react';
+import { KeyRound, Lock, Pencil, Trash2, Plus, RotateCw, Hammer } from 'lucide-react';
+import { useProjects, EnvVariable, EnvAction } from '../contexts/ProjectContext';
+import toast from 'react-hot-toast';
+
+interface EnvVarsPanelProps {
+  projectId: string;
+  projectType: 'static' | 'dynamic';
+}
+
+const scopeLabels: Record<EnvVariable['scope'], string> = {
+  build: 'Build',
+  runtime: 'Exécution',
+  both: 'Build + exécution',
+};
+
+const emptyForm = { name: '', value: '', scope: 'runtime' as EnvVariable['scope'], secret: false };
+
+const EnvVarsPanel = ({ projectId, projectType }: EnvVarsPanelProps) => {
+  const { fetchEnvVars, saveEnvVar, deleteEnvVar, restartProject, rebuildProject } = useProjects();
+  const [variables, setVariables] = useState<EnvVariable[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(emptyForm);
+  // Variable en cours de modification (null : ajout)
+  const [editing, setEditing] = useState<string | null>(null);
+  const [saving, setSaving] = useState(false);
+  // Action à proposer pour appliquer les modifications
+  const [pendingAction, setPendingAction] = useState<EnvAction>(null);
+  const [applying, setApplying] = useState(false);
+
+  const defaultScope: EnvVariable['scope'] = projectType === 'static' ? 'build' : 'runtime';
+
+  const loadVariables = useCallback(async () => {
+    try {
+      setVariables(await fetchEnvVars(projectId));
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Erreur lors du chargement des variables');
+    } finally {
+      setLoading(false);
+    }
+  }, [fetchEnvVars, projectId]);
+
+  useEffect(() => {
+    setForm({ ...emptyForm, scope: defaultScope });
+    loadVariables();
+  }, [loadVariables, defaultScope]);
+
+  // Un rebuild applique aussi les variables d'exécution : il l'emporte sur un redémarrage
+  const addPendingAction = (action: EnvAction) => {
+    setPendingAction((current) => (current === 'rebuild' || action === 'rebuild' ? 'rebuild' : action || current));
+  };
+
+  const resetForm = () => {
+    setEditing(null);
+    setForm({ ...emptyForm, scope: defaultScope });
+  };
+
+  const handleEdit = (variable: EnvVariable) => {
+    setEditing(variable.name);
+    setForm({ name: variable.name, value: variable.value ?? '', scope: variable.scope, secret: variable.secret });
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const current = variables.find((variable) => variable.name === editing);
+    // Secret modifié sans nouvelle valeur : la valeur actuelle est conservée
+    const keepValue = current?.secret && form.value === '';
+
+    setSaving(true);
+    try {
+      const { message, action } = await saveEnvVar(projectId, form.name.trim(), {
+        value: keepValue ? undefined : form.value,
+        scope: form.scope,
+        secret: form.secret,
+      });
+      toast.success(message);
+      addPendingAction(action);
+      resetForm();
+      await loadVariables();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Erreur lors de l\'enregistrement de la variable');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (variable: EnvVariable) => {
+    if (!window.confirm(`Supprimer la variable ${variable.name} ?`)) {
+      return;
+    }
+
+    try {
+      const { message, action } = await deleteEnvVar(projectId, variable.name);
+      toast.success(message);
+      addPendingAction(action);
+      if (editing === variable.name) resetForm();
+      await loadVariables();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Erreur lors de la suppression de la variable');
+    }
+  };
+
+  const handleApply = async () => {
+    setApplying(true);
+    try {
+      toast.success(pendingAction === 'rebuild' ? await rebuildProject(projectId) : await restartProject(projectId));
+      setPendingAction(null);
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Erreur lors de l\'application des variables');
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-4">
+        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  const editedVariable = variables.find((variable) => variable.name === editing);
+
+  return (
+    <div className="space-y-3">
+      {pendingAction && (
+        <div className="flex items-center justify-between bg-amber-50 border border-amber-200 rounded-lg p-3">
+          <p className="text-sm text-amber-800">
+            {pendingAction === 'rebuild'
+              ? 'Des variables de build ont changé : un nouveau build est nécessaire pour les appliquer.'
+              : 'Redémarrez le backend pour appliquer les nouvelles variables.'}
+          </p>
+          <button
+            onClick={handleApply}
+            disabled={applying}
+            className="ml-3 flex items-center space-x-1 text-sm font-medium text-amber-800 hover:text-amber-900 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {pendingAction === 'rebuild' ? (
+              <Hammer className={`w-4 h-4 ${applying ? 'animate-pulse' : ''}`} />
+            ) : (
+              <RotateCw className={`w-4 h-4 ${applying ? 'animate-spin' : ''}`} />
+            )}
+            <span>
+              {applying
+                ? pendingAction === 'rebuild' ? 'Build...' : 'Redémarrage...'
+                : pendingAction === 'rebuild' ? 'Rebuilder' : 'Redémarrer'}
+            </span>
+          </button>
+        </div>
+      )}
+
+      {variables.length === 0 ? (
+        <p className="text-sm text-gray-500 py-2">Aucune variable définie pour ce projet</p>
+      ) : (
+        <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+          {variables.map((variable) => (
+            <li key={variable.name} className="flex items-center justify-between px-3 py-2">
+              <div className="min-w-0">
+                <p className="text-sm font-mono text-gray-900 flex items-center">
+                  {variable.secret && <Lock className="w-3 h-3 mr-1 text-gray-500" />}
+                  {variable.name}
+                  <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-sans bg-gray-100 text-gray-600">
+                    {scopeLabels[variable.scope]}
+                  </span>
+                </p>
+                <p className="text-xs font-mono text-gray-500 truncate">
+                  {variable.secret ? '••••••••' : variable.value}
+                </p>
+              </div>
+              <div className="flex items-center space-x-2 ml-3">
+                <button
+                  onClick={() => handleEdit(variable)}
+                  className="text-gray-500 hover:text-gray-800"
+                  title="Modifier"
+                >
+                  <Pencil className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => handleDelete(variable)}
+                  className="text-red-500 hover:text-red-700"
+                  title="Supprimer"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-2">
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+          <input
+            type="text"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            placeholder="NOM_DE_LA_VARIABLE"
+            disabled={editing !== null}
+            required
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm font-mono focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:bg-gray-100"
+          />
+          <input
+            type={form.secret ? 'password' : 'text'}
+            value={form.value}
+            onChange={(e) => setForm({ ...form, value: e.target.value })}
+            placeholder={editedVariable?.secret ? 'Laisser vide pour conserver la valeur' : 'Valeur'}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm font-mono focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+        </div>
+        <div className="flex flex-wrap items-center gap-4">
+          <select
+            value={form.scope}
+            onChange={(e) => setForm({ ...form, scope: e.target.value as EnvVariable['scope'] })}
+            disabled={projectType === 'static'}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            <option value="runtime">{scopeLabels.runtime}</option>
+            <option value="build">{scopeLabels.build}</option>
+            <option value="both">{scopeLabels.both}</option>
+          </select>
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={form.secret}
+              onChange={(e) => setForm({ ...form, secret: e.target.checked })}
+              className="rounded border-gray-300"
+            />
+            <span>Secret (masqué dans les logs dès 8 caractères, jamais réaffiché)</span>
+          </label>
+          <div className="flex items-center space-x-3 ml-auto">
+            {editing && (
+              <button type="button" onClick={resetForm} className="text-sm text-gray-600 hover:text-gray-900">
+                Annuler
+              </button>
+            )}
+            <button
+              type="submit"
+              disabled={saving}
+              className="flex items-center space-x-1 px-3 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {editing ? <KeyRound className="w-4 h-4" /> : <Plus className="w-4 h-4" />}
+              <span>{saving ? 'Enregistrement...' : editing ? 'Enregistrer' : 'Ajouter'}</span>
+            </button>
+          </div>
+        </div>
+        {projectType === 'static' && (
+          <p className="text-xs text-gray-500">
+            Site statique : variables de build uniquement, prises en compte au prochain déploiement.
+          </p>
+        )}
+      </form>
+    </div>
+  );
+};
+
+export default EnvVarsPanel;
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useRef } from 'react';
 import { 
   Globe, 
   Server, 
@@ -9,14 +9,78 @@ import {
   HardDrive,
   AlertTriangle,
   CheckCircle,
-  Info
+  Info,
+  Upload,
+  History,
+  ChevronDown,
+  ChevronUp,
+  GitBranch,
+  Terminal,
+  RotateCw,
+  KeyRound,
+  Eye,
+  EyeOff,
+  FileCode
 } from 'lucide-react';
-import { useProjects } from '../contexts/ProjectContext';
+import { useProjects, ProjectSource, ProjectManifest, FrontendFramework, HealthCheckConfig, ResourceLimits } from '../contexts/ProjectContext';
+import DeploymentHistory from './DeploymentHistory';
+import EnvVarsPanel from './EnvVarsPanel';
+import { detectArchiveFormat, ARCHIVE_ACCEPT, ARCHIVE_FORMATS_LABEL } from '../utils/archive';
 import toast from 'react-hot-toast';
 
+const GIT_BASE_URL = 'http://localhost:5000/git';
+// API publique renvoyant le port actuel du backend d'un projet dynamique
+const DISCOVERY_BASE_URL = 'http://localhost:5000/project-port';
+
+const LIMIT_LABELS: Record<keyof ResourceLimits, string> = {
+  memoryMb: 'mémoire',
+  cpuNice: 'priorité CPU',
+  maxOpenFiles: 'fichiers ouverts',
+  maxProcesses: 'processus',
+};
+
+const FRONTEND_FRAMEWORK_LABELS: Record<FrontendFramework, string> = {
+  next: 'Next.js',
+  angular: 'Angular',
+  cra: 'Create React App',
+  'vue-cli': 'Vue CLI',
+  vite: 'Vite',
+  generic: 'Non reconnu',
+};
+
+// Réglages déclarés dans le manifeste hostedhost.json, dans l'ordre du fichier
+const describeManifest = (manifest: ProjectManifest): [string, string][] => {
+  const rows: [string, string | null][] = [
+    ['install', manifest.install],
+    ['build', manifest.build],
+    ['start', manifest.start],
+    ['outputDir', manifest.outputDir && `${manifest.outputDir}/`],
+    ['healthCheck', manifest.healthCheck && describeHealthCheck(manifest.healthCheck)],
+    ['apiPrefix', manifest.apiPrefix],
+    ['env', Object.keys(manifest.env).join(', ') || null],
+    ['preDeploy', manifest.hooks.preDeploy],
+    ['postDeploy', manifest.hooks.postDeploy],
+    ['node', manifest.node && `${manifest.node} (${manifest.nodeVersion || 'version de la plateforme'})`],
+  ];
+  return rows.filter((row): row is [string, string] => Boolean(row[1]));
+};
+
+// Sans configuration, le backend est vérifié par une connexion TCP
+const describeHealthCheck = (check?: HealthCheckConfig | null) =>
+  check?.type === 'http' ? `GET ${check.path} → ${check.expectedStatus}` : 'TCP';
+
 const ProjectManager = () => {
-  const { projects, loading, deleteProject } = useProjects();
+  const { projects, loading, deleteProject, updateProject, restartProject, fetchProjectDatabase } = useProjects();
   const [deletingProject, setDeletingProject] = useState<string | null>(null);
+  const [restartingProject, setRestartingProject] = useState<string | null>(null);
+  const [updatingProject, setUpdatingProject] = useState<string | null>(null);
+  const [historyProject, setHistoryProject] = useState<string | null>(null);
+  const [envProject, setEnvProject] = useState<string | null>(null);
+  const [pushProject, setPushProject] = useState<string | null>(null);
+  // URI de connexion affichée (avec mot de passe), chargée à la demande
+  const [databaseUri, setDatabaseUri] = useState<{ projectId: string; uri: string } | null>(null);
+  const updateTargetRef = useRef<string | null>(null);
+  const updateInputRef = useRef<HTMLInputElement>(null);
 
   const handleDeleteProject = async (projectId: string, projectName: string) => {
     if (!window.confirm(`Êtes-vous sûr de vouloir supprimer le projet "${projectName}" ?`)) {
@@ -34,13 +98,88 @@ const ProjectManager = () => {
     }
   };
 
+  const handleRestartProject = async (projectId: string) => {
+    setRestartingProject(projectId);
+    try {
+      toast.success(await restartProject(projectId));
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Erreur lors du redémarrage');
+    } finally {
+      setRestartingProject(null);
+    }
+  };
+
+  const handleToggleDatabaseUri = async (projectId: string) => {
+    if (databaseUri?.projectId === projectId) {
+      setDatabaseUri(null);
+      return;
+    }
+
+    try {
+      const { uri } = await fetchProjectDatabase(projectId);
+      setDatabaseUri({ projectId, uri });
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Erreur lors du chargement de la base de données');
+    }
+  };
+
+  // Un projet issu d'un dépôt Git est mis à jour en récupérant le dernier commit de sa branche
+  const handleUpdateClick = async (projectId: string, source?: ProjectSource) => {
+    if (source?.kind !== 'git') {
+      updateTargetRef.current = projectId;
+      updateInputRef.current?.click();
+      return;
+    }
+
+    setUpdatingProject(projectId);
+    try {
+      const { repoUrl, ref, subdirectory } = source;
+      const data = await updateProject(projectId, {
+        repoUrl,
+        ref: ref || undefined,
+        subdirectory: subdirectory || undefined,
+      });
+      toast.success(data.message);
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Erreur lors de la mise à jour');
+    } finally {
+      setUpdatingProject(null);
+    }
+  };
+
+  const handleUpdateFileChange = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    const projectId = updateTargetRef.current;
+    e.target.value = '';
+    if (!file || !projectId) return;
+
+    if (!(await detectArchiveFormat(file))) {
+      toast.error(`Seules les archives ${ARCHIVE_FORMATS_LABEL} sont acceptées`);
+      return;
+    }
+
+    setUpdatingProject(projectId);
+    try {
+      const data = await updateProject(projectId, file);
+      toast.success(data.message);
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Erreur lors de la mise à jour');
+    } finally {
+      setUpdatingProject(null);
+      updateTargetRef.current = null;
+    }
+  };
+
   const getStatusIcon = (status: string) => {
     switch (status) {
       case 'active':
         return <CheckCircle className="w-4 h-4 text-green-500" />;
       case 'deployed':
         return <CheckCircle className="w-4 h-4 text-blue-500" />;
+      case 'restarting':
+        return <RotateCw className="w-4 h-4 text-amber-500" />;
       case 'error':
+      case 'crashed':
         return <AlertTriangle className="w-4 h-4 text-red-500" />;
       default:
         return <Info className="w-4 h-4 text-gray-500" />;
@@ -53,7 +192,10 @@ const ProjectManager = () => {
         return 'bg-green-100 text-green-800 border-green-200';
       case 'deployed':
         return 'bg-blue-100 text-blue-800 border-blue-200';
+      case 'restarting':
+        return 'bg-amber-100 text-amber-800 border-amber-200';
       case 'error':
+      case 'crashed':
         return 'bg-red-100 text-red-800 border-red-200';
       default:
         return 'bg-gray-100 text-gray-800 border-gray-200';
@@ -99,6 +241,14 @@ const ProjectManager = () => {
         </div>
       </div>
 
+      <input
+        ref={updateInputRef}
+        type="file"
+        accept={ARCHIVE_ACCEPT}
+        onChange={handleUpdateFileChange}
+        className="hidden"
+      />
+
       {/* Projects Grid */}
       {projects.length === 0 ? (
         <div className="bg-white rounded-xl p-12 shadow-sm border border-gray-100">
@@ -155,6 +305,19 @@ const ProjectManager = () => {
                 </div>
               </div>
 
+              {project.status === 'crashed' && (
+                <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">
+                  Le backend a planté à plusieurs reprises et n'est plus redémarré automatiquement
+                  {project.lastExit && (
+                    <span className="block text-xs mt-1 text-red-700">
+                      Dernier arrêt : {project.lastExit.error
+                        || (project.lastExit.signal ? `signal ${project.lastExit.signal}` : `code ${project.lastExit.code}`)}
+                      {' '}({formatDate(project.lastExit.at)})
+                    </span>
+                  )}
+                </div>
+              )}
+
               {/* Project Details */}
               <div className="space-y-3 mb-4">
                 <div className="flex items-center justify-between text-sm">
@@ -181,16 +344,210 @@ const ProjectManager = () => {
                   </div>
                 )}
 
-                {project.usesMongoDB && (
+                {project.type === 'dynamic' && (
+                  <div className="flex items-center justify-between text-sm">
+                    <span className="text-gray-500">Runtime:</span>
+                    <span
+                      className="font-medium text-gray-900 truncate ml-4"
+                      title={project.runtime ? `${project.runtime.dir}/ : ${project.runtime.start}` : 'backend/ : npm start'}
+                    >
+                      {project.runtime?.label || 'Node.js (frontend + backend)'}
+                    </span>
+                  </div>
+                )}
+
+                {project.backendPort && (
+                  <div className="flex items-center justify-between text-sm">
+                    <span className="text-gray-500">API:</span>
+                    <code className="font-medium text-gray-900">
+                      {project.apiPrefix || '/api'} → backend :{project.backendPort}
+                    </code>
+                  </div>
+                )}
+
+                {project.type === 'dynamic' && (
+                  <div className="flex items-center justify-between text-sm">
+                    <span className="text-gray-500">Découverte:</span>
+                    <a
+                      href={`${DISCOVERY_BASE_URL}/${encodeURIComponent(project.name)}`}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="font-mono text-xs text-blue-600 hover:text-blue-800 truncate ml-4"
+                      title="Le frontend peut aussi charger /__hostedhost.js (window.__HOSTEDHOST__)"
+                    >
+                      /project-port/{project.name}
+                    </a>
+                  </div>
+                )}
+
+                {project.type === 'dynamic' && project.backendPort && (project.runtime?.frontend !== null || project.runtime?.outputDir) && (
+                  <div className="flex items-center justify-between text-sm">
+                    <span className="text-gray-500">Frontend:</span>
+                    <code className="font-medium text-gray-900">
+                      {project.frontendBuildDir
+                        ? project.runtime?.outputDir
+                          ? `${project.frontendBuildDir}/`
+                          : `frontend/${project.frontendBuildDir}/`
+                        : 'aucun build'}
+                    </code>
+                  </div>
+                )}
+
+                {project.type === 'dynamic' && project.frontendFramework && (
+                  <div className="flex items-center justify-between text-sm">
+                    <span className="text-gray-500">Framework:</span>
+                    <span
+                      className="font-medium text-gray-900 truncate ml-4"
+                      title={
+                        project.runtimeConfig
+                          ? 'Adresse du backend injectée au build et servie par /__env.js (window.__ENV__)'
+                          : 'Adresse du backend injectée au build'
+                      }
+                    >
+                      {FRONTEND_FRAMEWORK_LABELS[project.frontendFramework]}
+                      {project.runtimeConfig && <code className="ml-2 text-xs text-gray-500">/__env.js</code>}
+                    </span>
+                  </div>
+                )}
+
+                {project.type === 'dynamic' && (
+                  <div className="text-sm">
+                    <div className="flex items-center justify-between">
+                      <span className="text-gray-500">Santé:</span>
+                      <span className="flex items-center font-medium">
+                        {project.health ? (
+                          <span
+                            className={`w-2 h-2 rounded-full mr-2 ${
+                              project.health.status === 'healthy' ? 'bg-green-500' : 'bg-red-500'
+                            }`}
+                          />
+                        ) : null}
+                        <code className="text-gray-900">{describeHealthCheck(project.healthCheck)}</code>
+                      </span>
+                    </div>
+                    {project.health && (
+                      <p
+                        className={`mt-1 text-xs text-right ${
+                          project.health.status === 'healthy' ? 'text-gray-500' : 'text-red-600'
+                        }`}
+                      >
+                        {project.health.lastResult.ok
+                          ? `OK en ${project.health.lastResult.durationMs}ms`
+                          : `${project.health.consecutiveFailures} échec(s) : ${project.health.lastResult.error}`}
+                        {' '}({formatDate(project.health.checkedAt)})
+                      </p>
+                    )}
+                  </div>
+                )}
+
+                {project.limits && (
+                  <div className="text-sm">
+                    <div className="flex items-center justify-between">
+                      <span className="text-gray-500">Limites:</span>
+                      <span className="font-medium text-gray-900">
+                        {project.limits.memoryMb} Mo · nice {project.limits.cpuNice} · {project.limits.maxProcesses} proc.
+                      </span>
+                    </div>
+                    {project.lastLimitBreach && (
+                      <p className="mt-1 text-xs text-right text-red-600">
+                        Dépassement {LIMIT_LABELS[project.lastLimitBreach.limit]} : {project.lastLimitBreach.value}
+                        {project.lastLimitBreach.limit === 'memoryMb' ? ' Mo' : ''} (max {project.lastLimitBreach.max})
+                        {' '}({formatDate(project.lastLimitBreach.at)})
+                      </p>
+                    )}
+                  </div>
+                )}
+
+                {project.build && (
+                  <div className="flex items-center justify-between text-sm">
+                    <span className="text-gray-500">Build:</span>
+                    <code className="font-medium text-gray-900">
+                      {project.build.command} → {project.build.outputDir}/
+                    </code>
+                  </div>
+                )}
+
+                {project.type === 'static' && project.webRoot && (
+                  <div className="flex items-center justify-between text-sm">
+                    <span className="text-gray-500">Racine web:</span>
+                    <code className="font-medium text-gray-900">
+                      /{project.webRoot}
+                      {project.webRootOverride !== null && project.webRootOverride !== undefined && (
+                        <span className="ml-1 text-xs text-gray-500 font-sans">(imposée)</span>
+                      )}
+                    </code>
+                  </div>
+                )}
+
+                {project.source?.kind === 'git' && (
                   <div className="flex items-center justify-between text-sm">
-                    <span className="text-gray-500">Base de données:</span>
-                    <span className="font-medium text-gray-900 flex items-center">
-                      <Database className="w-4 h-4 mr-1 text-green-600" />
-                      MongoDB
+                    <span className="text-gray-500">Commit:</span>
+                    <span
+                      className="font-medium text-gray-900 flex items-center min-w-0 ml-4"
+                      title={`${project.source.repoUrl}${project.source.ref ? `@${project.source.ref}` : ''}`}
+                    >
+                      <GitBranch className="w-4 h-4 mr-1 flex-shrink-0" />
+                      <code className="mr-2">{project.source.commitSha.slice(0, 8)}</code>
+                      <span className="truncate text-gray-600">{project.source.commitMessage.split('\n')[0]}</span>
                     </span>
                   </div>
                 )}
 
+                {project.manifest && (
+                  <div className="text-sm">
+                    <div className="flex items-center justify-between">
+                      <span className="text-gray-500">Manifeste:</span>
+                      <span className="font-medium text-gray-900 flex items-center">
+                        <FileCode className="w-4 h-4 mr-1" />
+                        hostedhost.json
+                      </span>
+                    </div>
+                    <dl className="mt-1 p-2 bg-gray-50 rounded text-xs space-y-1">
+                      {describeManifest(project.manifest).map(([label, value]) => (
+                        <div key={label} className="flex justify-between">
+                          <dt className="text-gray-500">{label}</dt>
+                          <dd className="font-mono text-gray-800 truncate ml-4" title={value}>{value}</dd>
+                        </div>
+                      ))}
+                    </dl>
+                  </div>
+                )}
+
+                {project.usesMongoDB && (
+                  <div className="text-sm">
+                    <div className="flex items-center justify-between">
+                      <span className="text-gray-500">Base de données:</span>
+                      <span className="font-medium text-gray-900 flex items-center">
+                        <Database className="w-4 h-4 mr-1 text-green-600" />
+                        {project.database ? <code>{project.database.name}</code> : 'MongoDB'}
+                      </span>
+                    </div>
+                    {project.database && (
+                      <div className="mt-1 flex items-center justify-end text-xs text-gray-500">
+                        <span className="truncate">
+                          {project.database.username}@{project.database.host || 'localhost'} · MONGODB_URI injectée
+                        </span>
+                        <button
+                          onClick={() => handleToggleDatabaseUri(project.id)}
+                          className="ml-2 text-gray-400 hover:text-gray-600 transition-colors"
+                          title={databaseUri?.projectId === project.id ? 'Masquer l\'URI' : 'Afficher l\'URI de connexion'}
+                        >
+                          {databaseUri?.projectId === project.id ? (
+                            <EyeOff className="w-4 h-4" />
+                          ) : (
+                            <Eye className="w-4 h-4" />
+                          )}
+                        </button>
+                      </div>
+                    )}
+                    {databaseUri?.projectId === project.id && (
+                      <code className="mt-1 block p-2 bg-gray-50 rounded text-xs text-gray-700 break-all select-all">
+                        {databaseUri.uri}
+                      </code>
+                    )}
+                  </div>
+                )}
+
                 <div className="flex items-center justify-between text-sm">
                   <span className="text-gray-500">Créé:</span>
                   <span className="font-medium text-gray-900 flex items-center">
@@ -215,6 +572,78 @@ const ProjectManager = () => {
                 </div>
               )}
 
+              {/* Deployment History */}
+              <div className="mb-4">
+                <button
+                  onClick={() => setHistoryProject(historyProject === project.id ? null : project.id)}
+                  className="flex items-center space-x-2 text-sm font-medium text-gray-600 hover:text-gray-900 transition-colors"
+                >
+                  <History className="w-4 h-4" />
+                  <span>Historique des déploiements</span>
+                  {historyProject === project.id ? (
+                    <ChevronUp className="w-4 h-4" />
+                  ) : (
+                    <ChevronDown className="w-4 h-4" />
+                  )}
+                </button>
+                {historyProject === project.id && (
+                  <div className="mt-3">
+                    <DeploymentHistory
+                      projectId={project.id}
+                      currentDeploymentId={project.currentDeploymentId}
+                    />
+                  </div>
+                )}
+              </div>
+
+              {/* Environment variables */}
+              <div className="mb-4">
+                <button
+                  onClick={() => setEnvProject(envProject === project.id ? null : project.id)}
+                  className="flex items-center space-x-2 text-sm font-medium text-gray-600 hover:text-gray-900 transition-colors"
+                >
+                  <KeyRound className="w-4 h-4" />
+                  <span>Variables d'environnement</span>
+                  {envProject === project.id ? (
+                    <ChevronUp className="w-4 h-4" />
+                  ) : (
+                    <ChevronDown className="w-4 h-4" />
+                  )}
+                </button>
+                {envProject === project.id && (
+                  <div className="mt-3">
+                    <EnvVarsPanel projectId={project.id} projectType={project.type} />
+                  </div>
+                )}
+              </div>
+
+              {/* Push-to-deploy */}
+              <div className="mb-4">
+                <button
+                  onClick={() => setPushProject(pushProject === project.id ? null : project.id)}
+                  className="flex items-center space-x-2 text-sm font-medium text-gray-600 hover:text-gray-900 transition-colors"
+                >
+                  <Terminal className="w-4 h-4" />
+                  <span>Déployer avec git push</span>
+                  {pushProject === project.id ? (
+                    <ChevronUp className="w-4 h-4" />
+                  ) : (
+                    <ChevronDown className="w-4 h-4" />
+                  )}
+                </button>
+                {pushProject === project.id && (
+                  <div className="mt-3 space-y-2">
+                    <pre className="bg-gray-900 text-gray-100 text-xs rounded-lg p-3 overflow-x-auto">
+                      {`git remote add hostedhost ${GIT_BASE_URL}/${project.name}.git\ngit push hostedhost main`}
+                    </pre>
+                    <p className="text-xs text-gray-500">
+                      Identifiants : votre email et votre mot de passe (ou votre jeton de connexion).
+                      Chaque push redéploie le projet depuis la branche poussée.
+                    </p>
+                  </div>
+                )}
+              </div>
+
               {/* Actions */}
               <div className="flex items-center justify-between pt-4 border-t border-gray-100">
                 <a
@@ -227,23 +656,54 @@ const ProjectManager = () => {
                   <span>Voir le site</span>
                 </a>
 
-                <button
-                  onClick={() => handleDeleteProject(project.id, project.name)}
-                  disabled={deletingProject === project.id}
-                  className="flex items-center space-x-2 text-red-600 hover:text-red-700 text-sm font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
-                >
-                  {deletingProject === project.id ? (
-                    <>
-                      <div className="w-4 h-4 border-2 border-red-600 border-t-transparent rounded-full animate-spin"></div>
-                      <span>Suppression...</span>
-                    </>
-                  ) : (
-                    <>
-                      <Trash2 className="w-4 h-4" />
-                      <span>Supprimer</span>
-                    </>
+                <div className="flex items-center space-x-4">
+                  {project.type === 'dynamic' && (project.status === 'crashed' || project.status === 'restarting') && (
+                    <button
+                      onClick={() => handleRestartProject(project.id)}
+                      disabled={restartingProject === project.id}
+                      className="flex items-center space-x-2 text-amber-700 hover:text-amber-800 text-sm font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      <RotateCw className={`w-4 h-4 ${restartingProject === project.id ? 'animate-spin' : ''}`} />
+                      <span>{restartingProject === project.id ? 'Redémarrage...' : 'Redémarrer'}</span>
+                    </button>
                   )}
-                </button>
+
+                  <button
+                    onClick={() => handleUpdateClick(project.id, project.source)}
+                    disabled={updatingProject === project.id}
+                    className="flex items-center space-x-2 text-gray-700 hover:text-gray-900 text-sm font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {updatingProject === project.id ? (
+                      <>
+                        <div className="w-4 h-4 border-2 border-gray-600 border-t-transparent rounded-full animate-spin"></div>
+                        <span>Mise à jour...</span>
+                      </>
+                    ) : (
+                      <>
+                        {project.source?.kind === 'git' ? <GitBranch className="w-4 h-4" /> : <Upload className="w-4 h-4" />}
+                        <span>Mettre à jour</span>
+                      </>
+                    )}
+                  </button>
+
+                  <button
+                    onClick={() => handleDeleteProject(project.id, project.name)}
+                    disabled={deletingProject === project.id}
+                    className="flex items-center space-x-2 text-red-600 hover:text-red-700 text-sm font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {deletingProject === project.id ? (
+                      <>
+                        <div className="w-4 h-4 border-2 border-red-600 border-t-transparent rounded-full animate-spin"></div>
+                        <span>Suppression...</span>
+                      </>
+                    ) : (
+                      <>
+                        <Trash2 className="w-4 h-4" />
+                        <span>Supprimer</span>
+                      </>
+                    )}
+                  </button>
+                </div>
               </div>
             </div>
           ))}
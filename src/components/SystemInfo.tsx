@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { Server, Cpu, HardDrive, Wifi, Clock, Database, RefreshCw, AlertCircle, Activity } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
+import { ResourceLimits } from '../contexts/ProjectContext';
 
 interface SystemInfo {
   usedPorts: number[];
@@ -13,6 +14,7 @@ interface SystemInfo {
     external: number;
   };
   nodeVersion: string;
+  resourceLimits?: ResourceLimits;
 }
 
 const SystemInfo = () => {
@@ -242,6 +244,38 @@ const SystemInfo = () => {
         </div>
       )}
 
+      {/* Resource Limits */}
+      {systemInfo?.resourceLimits && (
+        <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-100">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+            <Cpu className="w-5 h-5 mr-2" />
+            Limites des backends
+          </h3>
+
+          <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+            <div className="bg-gray-50 rounded-lg p-4">
+              <h4 className="text-sm font-medium text-gray-700 mb-1">Mémoire</h4>
+              <p className="text-lg font-bold text-gray-900">{systemInfo.resourceLimits.memoryMb} Mo</p>
+            </div>
+            <div className="bg-gray-50 rounded-lg p-4">
+              <h4 className="text-sm font-medium text-gray-700 mb-1">Priorité CPU</h4>
+              <p className="text-lg font-bold text-gray-900">nice {systemInfo.resourceLimits.cpuNice}</p>
+            </div>
+            <div className="bg-gray-50 rounded-lg p-4">
+              <h4 className="text-sm font-medium text-gray-700 mb-1">Fichiers ouverts</h4>
+              <p className="text-lg font-bold text-gray-900">{systemInfo.resourceLimits.maxOpenFiles}</p>
+            </div>
+            <div className="bg-gray-50 rounded-lg p-4">
+              <h4 className="text-sm font-medium text-gray-700 mb-1">Processus</h4>
+              <p className="text-lg font-bold text-gray-900">{systemInfo.resourceLimits.maxProcesses}</p>
+            </div>
+          </div>
+          <p className="text-sm text-gray-600 mt-3">
+            Limites de votre offre, abaissables par projet. Un backend qui les dépasse est arrêté puis redémarré.
+          </p>
+        </div>
+      )}
+
       {/* Port Management */}
       {systemInfo && (
         <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-100">
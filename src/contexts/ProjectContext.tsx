@@ -1,5 +1,89 @@
-import React, { createContext, useContext, useState, useEffect, ReactNode } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback, ReactNode } from 'react';
 import { useAuth } from './AuthContext';
+import { JobPhaseName } from '../utils/jobPhases';
+
+export interface GitSource {
+  repoUrl: string;
+  ref?: string;
+  subdirectory?: string;
+}
+
+export type ProjectSource =
+  | { kind: 'archive'; name: string; format?: string; hash?: string; size: number }
+  | {
+      kind: 'git';
+      repoUrl: string;
+      ref: string | null;
+      subdirectory: string | null;
+      commitSha: string;
+      commitMessage: string;
+      size: number;
+    };
+
+// Vérification du backend d'un projet dynamique (démarrage puis surveillance périodique)
+export interface HealthCheckConfig {
+  type: 'tcp' | 'http';
+  path: string;
+  expectedStatus: number;
+  interval: number;
+  timeout: number;
+  retries: number;
+  startTimeout: number;
+}
+
+// Limites de ressources d'un backend (voir server/utils/resourceLimits.js)
+export interface ResourceLimits {
+  memoryMb: number;
+  cpuNice: number;
+  maxOpenFiles: number;
+  maxProcesses: number;
+}
+
+interface HealthCheckResult {
+  ok: boolean;
+  status?: number;
+  error?: string;
+  durationMs: number;
+  checkedAt: string;
+}
+
+// Runtime détecté d'un projet dynamique (voir server/utils/runtimes.js)
+export interface ProjectRuntime {
+  name: 'procfile' | 'node-fullstack' | 'node' | 'python';
+  label: string;
+  // Dossier de la release où le backend est lancé, et commande de démarrage
+  dir: string;
+  start: string;
+  venv: string | null;
+  // Dossier du frontend buildé, null pour une application unique
+  frontend: string | null;
+  // Réglages du manifeste : dossier servi (relatif à la release), valeurs par défaut, version de Node
+  root?: string;
+  outputDir?: string | null;
+  env?: Record<string, string>;
+  node?: string | null;
+}
+
+// Framework du frontend détecté au déploiement (voir server/utils/frontendFramework.js)
+export type FrontendFramework = 'next' | 'angular' | 'cra' | 'vue-cli' | 'vite' | 'generic';
+
+// Manifeste hostedhost.json validé (voir server/utils/manifest.js)
+export interface ProjectManifest {
+  install: string | null;
+  build: string | null;
+  start: string | null;
+  outputDir: string | null;
+  healthCheck: HealthCheckConfig | null;
+  apiPrefix: string | null;
+  env: Record<string, string>;
+  hooks: {
+    preDeploy: string | null;
+    postDeploy: string | null;
+  };
+  node: string | null;
+  // Version installée retenue, null pour celle de la plateforme
+  nodeVersion: string | null;
+}
 
 interface Project {
   id: string;
@@ -12,8 +96,145 @@ interface Project {
   size: number;
   url: string;
   port?: number;
+  backendPort?: number;
+  apiPrefix?: string;
+  frontendBuildDir?: string | null;
   usesMongoDB?: boolean;
+  // Absent pour les projets antérieurs à la détection (frontend + backend Node)
+  runtime?: ProjectRuntime;
+  manifest?: ProjectManifest | null;
+  // null pour une application unique, absent pour les projets antérieurs à la détection
+  frontendFramework?: FrontendFramework | null;
+  // Adresse du backend aussi servie à l'exécution (/__env.js)
+  runtimeConfig?: boolean;
   hasIndexHtml?: boolean;
+  webRoot?: string;
+  webRootOverride?: string | null;
+  build?: {
+    command: string;
+    outputDir: string;
+  } | null;
+  currentDeploymentId?: string;
+  source?: ProjectSource;
+  // Dernier arrêt non demandé du backend (plantage), relevé par le superviseur
+  lastExit?: {
+    code: number | null;
+    signal: string | null;
+    error?: string;
+    at: string;
+  };
+  crashedAt?: string;
+  // null : connexion TCP sur le port du backend
+  healthCheck?: HealthCheckConfig | null;
+  health?: {
+    status: 'healthy' | 'unhealthy';
+    consecutiveFailures: number;
+    lastResult: HealthCheckResult;
+    checkedAt: string;
+  };
+  // Limites indiquées pour le projet, et limites appliquées au dernier lancement
+  resourceLimits?: Partial<ResourceLimits> | null;
+  limits?: ResourceLimits;
+  lastLimitBreach?: {
+    limit: keyof ResourceLimits;
+    value: number;
+    max: number;
+    at: string;
+  };
+  // Base MongoDB provisionnée par la plateforme (sans mot de passe)
+  database?: ProjectDatabase | null;
+}
+
+export interface ProjectDatabase {
+  name: string;
+  username: string;
+  host: string | null;
+  provisionedAt: string;
+}
+
+// Connexion complète, renvoyée à la demande : l'URI contient le mot de passe
+export interface ProjectDatabaseConnection extends ProjectDatabase {
+  uri: string;
+}
+
+export interface Deployment {
+  id: string;
+  projectId: string | null;
+  releaseId: string;
+  action: 'deploy' | 'update' | 'rollback' | 'rebuild';
+  status: 'success' | 'failed';
+  error?: string;
+  output?: string[];
+  archive?: {
+    name: string;
+    hash: string;
+    size: number;
+  };
+  git?: {
+    repoUrl: string;
+    ref: string | null;
+    subdirectory: string | null;
+    commitSha?: string;
+    commitMessage?: string;
+  };
+  uploadedBy: string;
+  createdAt: string;
+  current: boolean;
+  rollbackOf?: string;
+}
+
+export interface DeployJob {
+  id: string;
+  kind: 'deploy' | 'update' | 'rebuild' | 'rollback' | 'restart' | 'delete';
+  type: 'static' | 'dynamic';
+  projectName: string;
+  status: 'queued' | 'pending' | 'running' | 'succeeded' | 'failed' | 'cancelled';
+  phase: JobPhaseName | null;
+  progress: number;
+  phases: {
+    name: JobPhaseName;
+    status: 'pending' | 'running' | 'done' | 'failed' | 'skipped';
+    startedAt: string | null;
+    finishedAt: string | null;
+    durationMs: number | null;
+  }[];
+  createdAt: string;
+  // Place dans la file d'attente des déploiements (1 : prochain à démarrer)
+  queuePosition: number | null;
+  startedAt: string | null;
+  finishedAt: string | null;
+  durationMs: number | null;
+  result: {
+    message: string;
+    notes?: string[];
+  } | null;
+  error: string | null;
+}
+
+// Variable d'environnement d'un projet : la valeur d'un secret n'est jamais renvoyée (null)
+export interface EnvVariable {
+  name: string;
+  scope: 'build' | 'runtime' | 'both';
+  secret: boolean;
+  value: string | null;
+  updatedAt: string;
+}
+
+// Action à proposer pour appliquer une modification des variables
+export type EnvAction = 'restart' | 'rebuild' | null;
+
+export interface EnvVariableInput {
+  value?: string;
+  scope: EnvVariable['scope'];
+  secret: boolean;
+}
+
+export interface JobLogEntry {
+  id: number;
+  phase: JobPhaseName | null;
+  stream: 'stdout' | 'stderr' | 'system';
+  line: string;
+  at: string;
 }
 
 interface ProjectStats {
@@ -33,6 +254,39 @@ interface ProjectContextType {
   refreshProjects: () => Promise<void>;
   refreshStats: () => Promise<void>;
   deleteProject: (projectId: string) => Promise<void>;
+  updateProject: (
+    projectId: string,
+    source: File | GitSource,
+    fields?: UpdateFields,
+    onJobUpdate?: (job: DeployJob) => void
+  ) => Promise<UpdateResult>;
+  waitForJob: (jobId: string, onUpdate?: (job: DeployJob) => void) => Promise<DeployJob>;
+  cancelJob: (jobId: string) => Promise<string>;
+  streamJobLogs: (jobId: string, onLog: (entry: JobLogEntry) => void, signal: AbortSignal) => Promise<void>;
+  fetchDeployments: (projectId: string) => Promise<Deployment[]>;
+  rollbackProject: (projectId: string, deploymentId: string) => Promise<string>;
+  restartProject: (projectId: string) => Promise<string>;
+  rebuildProject: (projectId: string, onJobUpdate?: (job: DeployJob) => void) => Promise<string>;
+  fetchEnvVars: (projectId: string) => Promise<EnvVariable[]>;
+  saveEnvVar: (projectId: string, name: string, input: EnvVariableInput) => Promise<{ message: string; action: EnvAction }>;
+  deleteEnvVar: (projectId: string, name: string) => Promise<{ message: string; action: EnvAction }>;
+  fetchProjectDatabase: (projectId: string) => Promise<ProjectDatabaseConnection>;
+}
+
+export interface UpdateFields {
+  description?: string;
+  webRoot?: string;
+  apiPrefix?: string;
+  // Configuration JSON, voir HealthCheckConfig
+  healthCheck?: string;
+  // Configuration JSON, voir ResourceLimits
+  resourceLimits?: string;
+  runtimeConfig?: 'true' | 'false';
+}
+
+interface UpdateResult {
+  message: string;
+  notes?: string[];
 }
 
 const ProjectContext = createContext<ProjectContextType | undefined>(undefined);
@@ -50,6 +304,7 @@ interface ProjectProviderProps {
 }
 
 const API_URL = 'http://localhost:5000/api';
+const JOB_POLL_INTERVAL = 1500;
 
 export const ProjectProvider: React.FC<ProjectProviderProps> = ({ children }) => {
   const [projects, setProjects] = useState<Project[]>([]);
@@ -57,10 +312,12 @@ export const ProjectProvider: React.FC<ProjectProviderProps> = ({ children }) =>
   const [loading, setLoading] = useState(true);
   const { token } = useAuth();
 
-  const getAuthHeaders = () => ({
+  // Les fonctions de chargement sont mémorisées (useCallback) : les composants
+  // les utilisent comme dépendances de leurs effets
+  const getAuthHeaders = useCallback(() => ({
     'Authorization': `Bearer ${token}`,
     'Content-Type': 'application/json',
-  });
+  }), [token]);
 
   const refreshProjects = async () => {
     if (!token) return;
@@ -104,14 +361,261 @@ export const ProjectProvider: React.FC<ProjectProviderProps> = ({ children }) =>
       headers: getAuthHeaders(),
     });
 
+    const data = await response.json();
     if (!response.ok) {
-      const data = await response.json();
       throw new Error(data.message || 'Erreur lors de la suppression');
     }
 
-    // Refresh projects after deletion
-    await refreshProjects();
-    await refreshStats();
+    // La suppression attend la fin des jobs en cours du projet (annulés)
+    try {
+      await waitForJob(data.jobId);
+    } finally {
+      // Refresh projects after deletion
+      await refreshProjects();
+      await refreshStats();
+    }
+  };
+
+  // Suivre un job de déploiement jusqu'à sa fin (succès ou échec)
+  const waitForJob = async (jobId: string, onUpdate?: (job: DeployJob) => void) => {
+    for (;;) {
+      const response = await fetch(`${API_URL}/hosting/jobs/${jobId}`, {
+        headers: getAuthHeaders(),
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || 'Job de déploiement introuvable');
+      }
+
+      const job = data.job as DeployJob;
+      onUpdate?.(job);
+      if (job.status === 'succeeded') return job;
+      if (job.status === 'failed') {
+        throw new Error(job.error || 'Le déploiement a échoué');
+      }
+      if (job.status === 'cancelled') {
+        throw new Error('Déploiement annulé');
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, JOB_POLL_INTERVAL));
+    }
+  };
+
+  // Annuler un job en attente ou en cours (waitForJob se termine alors en erreur)
+  const cancelJob = async (jobId: string) => {
+    const response = await fetch(`${API_URL}/hosting/jobs/${jobId}/cancel`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || "Erreur lors de l'annulation");
+    }
+    return data.message as string;
+  };
+
+  // Lire le flux SSE des logs d'un job (fetch plutôt qu'EventSource pour envoyer le token)
+  const streamJobLogs = useCallback(async (jobId: string, onLog: (entry: JobLogEntry) => void, signal: AbortSignal) => {
+    const response = await fetch(`${API_URL}/hosting/jobs/${jobId}/logs`, {
+      headers: { 'Authorization': `Bearer ${token}` },
+      signal,
+    });
+
+    if (!response.ok || !response.body) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.message || 'Logs du job indisponibles');
+    }
+
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) return;
+
+      buffer += value;
+      const events = buffer.split('\n\n');
+      buffer = events.pop() || '';
+
+      for (const event of events) {
+        const lines = event.split('\n');
+        const type = lines.find((line) => line.startsWith('event: '))?.slice(7);
+        const data = lines.find((line) => line.startsWith('data: '))?.slice(6);
+        if (type === 'log' && data) {
+          onLog(JSON.parse(data) as JobLogEntry);
+        }
+      }
+    }
+  }, [token]);
+
+  const updateProject = async (
+    projectId: string,
+    source: File | GitSource,
+    fields: UpdateFields = {},
+    onJobUpdate?: (job: DeployJob) => void
+  ) => {
+    // Une archive est envoyée en multipart, un dépôt Git en JSON
+    let response: Response;
+    if (source instanceof File) {
+      const uploadFormData = new FormData();
+      uploadFormData.append('zipFile', source);
+      Object.entries(fields).forEach(([name, value]) => {
+        if (value !== undefined) {
+          uploadFormData.append(name, value);
+        }
+      });
+
+      response = await fetch(`${API_URL}/hosting/update/${projectId}`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+        },
+        body: uploadFormData,
+      });
+    } else {
+      response = await fetch(`${API_URL}/hosting/update/${projectId}`, {
+        method: 'POST',
+        headers: getAuthHeaders(),
+        body: JSON.stringify({ ...source, ...fields }),
+      });
+    }
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || 'Erreur lors de la mise à jour');
+    }
+
+    try {
+      const job = await waitForJob(data.jobId, onJobUpdate);
+      return job.result as UpdateResult;
+    } finally {
+      await refreshProjects();
+      await refreshStats();
+    }
+  };
+
+  const fetchDeployments = useCallback(async (projectId: string) => {
+    const response = await fetch(`${API_URL}/hosting/projects/${projectId}/deployments`, {
+      headers: getAuthHeaders(),
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || 'Erreur lors de la récupération de l\'historique');
+    }
+    return data.deployments as Deployment[];
+  }, [getAuthHeaders]);
+
+  const rollbackProject = async (projectId: string, deploymentId: string) => {
+    const response = await fetch(`${API_URL}/hosting/projects/${projectId}/rollback/${deploymentId}`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || 'Erreur lors de la restauration');
+    }
+
+    // La restauration passe par la file des jobs, après ceux déjà lancés sur le projet
+    try {
+      const job = await waitForJob(data.jobId);
+      return job.result?.message || 'Projet restauré';
+    } finally {
+      await refreshProjects();
+    }
+  };
+
+  const restartProject = async (projectId: string) => {
+    const response = await fetch(`${API_URL}/hosting/projects/${projectId}/restart`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || 'Erreur lors du redémarrage');
+    }
+
+    try {
+      const job = await waitForJob(data.jobId);
+      return job.result?.message || 'Projet redémarré';
+    } finally {
+      await refreshProjects();
+    }
+  };
+
+  // Nouveau build de la release en ligne (variables de build modifiées)
+  const rebuildProject = async (projectId: string, onJobUpdate?: (job: DeployJob) => void) => {
+    const response = await fetch(`${API_URL}/hosting/projects/${projectId}/rebuild`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || 'Erreur lors du rebuild');
+    }
+
+    onJobUpdate?.(data.job);
+    try {
+      const job = await waitForJob(data.jobId, onJobUpdate);
+      return job.result?.message || 'Projet rebuildé';
+    } finally {
+      await refreshProjects();
+    }
+  };
+
+  const fetchEnvVars = useCallback(async (projectId: string) => {
+    const response = await fetch(`${API_URL}/hosting/projects/${projectId}/env`, {
+      headers: getAuthHeaders(),
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || 'Erreur lors du chargement des variables');
+    }
+    return data.variables as EnvVariable[];
+  }, [getAuthHeaders]);
+
+  const saveEnvVar = async (projectId: string, name: string, input: EnvVariableInput) => {
+    const response = await fetch(`${API_URL}/hosting/projects/${projectId}/env/${encodeURIComponent(name)}`, {
+      method: 'PUT',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(input),
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || 'Erreur lors de l\'enregistrement de la variable');
+    }
+    return { message: data.message as string, action: data.action as EnvAction };
+  };
+
+  const deleteEnvVar = async (projectId: string, name: string) => {
+    const response = await fetch(`${API_URL}/hosting/projects/${projectId}/env/${encodeURIComponent(name)}`, {
+      method: 'DELETE',
+      headers: getAuthHeaders(),
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || 'Erreur lors de la suppression de la variable');
+    }
+    return { message: data.message as string, action: data.action as EnvAction };
+  };
+
+  const fetchProjectDatabase = async (projectId: string) => {
+    const response = await fetch(`${API_URL}/hosting/projects/${projectId}/database`, {
+      headers: getAuthHeaders(),
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || 'Erreur lors du chargement de la base de données');
+    }
+    return data.database as ProjectDatabaseConnection;
   };
 
   useEffect(() => {
@@ -136,6 +640,18 @@ export const ProjectProvider: React.FC<ProjectProviderProps> = ({ children }) =>
     refreshProjects,
     refreshStats,
     deleteProject,
+    updateProject,
+    waitForJob,
+    cancelJob,
+    streamJobLogs,
+    fetchDeployments,
+    rollbackProject,
+    restartProject,
+    rebuildProject,
+    fetchEnvVars,
+    saveEnvVar,
+    deleteEnvVar,
+    fetchProjectDatabase,
   };
 
   return (
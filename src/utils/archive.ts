@@ -0,0 +1,19 @@
+export type ArchiveFormat = 'zip' | 'tar' | 'tar.gz' | 'tar.bz2';
+
+// Valeur de l'attribut accept des champs fichier (simple aide au choix dans le navigateur)
+export const ARCHIVE_ACCEPT = '.zip,.tar,.tar.gz,.tgz,.tar.bz2,.tbz2,.tbz';
+
+export const ARCHIVE_FORMATS_LABEL = 'ZIP, tar, tar.gz ou tar.bz2';
+
+// Identifie le format d'après les premiers octets du fichier, comme le serveur
+export const detectArchiveFormat = async (file: File): Promise<ArchiveFormat | null> => {
+  const bytes = new Uint8Array(await file.slice(0, 512).arrayBuffer());
+
+  if (bytes[0] === 0x50 && bytes[1] === 0x4b && ((bytes[2] === 3 && bytes[3] === 4) || (bytes[2] === 5 && bytes[3] === 6))) {
+    return 'zip';
+  }
+  if (bytes[0] === 0x1f && bytes[1] === 0x8b) return 'tar.gz';
+  if (String.fromCharCode(...bytes.slice(0, 3)) === 'BZh') return 'tar.bz2';
+  if (String.fromCharCode(...bytes.slice(257, 262)) === 'ustar') return 'tar';
+  return null;
+};
@@ -0,0 +1,10 @@
+export type JobPhaseName = 'extract' | 'clone' | 'install' | 'build' | 'start' | 'delete';
+
+export const jobPhaseLabels: Record<JobPhaseName, string> = {
+  extract: 'Extraction de l\'archive',
+  clone: 'Clonage du dépôt',
+  install: 'Installation des dépendances',
+  build: 'Build du frontend',
+  start: 'Démarrage du backend',
+  delete: 'Suppression du projet',
+};